@@ -0,0 +1,82 @@
+
+//===================================================================
+// Command line checker ("linter") for FSM description .json files
+// Usage:
+//   node fsm_lint.mjs [--root <folder>] [--json] [--strict] <file.json> ...
+// Each file is checked (see src/Lint.ts) and a report of the errors and warnings
+// found in it is printed.  Image locations are resolved relative to the root folder
+// (default "./out", the folder the pages are served from).  Options:
+//   --json    print the issues as JSON rather than as a readable report
+//   --strict  treat warnings as failures
+// The exit code is 0 when no errors were found, 1 if any were (or any warnings were
+// under --strict), and 2 if a file could not be read or is not valid JSON.
+// This uses the compiled code in ./out, so the project must be built first.
+//===================================================================
+
+import fs from "fs";
+import path from "path";
+import { Lint } from "./out/Lint.js";
+
+// folder image locations are resolved against, unless changed with --root
+let rootFolder = "./out";
+let jsonOutput = false;
+let strict = false;
+const files = [];
+
+// pick apart the command line
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--root" && i+1 < args.length) rootFolder = args[++i];
+    else if (args[i] === "--json")   jsonOutput = true;
+    else if (args[i] === "--strict") strict = true;
+    else if (args[i].startsWith("--")) {
+        console.error(`Unknown option "${args[i]}"`);
+        process.exit(2);
+    }
+    else files.push(args[i]);
+}
+if (files.length === 0) {
+    console.error("Usage: node fsm_lint.mjs [--root <folder>] [--json] [--strict] <file.json> ...");
+    process.exit(2);
+}
+
+// Test whether an image exists.  We compare against directory listings rather than
+// using fs.existsSync() so that case mismatches (which work on some file systems
+// but not on most web servers) are caught.
+function imageExists(imageLoc) {
+    const parts = path.normalize(imageLoc).split(path.sep).filter((p) => p !== "" && p !== ".");
+    let dir = rootFolder;
+    for (const part of parts) {
+        let entries;
+        try { entries = fs.readdirSync(dir); } catch { return false; }
+        if (!entries.includes(part)) return false;
+        dir = path.join(dir, part);
+    }
+    return parts.length > 0;
+}
+
+// check each file in turn
+let exitCode = 0;
+const allResults = {};
+for (const file of files) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        console.error(`${file}: could not be read as JSON: ${err.message}`);
+        exitCode = 2;
+        continue;
+    }
+
+    const issues = Lint.check(data, {imageExists});
+    if (jsonOutput) allResults[file] = issues;
+    else console.log(Lint.formatReport(issues, file));
+
+    const failed = Lint.hasErrors(issues) || (strict && issues.length > 0);
+    if (failed && exitCode === 0) exitCode = 1;
+}
+if (jsonOutput) console.log(JSON.stringify(allResults, null, 2));
+
+process.exit(exitCode);
+
+//===================================================================
@@ -0,0 +1,95 @@
+
+//===================================================================
+// Command line tool for replaying recorded event traces against FSM .json files
+// Usage:
+//   node fsm_replay.mjs [--root <folder>] <trace.json> ...
+// Each trace (as produced by FSMInteractor.stopRecording().toJson(), see src/Trace.ts)
+// names the FSM it was recorded from in its "fsm" property.  That location is
+// resolved relative to the root folder (default "./out", the folder the pages are
+// served from, matching locations passed to startLoadFromJson()).  The FSM is run
+// without a browser (see src/Headless.ts) using a manually advanced clock, the
+// recorded raw events are fed back through it, and any differences from the recorded
+// sequence of FSM configurations are reported.  The exit code is 0 if all traces
+// replayed as recorded, 1 if any did not, and 2 if a file could not be loaded.
+// This uses the compiled code in ./out, so the project must be built first.
+//===================================================================
+
+import fs from "fs";
+import path from "path";
+import { Err } from "./out/Err.js";
+import { FSM } from "./out/FSM.js";
+import { FSMInteractor } from "./out/FSMInteractor.js";
+import { ManualClock } from "./out/Clock.js";
+import { Trace } from "./out/Trace.js";
+import { setupHeadless } from "./out/Headless.js";
+
+// folder FSM locations are resolved against, unless changed with --root
+let rootFolder = "./out";
+const files = [];
+
+// pick apart the command line
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--root" && i+1 < args.length) rootFolder = args[++i];
+    else if (args[i].startsWith("--")) {
+        console.error(`Unknown option "${args[i]}"`);
+        process.exit(2);
+    }
+    else files.push(args[i]);
+}
+if (files.length === 0) {
+    console.error("Usage: node fsm_replay.mjs [--root <folder>] <trace.json> ...");
+    process.exit(2);
+}
+
+// Read and parse a json file, reporting failure and returning undefined if that fails
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        console.error(`${file}: could not be read as JSON: ${err.message}`);
+        return undefined;
+    }
+}
+
+// replay each trace in turn, each with a fresh headless setup
+let exitCode = 0;
+const { root } = setupHeadless();
+for (const file of files) {
+    const traceData = readJson(file);
+    if (traceData === undefined) { exitCode = 2; continue; }
+    if (typeof traceData.fsm !== "string") {
+        console.error(`${file}: trace does not say which FSM it was recorded from`);
+        exitCode = 2;
+        continue;
+    }
+    const fsmData = readJson(path.join(rootFolder, traceData.fsm));
+    if (fsmData === undefined) { exitCode = 2; continue; }
+
+    // problems loading the FSM or trace are collected rather than just logged
+    let trace, interactor;
+    const loadMesgs = Err.capture(() => {
+        trace = Trace.fromJson(traceData);
+        FSM.defaultClock = new ManualClock();
+        interactor = new FSMInteractor();
+        root.addChild(interactor);
+        interactor.loadFromJson(fsmData);
+    });
+    for (const mesg of loadMesgs) console.error(`${file}: ${mesg}`);
+
+    const mismatches = [];
+    Err.capture(() => mismatches.push(...interactor.replayTrace(trace)));
+    root.removeChild(interactor);
+
+    if (mismatches.length === 0) {
+        console.log(`${file}: ok (${trace.events.length} events)`);
+    } else {
+        console.log(`${file}: ${mismatches.length} mismatch(es)`);
+        for (const mesg of mismatches) console.log(`  ${mesg}`);
+        if (exitCode === 0) exitCode = 1;
+    }
+}
+
+process.exit(exitCode);
+
+//===================================================================
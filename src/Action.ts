@@ -1,43 +1,196 @@
 
-import { EventType } from "./EventSpec.js";
 import { Region } from "./Region.js";
 import { Err } from "./Err.js";
 import { Check } from "./Check.js"; 
+import { Expression } from "./Expression.js";
+import { FSM } from "./FSM.js";
+import { FSMEvent } from "./FSMEvent.js";
+import { Animation, Easing, easingStrings, TweenTarget } from "./Animation.js";
+import { ImageFit, imageFitStrings } from "./RegionStyle.js";
 
 //=================================================================== 
 // Class for an object representing an action to be performed when a transition 
-// in an FSM is taken. This consists of 3 parts:
+// in an FSM is taken. This consists of the action type along with the parts it uses 
+// (each part other than act is only used by some kinds of action):
 //  * act   : The action to be performed
 //  * region: The region to act on (can be undefined for actions not using a region)
 //  * param : A string valued parameter for the action (can be undefined for actions not
 //            usng a parameter).
+//  * var   : The name of the FSM variable to act on (only used by the variable actions)
+//  * timer : The name of the FSM timer to act on (only used by the timer actions)
+//  * duration, easing : How long (in milliseconds) and with what easing curve to 
+//            animate the change made by the action (only used by animate_region,
+//            set_image, and play_frames; see Animation)
+//  * loop  : Whether a play_frames action loops its frames until stopped
+//  * target, payload : The name of the interactor to send an event to, and an 
+//            expression giving the value to send with it (target is only used by
+//            send_event, and payload by send_event and emit)
 //  Actions can  can be one of:
 //   - set_image    set the image of the given region (or rather where it is to be 
 //                  loaded from) based on the parameter value.  The parameter can be 
-//                 "" for no image (which has the same effect as clear_image).
+//                 "" for no image (which has the same effect as clear_image).  If a 
+//                 duration is given, the change is shown as a cross-fade from the 
+//                 old image to the new one.
 //   - clear_image set the image of the given region to empty/none. 
+//   - reload_image load the image of the given region again, dropping any cached copy
+//                 of it first (e.g., to try again on an image_error event)
+//   - set_text    set the text label of the given region to the parameter value ("" 
+//                 for no text; see RegionStyle)
+//   - set_fill    set the color the box of the given region is filled with to the 
+//                 parameter value (a CSS color, or "" for no fill)
+//   - set_stroke  set the color the box of the given region is outlined with to the
+//                 parameter value (a CSS color, or "" for no outline)
+//   - set_fit     set how the image of the given region is fit to it to the parameter
+//                 value (none, contain, cover, or stretch; see RegionStyle)
+//   - set_opacity set the opacity of the given region to the parameter value (a number
+//                 from 0 for invisible to 1 for opaque)
+//   - set_rotation set the rotation of the given region (in degrees clockwise about 
+//                 its center).  The parameter is either "a" to rotate it to that 
+//                 angle, or "by a" to rotate it by that much more.
 //   - none        do nothing (also used to patch up things loaded from bad json)
 //   - print       print the parameter value
-//   - print_event print the parameter value followed by a dump of the current event 
+//   - print_event print the parameter value followed by a description of the current
+//                 event (its type, region, position, time, and modifiers)
+//   - set_var     set the given FSM variable to the value of the parameter, which is
+//                 evaluated as an expression (see the Expression class)
+//   - inc_var     add the value of the parameter (evaluated as an expression, and 
+//                 defaulting to 1) to the given FSM variable 
+//   - start_timer start (or restart) the given named timer of the FSM, to fire after
+//                 the number of milliseconds given by the parameter.  When it fires the
+//                 FSM receives a timeout event for that timer (see EventSpec).
+//   - cancel_timer cancel the given named timer of the FSM (if it is running)
+//   - move_region move the given region.  The parameter is either "x,y" to move it 
+//                 to that position, "by dx,dy" to move it by that offset, or "pointer"
+//                 to move it by the motion of the pointer carried by the event which
+//                 caused the action (see FSMEvent), so that the region follows the 
+//                 pointer (e.g., while being dragged).  Events not derived from pointer
+//                 input carry no motion.
+//   - resize_region set the size of the given region.  The parameter is either "w,h"
+//                 to give it that size, or "by dw,dh" to change its size by that much.
+//   - show_region make the given region visible
+//   - hide_region make the given region invisible (hidden regions are not drawn, and 
+//                 are not picked, so they receive no positional input)
+//   - raise_region move the given region to the top of the drawing order of its FSM
+//   - animate_region animate the position and/or size of the given region to new
+//                 values over the given duration.  The parameter is a comma separated
+//                 list of targets, each of the form "x=100" (to go to that value), 
+//                 or "x+=10" or "x-=10" (to change by that amount), for any of x, y, 
+//                 w, h, opacity, and rotation.
+//   - play_frames show each of a list of images in turn in the given region, taking
+//                 the given duration for one pass through them.  The parameter is a 
+//                 comma separated list of image locations (often frames of an atlas),
+//                 in which numeric ranges stand for one image per number, e.g., 
+//                 "hero.png#walk_1..8" (see Animation.parseFrames()).  If loop is 
+//                 true, the sequence repeats until stopped (by stop_frames, or by 
+//                 another play_frames or a cross-fading set_image for the region); 
+//                 otherwise it plays once and ends on its last image.
+//   - stop_frames stop any frame sequence playing in the given region, leaving the
+//                 image it was showing
+//   - send_event  send a custom event (see EventSpec) named by the parameter to the
+//                 interactor with the given target name, or (if no target is given)
+//                 broadcast it to every interactor under the same Root, including 
+//                 this one (see Root.broadcast()).  If a payload expression is given,
+//                 its value (evaluated over this FSM's variables) is sent along with 
+//                 the event, and can be referred to as "payload" in the guards and
+//                 expressions of the receiving FSM.
+//   - emit        call the callbacks the host application has registered (with the
+//                 FSM or its interactor) under the callback name given by the 
+//                 parameter (see FSMListeners), passing them the value of the payload 
+//                 expression (if any) and the current event.  Emits with no registered
+//                 callbacks do nothing.
+//  Once the animation started by an animate_region, set_image, or (non-looping)
+//  play_frames action completes, the FSM receives an animation_done event for the
+//  region (see EventSpec).
 //===================================================================
 
 // A type for the actions we support, along with correponding strings
-export type ActionType = 'set_image' |  'clear_image' | 'set_emoji' | 'clear_emoji' | 'move_region' | 'none' | 'print' | 'print_event';
-const actionTypeStrings = ['set_image',  'clear_image', 'none', 'print', 'print_event', 'set_emoji', 'clear_emoji', 'move_region'];
+export type ActionType = 'set_image' |  'clear_image' | 'set_emoji' | 'clear_emoji' | 'move_region' | 'none' | 'print' | 'print_event' |
+                         'set_var' | 'inc_var' | 'start_timer' | 'cancel_timer' |
+                         'resize_region' | 'show_region' | 'hide_region' | 'raise_region' |
+                         'animate_region' | 'send_event' | 'emit' | 
+                         'set_text' | 'set_fill' | 'set_stroke' | 
+                         'set_fit' | 'set_opacity' | 'set_rotation' |
+                         'play_frames' | 'stop_frames' | 'reload_image';
+const actionTypeStrings = ['set_image',  'clear_image', 'none', 'print', 'print_event', 'set_emoji', 'clear_emoji', 'move_region',
+                           'set_var', 'inc_var', 'start_timer', 'cancel_timer',
+                           'resize_region', 'show_region', 'hide_region', 'raise_region',
+                           'animate_region', 'send_event', 'emit',
+                           'set_text', 'set_fill', 'set_stroke',
+                           'set_fit', 'set_opacity', 'set_rotation',
+                           'play_frames', 'stop_frames', 'reload_image'];
+
+// Parsed form of the parameter for the move_region, resize_region, and set_rotation
+// actions: set to the given values, change by the given values, or follow the 
+// pointer (set_rotation uses only the first value)
+export type GeometryParam = {mode : 'to' | 'by' | 'pointer', a : number, b : number};
 
 // The type we are expecting to get back from decoding json for an Action
-export type Action_json = {act: ActionType, region: string, param: string};
+export type Action_json = {
+    act    : ActionType, 
+    region : string, 
+    param  : string, 
+    var?      : string, 
+    timer?    : string,
+    duration? : number,
+    easing?   : Easing,
+    target?   : string,
+    payload?  : string,
+    loop?     : boolean};
 
 //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
 export class Action {
 
-    public constructor ( actType : ActionType, regionName? : string, param? : string) 
+    public constructor ( 
+        actType     : ActionType, 
+        regionName? : string, 
+        param?      : string,
+        varName?    : string,
+        timerName?  : string,
+        duration    : number = 0,
+        easing      : Easing = 'linear',
+        target      : string = "",
+        payload     : string = "",
+        loop        : boolean = false) 
     {
         this._actType = actType;
         this._onRegionName = regionName ?? "";
         this._param = param ?? "";
+        this._varName = varName ?? "";
+        this._timerName = timerName ?? "";
+        this._duration = duration;
+        this._easing = easing;
+        this._target = target;
+        this._loop = loop;
         this._onRegion = undefined;  // will be established once we have the whole FSM
+        this._owner = undefined;     // likewise
+
+        // variable actions compute their value from the parameter as an expression
+        if (actType === 'set_var') {
+            this._paramExpr = new Expression(this._param);
+        } else if (actType === 'inc_var') {
+            this._paramExpr = new Expression(this._param === "" ? "1" : this._param);
+        }
+
+        // geometry actions parse their parameter once up front
+        if (actType === 'move_region' || actType === 'resize_region' || 
+            actType === 'set_rotation') 
+        {
+            this._geometry = Action.parseGeometry(actType, this._param);
+        }
+
+        // as do animations
+        if (actType === 'animate_region') {
+            this._targets = Animation.parseTargets(this._param, `${actType} action parameter`);
+        }
+        if (actType === 'play_frames') {
+            this._frames = Animation.parseFrames(this._param, `${actType} action parameter`);
+        }
+
+        // sending an event or emitting may compute a value to send along with it
+        if ((actType === 'send_event' || actType === 'emit') && payload !== "") {
+            this._payloadExpr = new Expression(payload);
+        }
     }
 
     // Construct an Action from an Action_json object.  We type check all the parts here
@@ -49,10 +202,96 @@ export class Action {
 
         const regionname = Check.stringVal(jsonVal.region??"", "Action.fromJsonl{region:}");
         const param = Check.stringVal(jsonVal.param??"", "Action.fromJson{param:}"); 
+        const varName = Check.stringVal(jsonVal.var??"", "Action.fromJson{var:}");
+        const timerName = Check.stringVal(jsonVal.timer??"", "Action.fromJson{timer:}");
+        const duration = Check.numberVal(jsonVal.duration??0, "Action.fromJson{duration:}");
+        const easing = Check.limitedString<Easing>(jsonVal.easing??"linear", 
+                                        easingStrings, 'linear', "Action.fromJson{easing:}");
+        const target = Check.stringVal(jsonVal.target??"", "Action.fromJson{target:}");
+        const payload = Check.stringVal(jsonVal.payload??"", "Action.fromJson{payload:}");
+        const loop = Check.simpleType<boolean>(jsonVal.loop??false, 'boolean', false, 
+                                               "Action.fromJson{loop:}");
+
+        // timer actions need a name, and starting one needs a valid duration
+        if ((actType === 'start_timer' || actType === 'cancel_timer') && timerName === "") {
+            Err.emit(`No timer name given for ${actType} action in Action.fromJson()`);
+        }
+        if (actType === 'start_timer' && !(Number(param) >= 0)) {
+            Err.emit(`Timer duration "${param}" is not a valid number in Action.fromJson()`);
+        }
+        if (duration < 0) {
+            Err.emit(`Negative animation duration ${duration} in Action.fromJson()`);
+        }
+        if (actType === 'send_event' && param === "") {
+            Err.emit("No event name given for send_event action in Action.fromJson()");
+        }
+        if (actType === 'emit' && param === "") {
+            Err.emit("No callback name given for emit action in Action.fromJson()");
+        }
+        if (actType === 'play_frames' && !(duration > 0)) {
+            Err.emit("No duration given for play_frames action in Action.fromJson()");
+        }
+        if (actType === 'set_fit') {
+            Check.limitedString<ImageFit>(param, imageFitStrings, 'none', 
+                                          "set_fit action parameter");
+        }
+        if (actType === 'set_opacity' && !(param !== "" && Number(param) >= 0 && 
+                                           Number(param) <= 1)) 
+        {
+            Err.emit(`Opacity "${param}" is not a number between 0 and 1` +
+                     " in Action.fromJson()");
+        }
     
-        return new Action(actType, regionname, param);
+        return new Action(actType, regionname, param, varName, timerName, 
+                          Math.max(0, duration), easing, target, payload, loop);
     }  
 
+    // Parse the parameter of a move_region, resize_region, or set_rotation action (see
+    // the comments at the top of this file for the forms allowed).  Malformed 
+    // parameters are reported with Err.emit() and result in undefined (and an action 
+    // that does nothing).
+    public static parseGeometry(actType : ActionType, param : string) 
+                                                            : GeometryParam | undefined 
+    {
+        const errLoc = `${actType} action parameter`;
+        const text = param.trim();
+        if (actType === 'move_region' && text === 'pointer') {
+            return {mode: 'pointer', a: 0, b: 0};
+        }
+
+        const mode = text.startsWith('by ') ? 'by' : 'to';
+        const count = (actType === 'set_rotation') ? 1 : 2;
+        const nums = Check.numberList(mode === 'by' ? text.substring(3) : text, count, 
+                                      errLoc);
+        if (!nums) return undefined;
+        if (actType === 'resize_region' && mode === 'to' && (nums[0] < 0 || nums[1] < 0)) {
+            Err.emit(`Negative size "${param}" in ${errLoc}`);
+            return undefined;
+        }
+        return {mode, a: nums[0], b: nums[1] ?? 0};
+    }
+
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Construct a list of Actions from a (supposed) array of Action_json objects.  
+    // A missing list is treated as empty, and a value which is not an array is reported
+    // with Err.emit() (using the given location string in the message) and also 
+    // treated as empty.
+    public static listFromJson(jsonList : Action_json[] | undefined, errLoc : string) : Action[] {
+        let actions : Action[] = [];
+        if (jsonList === undefined) return actions;
+
+        if (!Array.isArray(jsonList)) {
+            Err.emit(`Action list not an array in ${errLoc}`);
+        } else {
+            for (let act of jsonList) {
+                actions.push(Action.fromJson(act));
+            }
+        }
+        return actions;
+    }
+
     //-------------------------------------------------------------------
     // Properties
     //-------------------------------------------------------------------
@@ -74,13 +313,67 @@ export class Action {
     protected _param : string;
     public get param() {return this._param;}
 
+    // The name of the FSM variable our action is acting on (can be "")
+    protected _varName : string;
+    public get varName() {return this._varName;}
+
+    // The name of the FSM timer our action is acting on (can be "")
+    protected _timerName : string;
+    public get timerName() {return this._timerName;}
+
+    // The parameter parsed as an expression, for actions which evaluate their 
+    // parameter (undefined for all others)
+    protected _paramExpr : Expression | undefined;
+    public get paramExpr() {return this._paramExpr;}
+
+    // The parameter parsed as a geometry specification, for move_region, 
+    // resize_region, and set_rotation actions (undefined for all others, or if the 
+    // parameter was bad)
+    protected _geometry : GeometryParam | undefined;
+    public get geometry() {return this._geometry;}
+
+    // The parameter parsed as a list of tween targets, for animate_region actions 
+    // (undefined for all others, or if the parameter was bad)
+    protected _targets : TweenTarget[] | undefined;
+    public get targets() {return this._targets;}
+
+    // The parameter parsed as a list of image locations, for play_frames actions 
+    // (undefined for all others, or if the parameter was bad)
+    protected _frames : string[] | undefined;
+    public get frames() {return this._frames;}
+
+    // Whether a play_frames action loops
+    protected _loop : boolean;
+    public get loop() {return this._loop;}
+
+    // How long the change made by this action is animated over in milliseconds (0 for
+    // no animation), and the easing curve used
+    protected _duration : number;
+    public get duration() {return this._duration;}
+    protected _easing : Easing;
+    public get easing() {return this._easing;}
+
+    // The name of the interactor a send_event action sends to ("" to broadcast)
+    protected _target : string;
+    public get target() {return this._target;}
+
+    // The expression giving the value a send_event or emit action passes along 
+    // (undefined for all other actions, or if no payload was given)
+    protected _payloadExpr : Expression | undefined;
+    public get payloadExpr() {return this._payloadExpr;}
+
+    // The FSM this action is part of (this is established by bindOwner())
+    protected _owner : FSM | undefined;
+    public get owner() {return this._owner;}
+
     //-------------------------------------------------------------------
     // Methods
     //-------------------------------------------------------------------
 
-    // Carry out the action represented by this object.  evtType and evtReg describe
-    // the event which is causing the action (for use by print_event actions).
-    public execute(evtType : EventType, evtReg? : Region) { 
+    // Carry out the action represented by this object.  evt describes the event which
+    // is causing the action (see FSMEvent).
+    public execute(evt : FSMEvent) { 
+        const evtReg = evt.region;
         if (this._actType === 'none') return;
         
         // **** YOUR CODE HERE ****
@@ -88,7 +381,16 @@ export class Action {
         // set the image of the region to the parameter if the action is set_image
         if (this._actType === 'set_image') {
             if (this._onRegion) {
-                this._onRegion.imageLoc = this._param;
+                // a set_image with a duration cross-fades to the new image
+                const reg = this._onRegion;
+                if (this._duration > 0 && this._owner) {
+                    reg.beginCrossFade();
+                    reg.imageLoc = this._param;
+                    this._owner.startAnimation(new Animation(reg, [], this._duration, 
+                                        this._easing, true, this._owner.clock));
+                } else {
+                    reg.imageLoc = this._param;
+                }
             }
             return;
         } // clear the image of the region if the action is clear_image
@@ -97,6 +399,42 @@ export class Action {
                 this._onRegion.imageLoc = "";
             }
             return;
+        } // load the image of the region again (e.g., after it failed)
+        else if (this._actType === 'reload_image') {
+            if (this._onRegion) this._onRegion.reloadImage();
+            return;
+        } // set the text or colors of the region
+        else if (this._actType === 'set_text') {
+            if (this._onRegion) this._onRegion.text = this._param;
+            return;
+        }
+        else if (this._actType === 'set_fill') {
+            if (this._onRegion) this._onRegion.fill = this._param;
+            return;
+        }
+        else if (this._actType === 'set_stroke') {
+            if (this._onRegion) this._onRegion.stroke = this._param;
+            return;
+        } // change how the region is presented
+        else if (this._actType === 'set_fit') {
+            if (this._onRegion && imageFitStrings.includes(this._param)) {
+                this._onRegion.fit = this._param as ImageFit;
+            }
+            return;
+        }
+        else if (this._actType === 'set_opacity') {
+            const opacity = Number(this._param);
+            if (this._onRegion && this._param !== "" && !isNaN(opacity)) {
+                this._onRegion.opacity = opacity;
+            }
+            return;
+        }
+        else if (this._actType === 'set_rotation') {
+            const geom = this._geometry;
+            if (!this._onRegion || !geom) return;
+            const reg = this._onRegion;
+            reg.rotation = (geom.mode === 'by') ? reg.rotation + geom.a : geom.a;
+            return;
         } // print the parameter if the action is print 
         else if (this._actType === 'print') {
             console.log(this._param);
@@ -104,7 +442,7 @@ export class Action {
         } // or print the parameter and the event type and region if the action is print_event 
         else if (this._actType === 'print_event') {
             console.log(this._param);
-            console.log(`${evtType}`);
+            console.log(evt.debugString());
             return;
         } // set the emoji of the region to the parameter if the action is set_emoji
         else if (this._actType === 'set_emoji') {
@@ -124,7 +462,118 @@ export class Action {
                 evtReg.emoji = "";
             }
             return;
+        } // set or increment an FSM variable based on our parameter expression
+        else if (this._actType === 'set_var' || this._actType === 'inc_var') {
+            if (!this._owner || !this._paramExpr) return;
+            const val = this._paramExpr.evaluate(this._owner.variablesFor(evt));
+            if (this._actType === 'set_var') {
+                this._owner.setVariable(this._varName, val);
+            } else {
+                const old = this._owner.getVariable(this._varName);
+                this._owner.setVariable(this._varName, (old as any) + (val as any));
+            }
+            return;
+        } // start or cancel a named timer in the FSM
+        else if (this._actType === 'start_timer') {
+            const ms = Number(this._param);
+            this._owner?.startTimer(this._timerName, ms >= 0 ? ms : 0);
+            return;
         } 
+        else if (this._actType === 'cancel_timer') {
+            this._owner?.cancelTimer(this._timerName);
+            return;
+        } // change the position or size of our region
+        else if (this._actType === 'move_region') {
+            const geom = this._geometry;
+            if (!this._onRegion || !geom) return;
+            const reg = this._onRegion;
+            if (geom.mode === 'to') {
+                reg.position = {x: geom.a, y: geom.b};
+            } else if (geom.mode === 'by') {
+                reg.position = {x: reg.x + geom.a, y: reg.y + geom.b};
+            } else {
+                reg.position = {x: reg.x + evt.motionX, y: reg.y + evt.motionY};
+            }
+            return;
+        }
+        else if (this._actType === 'resize_region') {
+            const geom = this._geometry;
+            if (!this._onRegion || !geom) return;
+            const reg = this._onRegion;
+            if (geom.mode === 'to') {
+                reg.size = {w: geom.a, h: geom.b};
+            } else {
+                reg.size = {w: Math.max(0, reg.w + geom.a), h: Math.max(0, reg.h + geom.b)};
+            }
+            return;
+        } // show, hide, or raise our region
+        else if (this._actType === 'show_region' || this._actType === 'hide_region') {
+            if (this._onRegion) this._onRegion.visible = (this._actType === 'show_region');
+            return;
+        }
+        else if (this._actType === 'raise_region') {
+            if (this._onRegion) this._owner?.raiseRegion(this._onRegion);
+            return;
+        } // animate our region to new geometry
+        else if (this._actType === 'animate_region') {
+            if (!this._onRegion || !this._targets || !this._owner) return;
+            this._owner.startAnimation(new Animation(this._onRegion, this._targets, 
+                                        this._duration, this._easing, false, 
+                                        this._owner.clock));
+            return;
+        } // play or stop a sequence of images in our region
+        else if (this._actType === 'play_frames') {
+            if (!this._onRegion || !this._frames || !this._owner) return;
+            const anim = new Animation(this._onRegion, [], this._duration, this._easing, 
+                                       false, this._owner.clock, this._frames, this._loop);
+            this._owner.startAnimation(anim);
+            return;
+        }
+        else if (this._actType === 'stop_frames') {
+            const reg = this._onRegion;
+            if (!reg || !this._owner) return;
+            this._owner.parent?.root?.cancelAnimations(this._owner, 
+                                (anim) => anim.region === reg && anim.frames.length > 0);
+            return;
+        } // send a custom event to another interactor (or all of them)
+        else if (this._actType === 'send_event') {
+            if (this._owner) this._sendEvent(this._owner, evt);
+            return;
+        } // call out to the host application
+        else if (this._actType === 'emit') {
+            if (!this._owner) return;
+            const value = this._payloadExpr?.evaluate(this._owner.variablesFor(evt));
+            this._owner.emit(this._param, value, evt);
+            return;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Carry out a send_event action on behalf of the given FSM.  Without a Root 
+    // (e.g., before the interactor is attached to one) the only interactor we can 
+    // reach is our own.
+    protected _sendEvent(owner : FSM, evt : FSMEvent) : void {
+        const payload = this._payloadExpr?.evaluate(owner.variablesFor(evt));
+        const self = owner.parent;
+        const root = self?.root;
+        if (!root) {
+            if (self && (this._target === "" || this._target === self.name)) {
+                self.receiveEvent(this._param, payload);
+            }
+            return;
+        }
+
+        if (this._target === "") {
+            root.broadcast(this._param, payload);
+            return;
+        }
+        const dest = root.findInteractor(this._target);
+        if (!dest) {
+            Err.emit(`Interactor '${this._target}' in send_event action not found.`);
+            return;
+        }
+        dest.receiveEvent(this._param, payload);
     }
 
      //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -143,14 +592,39 @@ export class Action {
         }
         
         // ok to have no matching region for some actions
-        if (this.actType === 'none' || this.actType === 'print' || 
-                                       this.actType === 'print_event') {
+        if (!this.usesRegion()) {
             this._onRegion = undefined;
             return;
         }
         
         Err.emit(`Region '${this._onRegionName}' in action does not match any region.`);
     }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Establish the FSM this action is part of, and check that any variables the 
+    // action refers to are declared within it.
+    public bindOwner(owner : FSM) : void {
+        this._owner = owner;
+
+        this._payloadExpr?.checkVariables(owner.variables, [FSM.payloadVar]);
+        if (this.actType !== 'set_var' && this.actType !== 'inc_var') return;
+        if (!owner.variables.has(this._varName)) {
+            Err.emit(`Variable '${this._varName}' in action is not declared in FSM.`);
+        }
+        this._paramExpr?.checkVariables(owner.variables, [FSM.payloadVar]);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Indicate whether this type of action acts on a region
+    public usesRegion() : boolean {
+        return this.actType !== 'none' && this.actType !== 'print' && 
+               this.actType !== 'print_event' && this.actType !== 'set_var' &&
+               this.actType !== 'inc_var' && this.actType !== 'start_timer' &&
+               this.actType !== 'cancel_timer' && this.actType !== 'send_event' &&
+               this.actType !== 'emit';
+    }
    
     //-------------------------------------------------------------------
     // Debugging Support
@@ -173,10 +647,15 @@ export class Action {
 
         // main display
         result += `${this.actType} ${this.onRegionName} "${this.param}"`;
+        if (this.varName) result += ` var:${this.varName}`;
+        if (this.timerName) result += ` timer:${this.timerName}`;
+        if (this.duration) result += ` duration:${this.duration} ${this.easing}`;
+        if (this.loop) result += " loop";
+        if (this.target) result += ` target:${this.target}`;
+        if (this.payloadExpr) result += ` payload:"${this.payloadExpr.source}"`;
 
         // possible warning about an unbound region
-        if (!this.onRegion && this.actType !== 'none' && 
-             this.actType !== 'print' && this.actType !== 'print_event') {
+        if (!this.onRegion && this.usesRegion()) {
                 result += " unbound";
         }
         
@@ -0,0 +1,347 @@
+import { Err } from "./Err.js";
+import { Check } from "./Check.js";
+import { Region } from "./Region.js";
+import { Clock, RealClock } from "./Clock.js";
+
+//===================================================================
+// Class for objects which animate a change to a region over a period of time.  An
+// animation is one of three kinds:
+//   * a tween, which moves some of the numeric properties of a region (x, y, w, h,
+//     opacity, and rotation) from their values when the animation is created to 
+//     target values.  Targets are
+//     given either as absolute values or relative to the starting values.
+//   * a cross-fade, which blends from the image a region was showing when the
+//     animation was created to the image it shows now (see Region.beginCrossFade()).
+//   * a frame sequence, which shows each of a list of images in turn (e.g., frames of
+//     an Atlas making up a sprite loop), spending an equal part of the duration on 
+//     each.  A sequence either plays once (ending on its last image) or loops until 
+//     cancelled.
+// Progress through an animation is shaped by an easing curve:
+//   * linear       constant speed
+//   * ease_in      starts slowly and speeds up
+//   * ease_out     starts quickly and slows down
+//   * ease_in_out  starts and ends slowly
+// Animations are timed by a Clock (normally that of the FSM the region belongs to),
+// and are run by a Root object which calls step() on each of its animations once per
+// display frame (see Root.addAnimation()) until they finish.  When an animation
+// finishes, its onDone callback (if any) is called by whoever ran it, which FSMs use
+// to deliver an animation_done event for the region (see FSM.startAnimation()).
+//===================================================================
+
+// Easing curves, along with corresponding strings
+export type Easing = 'linear' | 'ease_in' | 'ease_out' | 'ease_in_out';
+export const easingStrings = ['linear', 'ease_in', 'ease_out', 'ease_in_out'];
+
+// Region properties which can be tweened, along with corresponding strings
+export type TweenProp = 'x' | 'y' | 'w' | 'h' | 'opacity' | 'rotation';
+const tweenPropStrings = ['x', 'y', 'w', 'h', 'opacity', 'rotation'];
+
+// One target for a tween: either an absolute value for the property, or (if relative
+// is true) an amount to change it by
+export type TweenTarget = {prop : TweenProp, value : number, relative : boolean};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class Animation {
+
+    public constructor(
+        region    : Region,
+        targets   : readonly TweenTarget[],
+        duration  : number,
+        easing    : Easing = 'linear',
+        crossFade : boolean = false,
+        clock     : Clock = new RealClock(),
+        frames    : readonly string[] = [],
+        loop      : boolean = false)
+    {
+        this._region = region;
+        this._duration = Math.max(0, duration);
+        this._easing = easing;
+        this._crossFade = crossFade;
+        this._frames = [...frames];
+        this._loop = loop && frames.length > 0;
+        this._clock = clock;
+        this._startTime = clock.now();
+
+        // record where each tweened property starts and ends
+        this._from = {};
+        this._to = {};
+        for (let targ of targets) {
+            const start = region[targ.prop];
+            this._from[targ.prop] = start;
+            this._to[targ.prop] = targ.relative ? start + targ.value : targ.value;
+        }
+    }
+
+    // Parse a list of tween targets, in the form used by the parameter of the
+    // animate_region action: a comma separated list of entries, each a property name
+    // followed by "=" and a value (to go to that value), or by "+=" or "-=" and a
+    // value (to change by that amount), e.g., "x=100, y+=20".  Malformed lists are
+    // reported with Err.emit() (using the given location string in the message) and
+    // result in undefined.
+    public static parseTargets(param : string, errLoc : string)
+                                                        : TweenTarget[] | undefined
+    {
+        const result : TweenTarget[] = [];
+        for (let entry of param.split(',')) {
+            const match = /^\s*(\w+)\s*([+-]?)=\s*(\S+)\s*$/.exec(entry);
+            if (!match) {
+                Err.emit(`Malformed target "${entry.trim()}" in ${errLoc}`);
+                return undefined;
+            }
+            const [, name, sign, numText] = match;
+            const prop = Check.limitedString<TweenProp | undefined>(
+                                                name, tweenPropStrings, undefined, errLoc);
+            const value = Number(numText);
+            if (prop === undefined) return undefined;
+            if (numText === "" || isNaN(value)) {
+                Err.emit(`Value "${numText}" for ${prop} is not a number in ${errLoc}`);
+                return undefined;
+            }
+            if (prop === 'w' || prop === 'h') {
+                if (sign === "" && value < 0) {
+                    Err.emit(`Negative size for ${prop} in ${errLoc}`);
+                    return undefined;
+                }
+            }
+            if (prop === 'opacity' && sign === "" && (value < 0 || value > 1)) {
+                Err.emit(`Opacity ${value} is not between 0 and 1 in ${errLoc}`);
+                return undefined;
+            }
+            result.push({prop, value: (sign === '-') ? -value : value,
+                         relative: sign !== ""});
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Parse a list of images for a frame sequence, in the form used by the parameter
+    // of the play_frames action: a comma separated list of image locations (any of 
+    // which may be atlas frames, see Atlas).  An entry containing a numeric range of
+    // the form "first..last" stands for one image per number in the range, e.g., 
+    // "hero.png#walk_1..4" for the frames walk_1 through walk_4, or "run_01..12.png"
+    // for run_01.png through run_12.png (numbers are zero padded to the width of the
+    // first when it starts with a zero).  Malformed lists are reported with Err.emit()
+    // (using the given location string in the message) and result in undefined.
+    public static parseFrames(param : string, errLoc : string) : string[] | undefined {
+        const result : string[] = [];
+        for (let entry of param.split(',')) {
+            entry = entry.trim();
+            if (entry === "") {
+                Err.emit(`Empty image location in "${param}" in ${errLoc}`);
+                return undefined;
+            }
+            const match = /^(.*?)(\d+)\.\.(\d+)(.*)$/.exec(entry);
+            if (!match) {
+                result.push(entry);
+                continue;
+            }
+            const [, before, firstText, lastText, after] = match;
+            const first = Number(firstText), last = Number(lastText);
+            const width = firstText.startsWith('0') ? firstText.length : 0;
+            const step = (last >= first) ? 1 : -1;
+            for (let n = first; n !== last + step; n += step) {
+                let num = String(n);
+                while (num.length < width) num = '0' + num;
+                result.push(before + num + after);
+            }
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Apply an easing curve to a fraction of the way through an animation (0 to 1),
+    // producing the fraction of the way through the change to show at that point
+    public static ease(easing : Easing, t : number) : number {
+        t = Math.min(1, Math.max(0, t));
+        switch (easing) {
+            case 'ease_in':     return t * t * t;
+            case 'ease_out':    return 1 - Math.pow(1 - t, 3);
+            case 'ease_in_out': return (t < 0.5) ? 4 * t * t * t :
+                                                   1 - Math.pow(-2 * t + 2, 3) / 2;
+            default:            return t;
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The region being animated
+    protected _region : Region;
+    public get region() {return this._region;}
+
+    // How long the animation takes (in milliseconds)
+    protected _duration : number;
+    public get duration() {return this._duration;}
+
+    // The easing curve used
+    protected _easing : Easing;
+    public get easing() {return this._easing;}
+
+    // Whether this is a cross-fade between images (rather than a tween)
+    protected _crossFade : boolean;
+    public get crossFade() {return this._crossFade;}
+
+    // The images shown in turn by a frame sequence (empty for other animations), and
+    // whether the sequence loops
+    protected _frames : string[];
+    public get frames() : readonly string[] {return this._frames;}
+    protected _loop : boolean;
+    public get loop() {return this._loop;}
+
+    // The clock timing the animation, and the time on it the animation started
+    protected _clock : Clock;
+    protected _startTime : number;
+    public get startTime() {return this._startTime;}
+
+    // Starting and ending values of the properties being tweened
+    protected _from : {[prop in TweenProp]? : number};
+    protected _to : {[prop in TweenProp]? : number};
+
+    // The properties being tweened
+    public get props() : TweenProp[] {
+        return tweenPropStrings.filter((p) => this._to[p as TweenProp] !== undefined) as
+                                                                            TweenProp[];
+    }
+
+    // Whether the animation has finished (or been cancelled)
+    protected _finished : boolean = false;
+    public get finished() {return this._finished;}
+
+    // Callback made (by whoever runs the animation) once it finishes by reaching its
+    // end.  This is not called for animations which are cancelled.
+    public onDone : (() => void) | undefined = undefined;
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Update the region to show the animation as of the current time.  Returns true
+    // if this brings the animation to its end (and false otherwise, including if it
+    // had already finished).  Looping frame sequences never reach their end.
+    public step() : boolean {
+        if (this._finished) return false;
+        const elapsed = this._clock.now() - this._startTime;
+        if (this._loop && this._duration > 0) {
+            const t = (elapsed % this._duration) / this._duration;
+            this._apply(Animation.ease(this._easing, t));
+            return false;
+        }
+        const t = (this._duration > 0) ? elapsed / this._duration : 1;
+        if (t >= 1) {
+            this.finish();
+            return true;
+        }
+        this._apply(Animation.ease(this._easing, t));
+        return false;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Jump to the end of the animation, leaving the region as it will be when the
+    // animation is complete
+    public finish() : void {
+        if (this._finished) return;
+        this._apply(1);
+        if (this._crossFade) this._region.endCrossFade();
+        this._finished = true;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Stop the animation where it is (a cross-fade stops showing the old image)
+    public cancel() : void {
+        if (this._finished) return;
+        if (this._crossFade) this._region.endCrossFade();
+        this._finished = true;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Indicate whether this animation would fight with the given one over the region:
+    // they animate the same region, and both change its image (as cross-fades and 
+    // frame sequences do) or they tween some of the same properties
+    public conflictsWith(other : Animation) : boolean {
+        if (other.region !== this._region) return false;
+        if (other.changesImage || this.changesImage) {
+            return other.changesImage === this.changesImage;
+        }
+        return other.props.some((p) => this._to[p] !== undefined);
+    }
+
+    // Whether this animation changes the image of its region
+    public get changesImage() : boolean {
+        return this._crossFade || this._frames.length > 0;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Set the region to show the given (eased) fraction of the way through the change
+    protected _apply(frac : number) : void {
+        const reg = this._region;
+        if (this._crossFade) reg.fadeAmount = frac;
+        if (this._frames.length > 0) {
+            const n = this._frames.length;
+            reg.imageLoc = this._frames[Math.min(n - 1, Math.floor(frac * n))];
+        }
+
+        const value = (prop : TweenProp) : number => {
+            const from = this._from[prop], to = this._to[prop];
+            if (from === undefined || to === undefined) return reg[prop];
+            return from + (to - from) * frac;
+        };
+        reg.position = {x: value('x'), y: value('y')};
+        reg.size = {w: value('w'), h: value('h')};
+        if (this._to.opacity !== undefined) reg.opacity = value('opacity');
+        if (this._to.rotation !== undefined) reg.rotation = value('rotation');
+    }
+
+    //-------------------------------------------------------------------
+    // Debugging Support
+    //-------------------------------------------------------------------
+
+    // Create a short human readable string representing this object for debugging
+    public debugTag() : string {
+        return `Animation(${this._region.name})`;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Create a human readable string displaying this object for debugging purposes
+    public debugString(indent : number = 0) : string {
+        let result = "";
+        const indentStr = '  ';  // two spaces per indent level
+
+        // produce the indent
+        for (let i = 0; i < indent; i++) result += indentStr;
+
+        result += `Animation(${this._region.name}`;
+        if (this._crossFade) result += " cross-fade";
+        if (this._frames.length > 0) {
+            result += ` frames[${this._frames.join(',')}]${this._loop ? " loop" : ""}`;
+        }
+        for (let prop of this.props) {
+            result += ` ${prop}:${this._from[prop]}->${this._to[prop]}`;
+        }
+        result += ` ${this._duration}ms ${this._easing}`;
+        if (this._finished) result += " finished";
+        result += ")";
+
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Log a human readable string for this object to the console
+    public dump() {
+        console.log(this.debugString());
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class Animation
+
+//===================================================================
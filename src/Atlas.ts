@@ -0,0 +1,236 @@
+import { Err } from "./Err.js";
+import { Rect } from "./Rect.js";
+import { Clock, RealClock, RetryPolicy, noRetries, withRetries } from "./Clock.js";
+
+//===================================================================
+// Class for image atlases (also known as sprite sheets): a single image (the sheet)
+// holding many smaller images (frames), along with a frame map giving the name and
+// position of each frame within the sheet.  Regions show a frame by using an image
+// location of the form "sheet#frame", e.g., "images/hero.png#walk_1".  The sheet is
+// then loaded (and cached) once, however many frames of it are used, and regions draw
+// just the part of it holding their frame (see Region).
+//
+// The frame map for a sheet is loaded from the location of the sheet with its
+// extension replaced by ".json" (e.g., "images/hero.json"; see mapLocFor()), using the
+// function installed as Atlas.loader (retried as the image load policy says; see 
+// Region.retryPolicy), and is cached along with the sheet.  In json, a
+// frame map gives the rectangle of each frame by name, e.g.,
+//   {"frames": {"walk_1": {"x": 0, "y": 0, "w": 32, "h": 48},
+//               "walk_2": {"x": 32, "y": 0, "w": 32, "h": 48}}}
+// Frames may also be given in the form written by common sprite packing tools, with
+// the rectangle under a "frame" property, e.g., {"walk_1": {"frame": {"x": 0, ...}}}.
+//===================================================================
+
+// Type for the rectangle of one frame, as represented in json
+export type AtlasFrame_json = {x : number, y : number, w : number, h : number} |
+                              {frame : {x : number, y : number, w : number, h : number}};
+
+// Type for a frame map as represented in json
+export type Atlas_json = {frames : {[name : string] : AtlasFrame_json}};
+
+// Type for functions which load the frame map from a location, returning a promise
+// which resolves to its json form (or rejects if the load fails)
+export type AtlasLoader = (mapLoc : string) => Promise<Atlas_json>;
+
+// Default frame map loader which fetches the map and parses it as json
+export async function browserAtlasLoader(mapLoc : string) : Promise<Atlas_json> {
+    const response = await fetch(mapLoc);
+    if (!response.ok) throw new Error(`status ${response.status} fetching ${mapLoc}`);
+    return await response.json();
+}
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class Atlas {
+
+    public constructor(sheetLoc : string, frames : ReadonlyMap<string, Rect>) {
+        this._sheetLoc = sheetLoc;
+        this._frames = new Map(frames);
+    }
+
+    // Construct an Atlas for the given sheet from its frame map in json form, checking
+    // all the parts (since data coming from json parsing lives in javascript land and
+    // may not actually be typed at runtime as we think/hope it is).  Problems are
+    // reported with Err.emit() (using the given location string in the message), and
+    // bad frames are left out.
+    public static fromJson(json : Atlas_json, sheetLoc : string, errLoc : string)
+                                                                            : Atlas
+    {
+        const frames = new Map<string, Rect>();
+        if (typeof json !== 'object' || json === null ||
+            typeof json.frames !== 'object' || json.frames === null)
+        {
+            Err.emit(`Frame map has no frames object in ${errLoc}`);
+            return new Atlas(sheetLoc, frames);
+        }
+        for (let name of Object.keys(json.frames)) {
+            const entry : any = json.frames[name];
+            const rect = (typeof entry === 'object' && entry !== null &&
+                          'frame' in entry) ? entry.frame : entry;
+            if (typeof rect !== 'object' || rect === null ||
+                !['x', 'y', 'w', 'h'].every((part) => typeof rect[part] === 'number') ||
+                rect.w < 0 || rect.h < 0)
+            {
+                Err.emit(`Frame '${name}' is not a rectangle in ${errLoc}`);
+                continue;
+            }
+            frames.set(name, {x: rect.x, y: rect.y, w: rect.w, h: rect.h});
+        }
+        return new Atlas(sheetLoc, frames);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Split an image location into the location of its sheet and the name of the frame
+    // within it (which is "" for locations which refer to a whole image)
+    public static splitLoc(imageLoc : string) : {sheet : string, frame : string} {
+        const indx = imageLoc.indexOf('#');
+        if (indx < 0) return {sheet: imageLoc, frame: ""};
+        return {sheet: imageLoc.substring(0, indx), frame: imageLoc.substring(indx + 1)};
+    }
+
+    // The location the frame map for the given sheet is loaded from: the location of
+    // the sheet with its extension (if any) replaced by ".json"
+    public static mapLocFor(sheetLoc : string) : string {
+        const dot = sheetLoc.lastIndexOf('.');
+        const base = (dot > sheetLoc.lastIndexOf('/')) ? sheetLoc.substring(0, dot) :
+                                                          sheetLoc;
+        return `${base}.json`;
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The location of the sheet image this is the frame map for
+    protected _sheetLoc : string;
+    public get sheetLoc() {return this._sheetLoc;}
+
+    // The rectangle of each frame within the sheet, by name
+    protected _frames : Map<string, Rect>;
+    public get frameNames() : string[] {return Array.from(this._frames.keys());}
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // The rectangle of the named frame within the sheet (undefined if there is no such
+    // frame)
+    public frame(name : string) : Readonly<Rect> | undefined {
+        return this._frames.get(name);
+    }
+
+    //-------------------------------------------------------------------
+    // (Static) Frame map cache methods
+    //-------------------------------------------------------------------
+
+    // The function used to load frame maps (see AtlasLoader)
+    public static loader : AtlasLoader = browserAtlasLoader;
+
+    // Map used to cache atlases by the location of their sheet (undefined for those
+    // whose frame map failed to load)
+    protected static _cache = new Map<string, Atlas | undefined>();
+
+    // Indicate if the atlas for the given sheet is in the cache
+    public static isCached(sheetLoc : string) : boolean {
+        return Atlas._cache.has(sheetLoc);
+    }
+
+    // Retrieve the atlas for the given sheet from the cache, or return undefined if it
+    // is not cached (or failed to load)
+    public static fromCache(sheetLoc : string) : Atlas | undefined {
+        return Atlas._cache.get(sheetLoc);
+    }
+
+    // Loads in progress, by the location of their sheet, along with the loader doing 
+    // each (so that loads started with a different loader installed aren't shared)
+    protected static _loading = 
+        new Map<string, {loader : AtlasLoader, done : Promise<Atlas | undefined>}>();
+
+    // Load the atlas for the given sheet (if it isn't already cached or being loaded),
+    // producing it or undefined if its frame map could not be loaded.  Failed loads are
+    // retried as the given policy says (waiting with the given clock).  Frame maps which
+    // still fail to load are reported with Err.emit(), and marked as such in the cache 
+    // (so are not loaded again until invalidated; see invalidate()).
+    public static load(
+        sheetLoc : string, 
+        retry    : RetryPolicy = noRetries, 
+        clock    : Clock = new RealClock()) : Promise<Atlas | undefined> 
+    {
+        if (Atlas._cache.has(sheetLoc)) return Promise.resolve(Atlas._cache.get(sheetLoc));
+        const loading = Atlas._loading.get(sheetLoc);
+        if (loading && loading.loader === Atlas.loader) return loading.done;
+
+        const loader = Atlas.loader;
+        const entry = {loader, done: (async () => {
+            const mapLoc = Atlas.mapLocFor(sheetLoc);
+            try {
+                const json = await withRetries(() => loader(mapLoc), retry, clock);
+                return Atlas.fromJson(json, sheetLoc, `frame map ${mapLoc}`);
+            } catch (err) {
+                Err.emit(`Load of frame map from ${mapLoc} failed`);
+                return undefined;
+            }
+        })()};
+        Atlas._loading.set(sheetLoc, entry);
+
+        // cache the result (unless we were invalidated or superseded while loading)
+        entry.done.then((atlas) => {
+            if (Atlas._loading.get(sheetLoc) !== entry) return;
+            Atlas._loading.delete(sheetLoc);
+            Atlas._cache.set(sheetLoc, atlas);
+        });
+        return entry.done;
+    }
+
+    // Remove the atlas for the given sheet from the cache (or all atlases if no sheet
+    // is given), so that it is loaded again the next time it is needed.  Loads in 
+    // progress are forgotten (and their results not cached).
+    public static invalidate(sheetLoc? : string) : void {
+        if (sheetLoc === undefined) {
+            Atlas._cache.clear();
+            Atlas._loading.clear();
+        } else {
+            Atlas._cache.delete(sheetLoc);
+            Atlas._loading.delete(sheetLoc);
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Debugging Support
+    //-------------------------------------------------------------------
+
+    // Create a short human readable string representing this object for debugging
+    public debugTag() : string {
+        return `Atlas(${this._sheetLoc})`;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Create a human readable string displaying this object for debugging purposes
+    public debugString(indent : number = 0) : string {
+        let result = "";
+        const indentStr = '  ';  // two spaces per indent level
+
+        // produce the indent
+        for (let i = 0; i < indent; i++) result += indentStr;
+
+        result += `Atlas(${this._sheetLoc}`;
+        this._frames.forEach((r, name) => result += ` ${name}(${r.x},${r.y},${r.w},${r.h})`);
+        result += ")";
+
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Log a human readable string for this object to the console
+    public dump() {
+        console.log(this.debugString());
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class Atlas
+
+//===================================================================
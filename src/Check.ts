@@ -141,6 +141,25 @@ export class Check {
     }
    
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check a string we are expecting to hold a comma separated list of the given 
+    // number of numbers (e.g., "10, -2.5"), returning the numbers.  If the string is 
+    // not of that form, an error is emitted and undefined is returned.
+    public static numberList(
+        val          : string,
+        count        : number,
+        errLoc       : string = "") : number[] | undefined
+    {
+        const parts = val.split(',');
+        const nums = parts.map((part) => (part.trim() === "") ? NaN : Number(part));
+        if (parts.length === count && nums.every((num) => isFinite(num))) return nums;
+
+        let mesg = `Expected a list of ${count} numbers`;
+        if (errLoc) mesg += ` in ${errLoc}`;
+        Err.emit(mesg + `, found: "${val}"`);
+        return undefined;
+    }
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
    
     // Check a value we are expecting to be an array of some simple type
     public static arrayofSimpleType<ExpElmType>(
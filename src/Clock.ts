@@ -0,0 +1,151 @@
+//===================================================================
+// Clocks provide FSMs with the current time and with timers (used for timeout
+// events and the start_timer action).  Each FSM uses a Clock object which can be
+// replaced, so that time based behavior can be driven by something other than real
+// time.  Two implementations are provided:
+//   * RealClock    uses Date.now() and the normal javascript setTimeout() and
+//                  clearTimeout() functions.  This is the default.
+//   * ManualClock  only moves forward when its advance() method is called, firing
+//                  any timers which become due along the way.  This allows timing
+//                  behavior to be tested deterministically without waiting on real time.
+// Clocks are also used to wait between attempts when retrying things which may fail 
+// transiently, such as image loads (see RetryPolicy and withRetries()).
+//===================================================================
+
+// Type for the handles returned when a timer is set, which identify it for clearing
+export type TimerHandle = number;
+
+// The operations each clock object must provide
+export type Clock = {
+    // The current time in milliseconds
+    now() : number;
+
+    // Arrange for the given callback to be called (once) after the given delay (in
+    // milliseconds), returning a handle that can be used to cancel that.
+    setTimer(callback : () => void, delay : number) : TimerHandle;
+
+    // Cancel a timer set previously (does nothing if it has already fired)
+    clearTimer(handle : TimerHandle) : void;
+};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+// Clock driven by real time
+export class RealClock {
+
+    public now() : number {
+        return Date.now();
+    }
+
+    public setTimer(callback : () => void, delay : number) : TimerHandle {
+        return setTimeout(callback, delay);
+    }
+
+    public clearTimer(handle : TimerHandle) : void {
+        clearTimeout(handle);
+    }
+
+} // end class RealClock
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+// Clock which moves forward only under program control (via advance())
+export class ManualClock {
+
+    public constructor(startTime : number = 0) {
+        this._time = startTime;
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The current time in milliseconds
+    protected _time : number;
+    public now() : number {return this._time;}
+
+    // Timers which have been set but have not fired or been cleared, along with
+    // the next handle to be assigned
+    protected _pending : {handle : TimerHandle, due : number, callback : () => void}[] = [];
+    protected _nextHandle : TimerHandle = 1;
+
+    // Number of timers currently waiting to fire
+    public get pendingCount() : number {return this._pending.length;}
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    public setTimer(callback : () => void, delay : number) : TimerHandle {
+        const handle = this._nextHandle++;
+        this._pending.push({handle, due: this._time + Math.max(0, delay), callback});
+        return handle;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    public clearTimer(handle : TimerHandle) : void {
+        this._pending = this._pending.filter((tm) => tm.handle !== handle);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Move time forward by the given number of milliseconds.  Timers which become
+    // due are fired in order of their due time (and in the order set for equal due
+    // times), with the current time set to the due time of each as it fires.  Timers
+    // set by the callbacks of other timers will also fire if they become due.
+    public advance(ms : number) : void {
+        const endTime = this._time + ms;
+        for (;;) {
+            // find the earliest timer due by the end time
+            let next = undefined;
+            for (let tm of this._pending) {
+                if (tm.due <= endTime && (!next || tm.due < next.due)) next = tm;
+            }
+            if (!next) break;
+
+            // remove it and fire it at its due time
+            this.clearTimer(next.handle);
+            this._time = next.due;
+            next.callback();
+        }
+        this._time = endTime;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class ManualClock
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+// Type for policies controlling how operations which fail are retried: how many times 
+// to retry after the first attempt, how long (in milliseconds) to wait before the 
+// first retry, and the factor that wait is multiplied by before each further retry
+export type RetryPolicy = {retries : number, delay : number, backoff : number};
+
+// Policy which makes just one attempt
+export const noRetries : RetryPolicy = {retries: 0, delay: 0, backoff: 1};
+
+// Run the given (asynchronous) operation, retrying it as the given policy says when
+// it fails (rejects), and waiting between attempts using timers of the given clock.
+// Produces the result of the first attempt which succeeds, or rejects with the failure
+// of the last attempt.
+export async function withRetries<T>(
+    attempt : () => Promise<T>, 
+    policy  : RetryPolicy, 
+    clock   : Clock) : Promise<T>
+{
+    let wait = policy.delay;
+    for (let tries = 0; ; tries++) {
+        try {
+            return await attempt();
+        } catch (err) {
+            if (tries >= policy.retries) throw err;
+        }
+        const delay = wait;
+        await new Promise<void>((resolve) => {clock.setTimer(resolve, delay);});
+        wait *= policy.backoff;
+    }
+}
+
+//===================================================================
@@ -11,6 +11,10 @@
 //   * 'throw';        re-throw the exception
 // where the messages and stack trace are taken from the exception object (if it 
 // implements the Error interface).  The Err.handleMethod property defaults to 'message'.
+//
+// In addition, the messages from Err.emit() and Err.warning() can be temporarily 
+// captured into a list rather than handled, using Err.capture() (e.g., so that a tool
+// can gather up and report all the problems found in an FSM description).
 //=================================================================== 
 
 // Setting values for configuring error handling by the Err class
@@ -36,6 +40,10 @@ export class Err {
     public static get handleMethod() {return this._handleMethod;}
     public static set handleMethod(v : ErrHandlingSetting) {this._handleMethod = v;}
 
+    // List that messages are being captured into by Err.capture() (or undefined when
+    // no capture is in progress).
+    protected static _captured : string[] | undefined = undefined;
+
     //-------------------------------------------------------------------
     // Methods
     //-------------------------------------------------------------------
@@ -104,6 +112,10 @@ export class Err {
     // with that message internally to gather a stack trace and then immediately 
     // catches that and handles it with Err.handle().
     public static emit(msg : string = "") : void {
+        if (Err._captured) {
+            Err._captured.push(msg);
+            return;
+        }
         try {
             throw new Error(msg);
         } catch (err) {Err.handle(err, 1);}
@@ -130,6 +142,10 @@ export class Err {
     // 'message' instead of 'throw' (if that was the global setting; if we were set up 
     // with 'full_message' that is used instead)
     public static warning(msg : string = "") : void {
+        if (Err._captured) {
+            Err._captured.push(msg);
+            return;
+        }
         // for a warning, we downgrade 'throw' to just a message 
         // if that would have been in effect
         let handl : ErrHandlingSetting = Err.handleMethod;
@@ -140,6 +156,24 @@ export class Err {
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Utility method to run the given function while capturing the messages from any
+    // calls to Err.emit() or Err.warning() it makes, rather than handling them.  The
+    // captured messages are returned (in the order emitted).  Captures may be nested,
+    // with each capturing only the messages emitted within it.
+    public static capture(fn : () => void) : string[] {
+        const saveCaptured = Err._captured;
+        const captured : string[] = [];
+        Err._captured = captured;
+        try {
+            fn();
+        } finally {
+            Err._captured = saveCaptured;
+        }
+        return captured;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 } // end Err class
 
 //===================================================================
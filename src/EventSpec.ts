@@ -1,6 +1,7 @@
 import { Err } from "./Err.js";
 import { Check } from "./Check.js";
 import { Region } from "./Region.js";
+import { FSMEvent, PointerType, pointerTypeStrings, Modifiers } from "./FSMEvent.js";
 
 //===================================================================
 // A class for objects with specify an event to match on an FSM transition.
@@ -10,33 +11,126 @@ import { Region } from "./Region.js";
 // primary locator was pointing when the event occured.  Region names can be given as
 // the wildcard value: '*' to indicate that any region should be considered a match.
 // The possible event types are:
-//   * press        the first/primary locator button went down over the given region
-//   * release      the first/primary locator button went up over the given region
-//   * release_none the first/primary locator button went up over an area with no region
+//   * press        a locator button went down over the given region
+//   * release      a locator button went up over the given region
+//   * release_none a locator button went up over an area with no region
+//   * double_click the primary locator button went down over the given region for the
+//                  second time in quick succession (this follows the press event)
+//   * context_press the secondary (usually right) locator button went down over the
+//                  given region (this follows the press event for that button)
+//   * wheel        the scroll wheel was turned while the locator was over the region
 //   * enter        the locator has moved into the given region
 //   * exit         the locator has moved out of the given region
 //   * move_inside  the locator has moved while inside the given region
+//   * key_down     a key was pressed while the interactor had the keyboard focus
+//   * key_up       a key was released while the interactor had the keyboard focus
+//   * animation_done  an animation of the given region (started by an animate_region
+//                  action, or a set_image action with a duration) has completed
+//   * image_loaded the load of the image of the given region has finished successfully
+//   * image_error  the load of the image of the given region has failed (after any 
+//                  retries; see Region.retryPolicy).  The region then shows a "broken
+//                  image" placeholder, and the reload_image action can try again.
+//                  For both of these, the image location is carried as the event 
+//                  detail.  Images found already loaded in the cache do not produce an
+//                  image_loaded event (but images which failed still produce 
+//                  image_error).
+//  Key events are associated with the region of the interactor which last received
+//  a press (if any), and the region name may be given as "" to match key events with 
+//  no associated region.  Key events can also optionally be restricted to a particular 
+//  key, given as the value the browser reports in KeyboardEvent.key (e.g., "Enter", 
+//  " ", "a", or "ArrowLeft").  A missing or "" key matches any key.
+//   * timeout      a period of time has passed.  This comes in two forms:
+//                  - with a duration (in milliseconds), the timeout is started when the
+//                    state the transition is from is entered and cancelled if that 
+//                    state is exited before it fires.
+//                  - with a timer name, it matches the firing of the named timer 
+//                    (which is started by a start_timer action; see Action).
+//                  Timeout events have no associated region, so the region name for 
+//                  them may be omitted (or given as "").
+//   * custom       a named event was sent to the interactor by another FSM (or by
+//                  its own; see the send_event action).  Custom events can optionally
+//                  be restricted to a particular event name, given as name.  A missing
+//                  or "" name matches any custom event.  Like timeouts, custom events
+//                  have no associated region, so the region name may be omitted.
+//  Press, release, release_none, enter, exit, and move_inside events may come from 
+//  several kinds of pointers (see FSMEvent).  These can optionally be restricted to
+//  one kind of pointer by giving a pointerType of "mouse", "pen", or "touch".  A 
+//  missing or "" pointerType matches any kind of pointer.  Press, release, 
+//  release_none, and double_click events match only the primary button (button 0) 
+//  unless another button number is given as button (or -1 for any button).  Any 
+//  event type may also require modifier keys to be held down, by giving modifiers as
+//  a "+" separated list drawn from "shift", "ctrl", "alt", and "meta" (e.g., 
+//  "shift+ctrl").  Other modifiers may also be held down.  Since the first matching
+//  transition is taken, transitions requiring modifiers should be listed before 
+//  similar transitions which do not.
 //  The following event types can be used for additional matching behavior
-//    * any         matches any event type which occurs "over" the given region
-//                  (or over any region if "*" was coded for the region).
+//    * any         matches any input event (press, release, release_none, 
+//                  double_click, context_press, wheel, enter, exit, move_inside, 
+//                  key_down, or key_up) which occurs "over" the given region (or over
+//                  any region if "*" was coded for the region, or with no region if ""
+//                  was).  Events the system generates itself (timeout, custom, 
+//                  animation_done, image_loaded, and image_error) never match it.
 //    * nevermatch  matches no events (primarily used to patch up values loaded from 
 //                  incorrectly formatted/typed json)
 //===================================================================
 
 export type EventType = 'press' | 'release' | 'release_none' | 'enter' | 'exit' | 
-                        'move_inside' | 'any' | 'nevermatch';
+                        'move_inside' | 'key_down' | 'key_up' | 'timeout' | 
+                        'double_click' | 'context_press' | 'wheel' | 
+                        'animation_done' | 'image_loaded' | 'image_error' | 
+                        'custom' | 'any' | 'nevermatch';
 const evtTypeStrings = ['press', 'release', 'release_none', 'enter', 'exit', 
-                        'move_inside', 'any', 'nevermatch'];
+                        'move_inside', 'key_down', 'key_up', 'timeout', 
+                        'double_click', 'context_press', 'wheel', 
+                        'animation_done', 'image_loaded', 'image_error', 
+                        'custom', 'any', 'nevermatch'];
 
-export type EventSpec_json = {evtType : EventType, region: string};
+// Event types which come from user input, and so can be matched by 'any'
+const inputEvtTypes : EventType[] = ['press', 'release', 'release_none', 'double_click',
+                                     'context_press', 'wheel', 'enter', 'exit', 
+                                     'move_inside', 'key_down', 'key_up'];
+
+// Event types which are filtered by button
+const buttonEvtTypes : EventType[] = ['press', 'release', 'release_none', 'double_click'];
+
+// Names of the modifier keys which can be required
+const modifierStrings = ['shift', 'ctrl', 'alt', 'meta'];
+
+export type EventSpec_json = {
+    evtType      : EventType, 
+    region       : string, 
+    key?         : string,
+    duration?    : number,
+    timer?       : string,
+    pointerType? : PointerType | "",
+    button?      : number,
+    modifiers?   : string,
+    name?        : string};
 
 //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
 export class EventSpec {
 
-    public constructor(evtTyp : EventType, regionName : string) {
+    public constructor(
+        evtTyp      : EventType, 
+        regionName  : string, 
+        key         : string = "",
+        duration    : number = 0,
+        timer       : string = "",
+        pointerType : PointerType | "" = "",
+        button      : number = 0,
+        modifiers   : (keyof Modifiers)[] = [],
+        eventName   : string = "") 
+    {
         this._evtType = evtTyp;
         this._regionName = regionName;
+        this._key = key;
+        this._duration = duration;
+        this._timer = timer;
+        this._pointerType = pointerType;
+        this._button = button;
+        this._modifiers = modifiers;
+        this._eventName = eventName;
         this._region = undefined; // will be bound once full FSM is provided
     }
 
@@ -47,9 +141,40 @@ export class EventSpec {
 
         const evtType : EventType = Check.limitedString<EventType>(
           evt.evtType, evtTypeStrings, "nevermatch", "EventSpec.fromJson{evtType:}");
-        const region : string = Check.stringVal(evt.region, "EvtType.fromJson{region:}")
+        // timeouts and custom events have no region, so we allow that to be left out 
+        // for them
+        const regionVal = (evtType === 'timeout' || evtType === 'custom') ? 
+                                                        (evt.region ?? "") : evt.region;
+        const region : string = Check.stringVal(regionVal, "EvtType.fromJson{region:}")
+        const key : string = Check.stringVal(evt.key ?? "", "EventSpec.fromJson{key:}");
+        const duration : number = 
+                    Check.numberVal(evt.duration ?? 0, "EventSpec.fromJson{duration:}");
+        const timer : string = Check.stringVal(evt.timer ?? "", "EventSpec.fromJson{timer:}");
+        const pointerType = Check.limitedString<PointerType | "">(evt.pointerType ?? "", 
+                  ["", ...pointerTypeStrings], "", "EventSpec.fromJson{pointerType:}");
+        const eventName : string = 
+                        Check.stringVal(evt.name ?? "", "EventSpec.fromJson{name:}");
+
+        // timeouts need either a duration or a timer name
+        if (evtType === 'timeout' && timer === "" && duration <= 0) {
+            Err.emit("Timeout event specification has neither a positive duration" + 
+                     " nor a timer name in EventSpec.fromJson()");
+        }
       
-        return new EventSpec(evtType, region);
+        const button = Check.numberVal(evt.button ?? 0, "EventSpec.fromJson{button:}");
+        const modText = 
+                Check.stringVal(evt.modifiers ?? "", "EventSpec.fromJson{modifiers:}");
+        let modifiers : (keyof Modifiers)[] = [];
+        if (modText.trim() !== "") {
+            for (let name of modText.split('+')) {
+                const mod = Check.limitedString<keyof Modifiers | "">(name.trim(), 
+                            modifierStrings, "", "EventSpec.fromJson{modifiers:}");
+                if (mod !== "") modifiers.push(mod);
+            }
+        }
+      
+        return new EventSpec(evtType, region, key, duration, timer, pointerType, 
+                             button, modifiers, eventName);
     }  
 
     //-------------------------------------------------------------------
@@ -64,6 +189,48 @@ export class EventSpec {
     protected _regionName  : string;
     public get regionName() {return this._regionName;}
 
+    // The key that key events must be for in order to match ("" for any key)
+    protected _key : string;
+    public get key() {return this._key;}
+
+    // For timeout events armed on entry to a state, the time (in milliseconds) until
+    // the timeout fires (0 for other events)
+    protected _duration : number;
+    public get duration() {return this._duration;}
+
+    // For timeout events from a named timer, the name of that timer ("" otherwise)
+    protected _timer : string;
+    public get timer() {return this._timer;}
+
+    // The kind of pointer that pointer events must come from in order to match 
+    // ("" for any kind of pointer)
+    protected _pointerType : PointerType | "";
+    public get pointerType() {return this._pointerType;}
+
+    // The button that press, release, release_none, and double_click events must 
+    // involve in order to match (-1 for any button)
+    protected _button : number;
+    public get button() {return this._button;}
+
+    // Modifier keys which must be held down for events to match
+    protected _modifiers : (keyof Modifiers)[];
+    public get modifiers() : readonly (keyof Modifiers)[] {return this._modifiers;}
+
+    // The name that custom events must have in order to match ("" for any name)
+    protected _eventName : string;
+    public get eventName() {return this._eventName;}
+
+    // Is this a timeout armed on entry to a state (rather than a named timer)
+    public get isStateTimeout() : boolean {
+        return this._evtType === 'timeout' && this._timer === "" && this._duration > 0;
+    }
+
+    // Is the given event type one which comes from user input (and so can be matched 
+    // by 'any')
+    public static isInputType(evtType : EventType) : boolean {
+        return inputEvtTypes.includes(evtType);
+    }
+
     // The actual region denoted by the region name.  If this is left undefined and
     // the name is "*" this designates an intent to match with any region.  This property
     // is bound to a particular region in bindRegion().
@@ -97,7 +264,9 @@ export class EventSpec {
 
         // we didn't match any region, that's ok for some forms that don't need a region
         if (this.evtType === 'nevermatch') return;
-        if ((this.evtType === 'release_none' || this.evtType === 'any') && 
+        if ((this.evtType === 'release_none' || this.evtType === 'any' ||
+             this.evtType === 'key_down' || this.evtType === 'key_up' ||
+             this.evtType === 'timeout' || this.evtType === 'custom') && 
                                      this._regionName === "") {
             return;
         } 
@@ -107,22 +276,47 @@ export class EventSpec {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
-    // Method to perform a match against an actual event.  The event is represented 
-    // by an event type (evtType) and an optional associated region (regn).  If 
-    // our region is undefined and region name is "*", we will match to any region.
-    public match(evtType : EventType, regn? : Region) : boolean {
+    // Method to perform a match against an actual event.  This considers the type of
+    // the event, its associated region (if any), and its detail string: the key 
+    // involved for key events, the timer name for timeout events, or the event name 
+    // for custom events.  If our region is
+    // undefined and region name is "*", we will match to any region.  Timeouts armed on
+    // entry to a state are handled directly by the FSM, so specs for those never match 
+    // here.
+    public match(evt : FSMEvent) : boolean {
+        const evtType = evt.type, regn = evt.region, detail = evt.detail;
           
         // **** YOUR CODE HERE ****
         // check if the event matches the event spec for this transition
         if (this.evtType === 'any') {
-            return true;
+            return inputEvtTypes.includes(evtType) && this._regionMatch(regn) && 
+                   this._modifiers.every((mod) => evt.modifiers[mod]);
         } else if (this.evtType === 'nevermatch') {
             return false;
         } 
         const evtTypeMatch = this.evtType === evtType;
+        if (evtTypeMatch && evtType === 'timeout') {
+            return this.timer !== "" && this.timer === detail;
+        }
+        if (evtTypeMatch && evtType === 'custom') {
+            return (this.eventName === "" || this.eventName === detail) &&
+                   this._modifiers.every((mod) => evt.modifiers[mod]);
+        }
+        if (evtTypeMatch && this.key !== "" && this.key !== detail) return false;
+        if (this.pointerType !== "" && this.pointerType !== evt.pointerType) return false;
+        if (buttonEvtTypes.includes(evtType) && this.button >= 0 && 
+            this.button !== evt.button) {
+            return false;
+        }
+        if (this._modifiers.some((mod) => !evt.modifiers[mod])) return false;
+        return evtTypeMatch && this._regionMatch(regn);
+    }
+
+    // Does the given region (associated with an event) match our region
+    protected _regionMatch(regn : Region | undefined) : boolean {
         const regnMatch = this.region === regn;
         const regUndef = (this.region === undefined) && (this.regionName === "*");
-        return evtTypeMatch && (regnMatch || regUndef);
+        return regnMatch || regUndef;
     }
     
     //-------------------------------------------------------------------
@@ -145,6 +339,13 @@ export class EventSpec {
         for (let i = 0; i < indent; i++) result += indentStr;
 
         result += `${this.evtType} ${this.regionName}`;
+        if (this.key) result += ` key:"${this.key}"`;
+        if (this.duration) result += ` duration:${this.duration}`;
+        if (this.timer) result += ` timer:${this.timer}`;
+        if (this.eventName) result += ` name:${this.eventName}`;
+        if (this.pointerType) result += ` pointer:${this.pointerType}`;
+        if (this.button !== 0) result += ` button:${this.button}`;
+        if (this.modifiers.length > 0) result += ` modifiers:${this.modifiers.join('+')}`;
         if (!this.region) result += " unbound";
 
         return result;
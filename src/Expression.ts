@@ -0,0 +1,283 @@
+import { Err } from "./Err.js";
+
+//===================================================================
+// Class for a small expression language used over the (extended state) variables
+// of an FSM.  Expressions are used for guard conditions on transitions (where the
+// transition may only be taken when its guard evaluates true), and for the values
+// computed by the set_var and inc_var actions.  Expressions are given as strings
+// (typically from a .json file) and parsed once at construction time.  They may use:
+//   * literals      numbers (e.g., 3, 2.5), true, false, and quoted strings
+//                   (e.g., 'abc' or "abc")
+//   * variables     names declared in the variables section of the FSM
+//   * arithmetic    + - * / %  (+ also concatenates when either side is a string)
+//   * comparisons   == != < <= > >=
+//   * boolean ops   && || !
+//   * grouping      ( ... )
+// with the usual precedence rules (lowest to highest: ||, &&, equality, relational,
+// additive, multiplicative, unary).  Evaluation follows javascript semantics, except
+// that == and != are strict (no type coercion).  Expressions which fail to parse are
+// reported via Err.emit() and are patched up to always evaluate to false.
+//===================================================================
+
+// Type for the values that FSM variables (and expressions over them) can take on
+export type VarValue = number | boolean | string;
+
+// Internal parse tree node types
+type ExprNode =
+    {kind: 'literal', value : VarValue}                            |
+    {kind: 'variable', name : string}                              |
+    {kind: 'unary', op : string, arg : ExprNode}                   |
+    {kind: 'binary', op : string, left : ExprNode, right : ExprNode};
+
+// Operators at each binary precedence level (lowest precedence first)
+const binaryOpLevels : string[][] = [
+    ['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']
+];
+
+// Pattern for pulling one token off the front of the remaining expression text:
+// numbers, names, quoted strings, then operators (longest first)
+const tokenPattern =
+    /^\s*(\d+(?:\.\d+)?|[A-Za-z_][A-Za-z_0-9]*|'[^']*'|"[^"]*"|&&|\|\||==|!=|<=|>=|[-+*\/%<>!()])/;
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class Expression {
+
+    public constructor(source : string) {
+        this._source = source;
+        this._root = undefined;
+        this._variableNames = new Set<string>();
+        this._parse();
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The source text this expression was parsed from
+    protected _source : string;
+    public get source() {return this._source;}
+
+    // Root of the parse tree for the expression (undefined if the parse failed)
+    protected _root : ExprNode | undefined;
+
+    // Indication of whether the expression was parsed successfully
+    public get valid() : boolean {return this._root !== undefined;}
+
+    // Names of all the variables referenced in the expression
+    protected _variableNames : Set<string>;
+    public get variableNames() : ReadonlySet<string> {return this._variableNames;}
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Evaluate the expression using the given variable values.  Invalid expressions
+    // evaluate to false, and references to variables which don't appear in the given
+    // map are reported with Err.emit() and treated as false.
+    public evaluate(vars : ReadonlyMap<string, VarValue>) : VarValue {
+        if (!this._root) return false;
+        return this._eval(this._root, vars);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check that all the variables referenced in this expression are found in the
+    // given set of declared variables (or among the given extra names which are 
+    // allowed), reporting any that are not with Err.emit().
+    public checkVariables(
+        declared   : ReadonlyMap<string, VarValue>, 
+        extraNames : readonly string[] = []) : void 
+    {
+        for (let name of this._variableNames) {
+            if (!declared.has(name) && !extraNames.includes(name)) {
+                Err.emit(`Variable '${name}' in expression "${this._source}"` +
+                         ' is not declared in FSM.');
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Recursively evaluate one node of the parse tree
+    protected _eval(node : ExprNode, vars : ReadonlyMap<string, VarValue>) : VarValue {
+        switch (node.kind) {
+            case 'literal':
+                return node.value;
+
+            case 'variable': {
+                const val = vars.get(node.name);
+                if (val === undefined) {
+                    Err.emit(`Undeclared variable '${node.name}' in "${this._source}"`);
+                    return false;
+                }
+                return val;
+            }
+
+            case 'unary': {
+                const arg = this._eval(node.arg, vars);
+                return (node.op === '!') ? !arg : -(arg as number);
+            }
+
+            case 'binary': {
+                // boolean operators short circuit
+                if (node.op === '&&') {
+                    return !!this._eval(node.left, vars) && !!this._eval(node.right, vars);
+                }
+                if (node.op === '||') {
+                    return !!this._eval(node.left, vars) || !!this._eval(node.right, vars);
+                }
+
+                const left : any = this._eval(node.left, vars);
+                const right : any = this._eval(node.right, vars);
+                switch (node.op) {
+                    case '==': return left === right;
+                    case '!=': return left !== right;
+                    case '<':  return left <  right;
+                    case '<=': return left <= right;
+                    case '>':  return left >  right;
+                    case '>=': return left >= right;
+                    case '+':  return left +  right;
+                    case '-':  return left -  right;
+                    case '*':  return left *  right;
+                    case '/':  return left /  right;
+                    case '%':  return left %  right;
+                }
+            }
+        }
+        return false;
+    }
+
+    //-------------------------------------------------------------------
+    // Parsing
+    //-------------------------------------------------------------------
+
+    // Tokens of the expression, and our current position within them during parsing
+    protected _tokens : string[] = [];
+    protected _pos : number = 0;
+
+    // Parse the source text into a tree rooted at this._root.  On any syntax error
+    // we emit a message and leave this._root undefined.
+    protected _parse() : void {
+        // break the text into tokens
+        let text = this._source;
+        this._tokens = [];
+        while (text.trim() !== "") {
+            const found = tokenPattern.exec(text);
+            if (!found) {
+                Err.emit(`Unexpected character in expression "${this._source}"` +
+                         ` at: "${text.trim()}"`);
+                return;
+            }
+            this._tokens.push(found[1]);
+            text = text.substring(found[0].length);
+        }
+
+        // parse those into a tree, making sure we used all the tokens
+        this._pos = 0;
+        try {
+            const root = this._parseBinary(0);
+            if (this._pos < this._tokens.length) {
+                throw new Error(`unexpected '${this._tokens[this._pos]}'`);
+            }
+            this._root = root;
+        } catch (err) {
+            const mesg = (err instanceof Error) ? err.message : `${err}`;
+            Err.emit(`Syntax error in expression "${this._source}": ${mesg}`);
+            this._root = undefined;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Parse a left associative chain of binary operators at the given precedence
+    // level (an index into binaryOpLevels), or a unary expression beyond the last level
+    protected _parseBinary(level : number) : ExprNode {
+        if (level >= binaryOpLevels.length) return this._parseUnary();
+
+        let left = this._parseBinary(level+1);
+        while (binaryOpLevels[level].includes(this._tokens[this._pos])) {
+            const op = this._tokens[this._pos++];
+            const right = this._parseBinary(level+1);
+            left = {kind: 'binary', op, left, right};
+        }
+        return left;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Parse a unary expression: an optional ! or - followed by a primary expression
+    protected _parseUnary() : ExprNode {
+        const tok = this._tokens[this._pos];
+        if (tok === '!' || tok === '-') {
+            this._pos++;
+            return {kind: 'unary', op: tok, arg: this._parseUnary()};
+        }
+        return this._parsePrimary();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Parse a primary expression: a literal, a variable name, or a parenthesized
+    // sub-expression
+    protected _parsePrimary() : ExprNode {
+        const tok = this._tokens[this._pos++];
+        if (tok === undefined) throw new Error("unexpected end of expression");
+
+        if (tok === '(') {
+            const inner = this._parseBinary(0);
+            if (this._tokens[this._pos++] !== ')') throw new Error("missing ')'");
+            return inner;
+        }
+        if (tok === 'true' || tok === 'false') {
+            return {kind: 'literal', value: tok === 'true'};
+        }
+        if (/^\d/.test(tok)) {
+            return {kind: 'literal', value: Number(tok)};
+        }
+        if (tok[0] === '"' || tok[0] === "'") {
+            return {kind: 'literal', value: tok.substring(1, tok.length-1)};
+        }
+        if (/^[A-Za-z_]/.test(tok)) {
+            this._variableNames.add(tok);
+            return {kind: 'variable', name: tok};
+        }
+        throw new Error(`unexpected '${tok}'`);
+    }
+
+    //-------------------------------------------------------------------
+    // Debugging Support
+    //-------------------------------------------------------------------
+
+    // Create a short human readable string representing this object for debugging
+    public debugTag() : string {
+        return `Expression(${this.source})`;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Create a human readable string displaying this object for debugging purposes
+    public debugString(indent : number = 0) : string {
+        let result = "";
+        const indentStr = '  ';  // two spaces per indent level
+
+        // produce the indent
+        for (let i = 0; i < indent; i++) result += indentStr;
+
+        result += `[${this.source}]`;
+        if (!this.valid) result += " invalid";
+
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Log a human readable string for this object to the console
+    public dump() {
+        console.log(this.debugString());
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+} // end class Expression
+
+//===================================================================
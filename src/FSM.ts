@@ -2,10 +2,18 @@ import { Root } from "./Root.js";
 import { Region, Region_json } from "./Region.js";
 import { State, State_json } from "./State.js";
 import { Err } from "./Err.js";
+import { Check } from "./Check.js";
 import { FSMInteractor } from "./FSMInteractor.js";
 import { Transition } from "./Transition.js";
 import { EventSpec, EventType } from "./EventSpec.js";
 import { Action } from "./Action.js";
+import { VarValue } from "./Expression.js";
+import { Clock, RealClock, TimerHandle } from "./Clock.js";
+import { FSMEvent } from "./FSMEvent.js";
+import { Rect } from "./Rect.js";
+import { Animation } from "./Animation.js";
+import { FSMListeners, StateChangeListener, TransitionListener, ActionListener, 
+         EmitCallback } from "./FSMListeners.js";
 
 
 //===================================================================
@@ -19,7 +27,11 @@ import { Action } from "./Action.js";
 //   details.
 // * States each have state name and a list of transitions out of the state.  The start
 //   state for the FSM will always be the first state given in the state list. See the 
-//   State class for additional details.  
+//   State class for additional details.  States may be composite, containing nested
+//   substates (possibly as parallel regions), so the FSM is in general in a set of 
+//   active states (its "active configuration") rather than just one.  When an event
+//   arrives, each active innermost state looks for a matching transition, first among 
+//   its own transitions and then among those of its enclosing states.
 //   - Transistions out of a state contaions three components: an EventSpec object which
 //     describes what events will cause the event to be "taken" (or "fire"), a target 
 //     state that the transition will take the machine to, and a list of actions to be 
@@ -29,6 +41,42 @@ import { Action } from "./Action.js";
 //       happen when he transition is taken.  These include the ability to change or 
 //       clear the image in a region of the FMS, and an ability to print debugging 
 //       messages.  See the Action class for more details
+// In addition, an FSM may declare a set of (extended state) variables, each with an 
+// initial value.  Transitions may carry guard expressions over these variables (and 
+// will only be taken when their guard evaluates true), and the set_var and inc_var 
+// actions may change them.  This allows counters, flags, and the like to be kept 
+// without unrolling them into many explicit states.  See the Expression class for
+// details of the expressions supported.  While an event carrying a payload (a custom 
+// event sent by another FSM; see the send_event action) is being handled, the payload
+// can also be referred to in expressions by the reserved name "payload".
+//
+// Events are handled one at a time, each to completion: events which arrive while 
+// another is being handled (e.g., ones sent by the actions it triggers) are queued
+// and handled in order once it is done.
+//
+// FSMs also manage timers for timeout events: those armed when a state is entered
+// (and cancelled when it is exited), and named timers started and cancelled by actions.
+// Timers are run by a replaceable Clock object (see the Clock class), so that timing 
+// behavior can be driven deterministically (e.g., for testing).
+//
+// When the load of the image of one of its regions finishes, an FSM receives an 
+// image_loaded or image_error event for that region (see EventSpec), so that it can, 
+// e.g., wait for an image before showing it, or try again with the reload_image 
+// action.  Before an FSM is installed in its interactor, the images it may show (see 
+// imageManifest) are normally loaded ahead of time (see FSMInteractor.preloadFromJson()).
+// In json, this can be turned off by giving "preload" as false, or given a list of 
+// additional image locations to load (e.g., ones only a host application shows).
+//
+// An FSM is normally started (put in its initial configuration, executing entry 
+// actions) when it is constructed.  It may instead be constructed unstarted and started
+// later (see start()), as FSMInteractor does so that nothing happens until the FSM is
+// installed.  Image events for an unstarted FSM are held until it starts.
+//
+// Host application code can observe an FSM by registering listeners which are told
+// about each change of configuration, each transition taken, and each action executed,
+// as well as callbacks which the FSM calls by name using emit actions (see the 
+// FSMListeners class).  These are notified for listeners registered with the FSM 
+// itself, and then for those registered with its parent FSMInteractor.
 //
 // JSON Representations
 //   FSM objects can be constructed from initialization in code, but more commonly are 
@@ -48,29 +96,62 @@ import { Action } from "./Action.js";
 //===================================================================
 
 // Type we are expecting to recieve from decoding an FSM from a .json file
-export type FSM_json = {regions: Region_json[], states: State_json[]};
+export type FSM_json = {
+    regions    : Region_json[], 
+    states     : State_json[], 
+    variables? : {[name : string] : VarValue},
+    preload?   : boolean | string[]};
+
+// Type for a snapshot of the full state of an FSM (see FSM.snapshot()): the paths of 
+// its active states, the values of its variables, and the state of each of its 
+// regions (in drawing order).  This is plain data, suitable for JSON.stringify().
+export type FSMSnapshot = {
+    states    : string[],
+    variables : {[name : string] : VarValue},
+    regions   : Region_json[]};
 
 //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
 export class FSM {
-    public constructor(regions : Region[], states : State[], parent? : FSMInteractor) {
+    public constructor(
+        regions    : Region[], 
+        states     : State[], 
+        parent?    : FSMInteractor, 
+        variables  : {[name : string] : VarValue} = {},
+        preload    : boolean | readonly string[] = true,
+        start      : boolean = true) 
+    {
         this._regions = regions;
         this._states = states;
         this._startState = states[0];
-        this._currentState = this._startState;
+        this._allStates = [];
+        this._active = [];
         this._parent = parent;
+        this._initialVariables = new Map<string, VarValue>();
+        for (let name of Object.keys(variables)) {
+            this._initialVariables.set(name, variables[name]);
+        }
+        this._variables = new Map<string, VarValue>(this._initialVariables);
+        this._clock = FSM.defaultClock;
+        this._preloads = (preload !== false);
+        this._preloadExtra = (typeof preload === 'boolean') ? [] : [...preload];
 
         // do various bits of work such as binding region and state names to actual
         // Region and State objects.
         this._finalize();
+        if (start) this.start();
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
     // Construct an FSM from an FSM_json object, checking all the parts (since data 
     // coming from json parsing lives in javascript land and may not actually be typed
-    // at runtime as we think/hope it is).
-    public static fromJson(fsm : FSM_json, parent? : FSMInteractor) : FSM {
+    // at runtime as we think/hope it is).  The FSM is started unless start is false.
+    public static fromJson(
+        fsm     : FSM_json, 
+        parent? : FSMInteractor, 
+        start   : boolean = true) : FSM 
+    {
         // start collecting region declarations
         let allNames = new Set<string>();
         let regions : Region[] = [];
@@ -116,8 +197,61 @@ export class FSM {
             }
         }
 
+        // collect variable declarations (which are optional)
+        const variables = FSM.variablesFromJson(fsm.variables);
+        const preload = FSM.preloadFromJson(fsm.preload);
+
         // construct the result object based on the parts we've collected and checked
-        return new FSM(regions, states, parent);
+        return new FSM(regions, states, parent, variables, preload, start);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check the (optional) preload part of an FSM_json object: either a boolean saying
+    // whether to preload images, or a list of additional image locations to preload.
+    // A missing value is treated as true, and bad locations are left out.
+    public static preloadFromJson(preload : FSM_json['preload']) : boolean | string[] {
+        if (preload === undefined || typeof preload === 'boolean') return preload ?? true;
+        if (!Array.isArray(preload)) {
+            Err.emit("Preload value is not a boolean or list in FSM.fromJson()");
+            return true;
+        }
+        return preload.filter((loc) => {
+            if (typeof loc === 'string') return true;
+            Err.emit(`Preload location of type ${Check.typeName(loc)} in FSM.fromJson()` +
+                     ' (expected string)');
+            return false;
+        });
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check the (optional) variable declarations part of an FSM_json object, returning
+    // the declarations which are valid.  A missing declarations object is treated as 
+    // declaring no variables.
+    public static variablesFromJson(vars : FSM_json['variables']) 
+                                                    : {[name : string] : VarValue} 
+    {
+        let variables : {[name : string] : VarValue} = {};
+        if (vars === undefined) return variables;
+
+        if (typeof vars !== 'object' || vars === null || Array.isArray(vars)) {
+            Err.emit("Variable declarations are not an object in FSM.fromJson()");
+            return variables;
+        }
+
+        for (let name of Object.keys(vars)) {
+            const val : any = vars[name];
+            if (typeof val !== 'number' && typeof val !== 'boolean' && 
+                typeof val !== 'string') {
+                Err.emit(`Variable '${name}' in FSM.fromJson() has initial value` +
+                         ` of type ${Check.typeName(val)}` + 
+                         ' (expected number, boolean, or string)');
+            } else {
+                variables[name] = val;
+            }
+        }
+        return variables;
     }
     
     //-------------------------------------------------------------------
@@ -132,15 +266,154 @@ export class FSM {
     protected _states : State[];
     public get states() : readonly State[] {return this._states;}
 
+    // List of all the states for this FSM, including nested substates, in the order
+    // they were declared.  This is established by _finalize().
+    protected _allStates : State[];
+    public get allStates() : readonly State[] {return this._allStates;}
+
     // Start state from the FSM.  As long as the FSM was correnctly formed (i.e., has
     // states in its state list), this will always be the first state in the state
     // list.
     protected _startState : State | undefined;
     public get startState() {return this._startState;}
 
-    // The current state for the FSM
-    protected _currentState : State | undefined;
-    public get currentState() {return this._currentState;}
+    // The active configuration of the FSM: all the states the FSM is currently in 
+    // (including composite states and their active substates) in declaration order.  
+    protected _active : State[];
+    public get activeStates() : readonly State[] {return this._active;}
+
+    // The active states which have no active substates.  For an FSM without parallel
+    // states there will be exactly one of these (once the FSM has been set up).
+    public get activeLeafStates() : State[] {
+        return this._active.filter((st) => !st.isComposite);
+    }
+
+    // The current state for the FSM.  For FSMs with nested states this is the first
+    // of the innermost active states (see activeStates for the full configuration).
+    public get currentState() : State | undefined {return this.activeLeafStates[0];}
+
+    // Determine if the given state (or state name) is part of the active configuration
+    public isActive(st : State | string) : boolean {
+        return this._active.some((act) => act === st || act.name === st);
+    }
+
+    // Find the state with the given name or path (see State.path), or undefined if
+    // there is none
+    public findState(nameOrPath : string) : State | undefined {
+        return this._allStates.find((st) => st.name === nameOrPath || 
+                                            st.path === nameOrPath);
+    }
+
+    // Find the region with the given name, or undefined if there is none
+    public findRegion(name : string) : Region | undefined {
+        return this._regions.find((reg) => reg.name === name);
+    }
+
+    // The transitions which could currently be taken: those of each innermost active
+    // state followed by those of its enclosing states (in the order they would be 
+    // considered when matching an event), without duplicates.  Guards are not 
+    // evaluated here.
+    public get availableTransitions() : Transition[] {
+        let result : Transition[] = [];
+        for (let leaf of this.activeLeafStates) {
+            for (let st : State | undefined = leaf; st; st = st.parent) {
+                for (let trans of st.transitions) {
+                    if (!result.includes(trans)) result.push(trans);
+                }
+            }
+        }
+        return result;
+    }
+
+    // The initial values of the variables declared for this FSM
+    protected _initialVariables : Map<string, VarValue>;
+
+    // The current values of the variables declared for this FSM
+    protected _variables : Map<string, VarValue>;
+    public get variables() : ReadonlyMap<string, VarValue> {return this._variables;}
+
+    // Retrieve the current value of the given variable (undefined if the variable 
+    // has not been declared)
+    public getVariable(name : string) : VarValue | undefined {
+        return this._variables.get(name);
+    }
+
+    // Name by which the payload of the event being handled can be referred to in 
+    // expressions, as if it were a variable
+    public static readonly payloadVar = 'payload';
+
+    // Produce the variables visible to expressions evaluated while handling the given
+    // event: our variables, plus the payload of the event (if it has one)
+    public variablesFor(evt : FSMEvent) : ReadonlyMap<string, VarValue> {
+        if (evt.payload === undefined) return this._variables;
+        return new Map(this._variables).set(FSM.payloadVar, evt.payload);
+    }
+
+    // Change the value of the given (declared) variable.  Attempts to set variables
+    // which were not declared are reported with Err.emit() and otherwise ignored.
+    public setVariable(name : string, v : VarValue) : void {
+        if (!this._variables.has(name)) {
+            Err.emit(`Attempt to set undeclared variable '${name}' in FSM`);
+            return;
+        }
+        this._variables.set(name, v);
+    }
+
+    // The clock used for timers by FSMs created from now on.  This defaults to a
+    // clock running in real time.
+    public static defaultClock : Clock = new RealClock();
+
+    // The clock this FSM uses for its timers.  Replacing the clock cancels all pending
+    // timers (including named timers) and re-arms the timeouts of the active states 
+    // using the new clock.
+    protected _clock : Clock;
+    public get clock() {return this._clock;}
+    public set clock(v : Clock) {
+        if (v === this._clock) return;
+        this._cancelAllTimers();
+        this._clock = v;
+        for (let st of this._active) this._armStateTimeouts(st);
+    }
+
+    // Handles for the timeouts armed on entry to each active state
+    protected _stateTimers = new Map<State, TimerHandle[]>();
+
+    // Handles for the currently running named timers
+    protected _namedTimers = new Map<string, TimerHandle>();
+
+    // Listeners and emit callbacks registered with this FSM (see onStateChange(), etc.)
+    protected _listeners = new FSMListeners();
+    public get listeners() {return this._listeners;}
+
+    // Whether the images this FSM may show should be loaded before it is installed in
+    // its interactor (see FSMInteractor.preloadFromJson())
+    protected _preloads : boolean;
+    public get preloads() {return this._preloads;}
+
+    // Image locations to preload beyond those the FSM itself refers to
+    protected _preloadExtra : string[];
+
+    // The locations of the images this FSM may show: those of its regions, those set by
+    // its set_image and play_frames actions, and any additional ones it was given to 
+    // preload (each listed once)
+    public get imageManifest() : string[] {
+        let locs = new Set<string>();
+        const addFrom = (acts : readonly Action[]) => {
+            for (let act of acts) {
+                if (act.actType === 'set_image') locs.add(act.param);
+                for (let frame of act.frames ?? []) locs.add(frame);
+            }
+        };
+        for (let reg of this._regions) locs.add(reg.imageLoc);
+        for (let st of this._allStates) {
+            addFrom(st.onEntry);
+            addFrom(st.onExit);
+            for (let trans of st.transitions) addFrom(trans.actions);
+        }
+        for (let loc of this._preloadExtra) locs.add(loc);
+        locs.delete("");
+        return Array.from(locs);
+    }
 
     // The FSMIntractor object which this FSM is associated with.
     protected _parent : FSMInteractor | undefined;
@@ -162,12 +435,30 @@ export class FSM {
     // position, or size) has changed in a way that may make the current display 
     // incorrect and in need of update.  This is called from "child" regions, etc.
     // that this object is composed out of, and is passed "up the tree" to our parent 
-    // object, eventually causing a redraw to be performed.  
+    // object, eventually causing a redraw to be performed.  The area damaged is given
+    // in the local coordinates of our parent (which we share with our regions), and
+    // defaults to everything our parent draws.
     // 
-    public damage() : void {
+    public damage(area? : Readonly<Rect>) : void {
             
         // **** YOUR CODE HERE ****
-        this._parent?.damage();
+        this._parent?.damage(area);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Move the given region to the end of our region list, so that it is drawn on top
+    // of (and picked before) all our other regions.  
+    public raiseRegion(reg : Region) : void {
+        const index = this._regions.indexOf(reg);
+        if (index < 0) {
+            Err.emit(`Attempt to raise region '${reg.name}' which is not in this FSM`);
+            return;
+        }
+        if (index === this._regions.length-1) return;
+        this._regions.splice(index, 1);
+        this._regions.push(reg);
+        reg.damage();
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
@@ -183,12 +474,33 @@ export class FSM {
             
         // **** YOUR CODE HERE ****
         const allRegions : readonly Region[] = this.regions;
-        const allStates : readonly State[] = this.states;
+
+        // collect all the states at every level of nesting, checking that names 
+        // within nested states are unique (top level names were checked in fromJson)
+        this._allStates = [];
+        let allNames = new Set<string>();
+        for (let top of this._states) {
+            for (let st of top.allStates()) {
+                if (allNames.has(st.name) && st !== top) {
+                    Err.emit(`Duplicate state '${st.name}' declaration in FSM`);
+                }
+                allNames.add(st.name);
+                this._allStates.push(st);
+            }
+        }
+        const allStates : readonly State[] = this._allStates;
+
         // start state is the first one
         this._startState = this._states[0];
-        this._currentState = this._startState;
+
         // bind all the states and transitions
         for (let st of allStates) {
+            if (st.isComposite) st.bindInitial();
+            // connect entry and exit actions to their regions
+            for (let act of st.onEntry.concat(st.onExit)) {
+                act.bindRegion(allRegions);
+                act.bindOwner(this);
+            }
             for (let trans of st.transitions) {
                 // connect the transition to the target state
                 trans.bindTarget(allStates);
@@ -197,7 +509,10 @@ export class FSM {
                 // connect the actions to their regions
                 for (let act of trans.actions) {
                     act.bindRegion(allRegions);
+                    act.bindOwner(this);
                 }
+                // make sure guards only refer to declared variables
+                trans.guard?.checkVariables(this._variables, [FSM.payloadVar]);
             }
         }
         // **** YOUR CODE HERE ****
@@ -207,45 +522,572 @@ export class FSM {
             reg.parent = this;
         }
 
+        // the initial configuration is established when we are started
+        this._active = [];
     }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Start the FSM (if it has not been already) by establishing its initial 
+    // configuration (executing entry actions for it), then delivering any image events
+    // which were held while it was unstarted
+    public start() : void {
+        if (this._started) return;
+        this._started = true;
+        if (this._startState) {
+            this._enterStates(this._startState, undefined, this.makeEvent('nevermatch'));
+        }
+
+        const held = this._heldEvents;
+        this._heldEvents = [];
+        for (let evt of held) {
+            // skip events for images which entry actions have since replaced
+            if (evt.region?.imageLoc === evt.detail) this.actOnEvent(evt);
+        }
+    }
+
+    // Whether the FSM has been started (see start())
+    protected _started : boolean = false;
+    public get started() {return this._started;}
+
+    // Image events which arrived before the FSM was started
+    protected _heldEvents : FSMEvent[] = [];
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
     
-    // Reset the FSM to be in its start state.  Note: this does not reset
-    // region images to their original states.
+    // Reset the FSM to be in its start state, with all variables restored to their
+    // initial values.  Exit actions of the current configuration are executed before
+    // the reset, and entry actions of the start configuration after it. Note: this does 
+    // not otherwise reset region images to their original states.
     public reset() {
             
         // **** YOUR CODE HERE ****
-        this._currentState = this._startState;
+        const evt = this.makeEvent('nevermatch');
+        const before = this._activePaths();
+        this._exitStates(undefined, evt);
+        this._cancelAllTimers();
+        this._variables = new Map<string, VarValue>(this._initialVariables);
+        if (this._startState) {
+            this._enterStates(this._startState, undefined, evt);
+        }
+        this._notifyStateChange(before, evt);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Jump directly to the given state (or the state with the given name or path), as
+    // if by a transition to it from the top level: the current configuration is exited
+    // and the state (along with its enclosing and default substates) entered, executing
+    // exit and entry actions as usual.  Variables are left unchanged.  States which 
+    // can't be found are reported with Err.emit().
+    public gotoState(st : State | string) : void {
+        const target = (st instanceof State) ? st : this.findState(st);
+        if (!target || !this._allStates.includes(target)) {
+            const name = (st instanceof State) ? st.name : st;
+            Err.emit(`State '${name}' in gotoState() does not match any state in FSM`);
+            return;
+        }
+
+        const evt = this.makeEvent('nevermatch');
+        const before = this._activePaths();
+        this._exitStates(undefined, evt);
+        this._enterStates(target, undefined, evt);
+        this._notifyStateChange(before, evt);
     }
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
 
-    // Cause the FSM to act on the given event: represented by an event type (see 
-    // EventType declared with the EventSpec class) and a region (when the event type
-    // needs one).  This method attempts to make one transition in the FSM.  The first
-    // transition matching the given event is found, the transitin is "taken" (it's 
-    // actions are executed, and the FSM moves to the indicated state).  At that point
-    // the event is considered "consumed", and no additional transitions are considered.
-    public actOnEvent(evtType : EventType, reg? : Region) {
-        // if we never got the current state bound (maybe a bad json FSM?) bail out
-        if (!this.currentState) return;
-           
-        // **** YOUR CODE HERE ****
-        const possibleTransitions : readonly Transition[] = this.currentState.transitions
+    // Cause the FSM to act on the given event: represented either by an FSMEvent 
+    // object, or by an event type (see EventType declared with the EventSpec class) and
+    // a region (when the event type needs one), along with an optional detail string 
+    // (the key involved for key events, or the timer name for timeouts) from which an
+    // FSMEvent is made (see makeEvent()).  This method attempts 
+    // to make one transition in the FSM for each innermost active state (of which 
+    // there is only one unless parallel states are in use).  For each such state, the
+    // first transition matching the given event is found, looking first at the state 
+    // itself and then outward through its enclosing states.  The transitin is "taken"
+    // (the states being left are exited, it's actions are executed, and the states 
+    // making up the target are entered).  At that point the event is considered 
+    // "consumed" for that state, and no additional transitions are considered.  
+    // Transitions with a guard which does not evaluate true are skipped over.  If 
+    // another event is already being handled, the event is queued and handled once 
+    // that (and any events queued before this one) are done.
+    public actOnEvent(evtOrType : FSMEvent | EventType, reg? : Region, detail? : string) {
+        const evt = (evtOrType instanceof FSMEvent) ? 
+                                    evtOrType : this.makeEvent(evtOrType, reg, detail);
+        this._runToCompletion(() => this._handleEvent(evt));
+    }
 
-        // find the first transition that matches the event
-        for (let trans of possibleTransitions) {
-            if (trans.match(evtType, reg)) {
-                // execute all the actions in the transition
-                for (let act of trans.actions) {
-                    act.execute(evtType, reg);
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Run the given event handler, unless another event is already being handled, in 
+    // which case the handler is queued and run once that (and any handlers queued 
+    // before this one) are done.  This is how each event (including the timeouts armed
+    // on entry to a state) is handled to completion before the next one is started.
+    protected _runToCompletion(handler : () => void) : void {
+        // queue the handler if we are in the middle of handling another event (checked
+        // first, since the configuration may be partly exited while actions run)
+        if (this._handlingEvent) {
+            this._eventQueue.push(handler);
+            return;
+        }
+
+        // if we never got a configuration established (maybe a bad json FSM?) bail out
+        if (this._active.length === 0) return;
+
+        // otherwise run it, and then everything that gets queued while we do
+        this._handlingEvent = true;
+        try {
+            handler();
+            for (let next = this._eventQueue.shift(); next; next = this._eventQueue.shift()) {
+                next();
+            }
+        } finally {
+            this._handlingEvent = false;
+            this._eventQueue = [];
+        }
+    }
+
+    // Whether we are currently handling an event, and the handlers for the events which
+    // have arrived while we were (in order of arrival)
+    protected _handlingEvent : boolean = false;
+    protected _eventQueue : (() => void)[] = [];
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Handle one event (see actOnEvent()): take the transition it matches for each 
+    // innermost active state
+    protected _handleEvent(evt : FSMEvent) : void {
+        const before = this._activePaths();
+
+        // find the innermost matching transition for each active leaf state
+        let chosen : {trans : Transition, source : State}[] = [];
+        for (let leaf of this.activeLeafStates) {
+            const found = this._findTransition(leaf, evt);
+            if (found && !chosen.some((ch) => ch.trans === found.trans)) {
+                chosen.push(found);
+            }
+        }
+
+        // take each of them, unless an earlier one has already moved us out of 
+        // the state it comes from
+        for (let ch of chosen) {
+            if (this._active.includes(ch.source)) {
+                this._takeTransition(ch.trans, ch.source, evt);
+            }
+        }
+        if (chosen.length > 0) this._notifyStateChange(before, evt);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Make an event object for an event of the given type, region, detail string, and
+    // payload, timestamped with the current time of our clock.  Its position is the 
+    // most recent pointer position known to our parent interactor (or 0,0 if there is 
+    // none).
+    public makeEvent(
+        evtType  : EventType, 
+        reg?     : Region, 
+        detail   : string = "",
+        payload? : VarValue) : FSMEvent 
+    {
+        const pos = this._parent?.pointerPosition ?? {x: 0, y: 0};
+        return new FSMEvent(evtType, reg, pos.x, pos.y, this._clock.now(), undefined, 
+                            detail, undefined, undefined, payload);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Find the first transition matching the given event, looking at the transitions
+    // of the given state and then those of each of its enclosing states in turn.  
+    // Returns the transition along with the state it comes from, or undefined if
+    // no transition matches.
+    protected _findTransition(
+        leaf : State, 
+        evt  : FSMEvent) : {trans : Transition, source : State} | undefined
+    {
+        for (let st : State | undefined = leaf; st; st = st.parent) {
+            for (let trans of st.transitions) {
+                if (trans.match(evt) && 
+                    trans.guardPasses(this.variablesFor(evt))) 
+                {
+                    return {trans, source: st};
+                }
+            }
+        }
+        return undefined;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Take the given transition out of the given source state: exiting all the active
+    // states within the transition's domain, executing its actions, and then entering 
+    // the target state (and its default substates).  The domain is the innermost state
+    // which properly encloses both the source and the target (or undefined when that is
+    // the top level of the FSM).  If the target was never bound, the actions are 
+    // executed but the configuration is left unchanged.  The event causing the 
+    // transition is passed along for use by the actions.  Transition listeners are 
+    // notified once the transition is complete.
+    protected _takeTransition(
+        trans   : Transition, 
+        source  : State, 
+        evt     : FSMEvent) : void 
+    {
+        const target = trans.target;
+        if (!target) {
+            this._executeActions(trans.actions, evt);
+        } else {
+            // find the domain of the transition
+            let domain : State | undefined = source.parent;
+            while (domain && !target.isDescendantOf(domain)) domain = domain.parent;
+
+            this._exitStates(domain, evt);
+            this._executeActions(trans.actions, evt);
+            this._enterStates(target, domain, evt);
+        }
+
+        const info = {fsm: this, transition: trans, source, event: evt};
+        this._listeners.notifyTransition(info);
+        this._parent?.listeners.notifyTransition(info);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Execute the given actions in order, notifying action listeners after each
+    protected _executeActions(actions : readonly Action[], evt : FSMEvent) : void {
+        for (let act of actions) {
+            act.execute(evt);
+            const info = {fsm: this, action: act, event: evt};
+            this._listeners.notifyAction(info);
+            this._parent?.listeners.notifyAction(info);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Exit all the active states nested within the given domain state (or all active
+    // states if the domain is undefined), innermost states first, executing the exit
+    // actions of each.  The event causing the exit (if any; 'nevermatch' otherwise) is 
+    // passed along to the actions.
+    protected _exitStates(
+        domain  : State | undefined, 
+        evt     : FSMEvent) : void 
+    {
+        const leaving = this._active.filter((st) => !domain || st.isDescendantOf(domain));
+        for (let i = leaving.length-1; i >= 0; i--) {
+            // drop each state from the configuration before running its actions
+            this._active.splice(this._active.indexOf(leaving[i]), 1);
+            this._cancelStateTimeouts(leaving[i]);
+            this._executeActions(leaving[i].onExit, evt);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Enter the given target state from within the given domain state (undefined for 
+    // the top level).  This enters each state between the domain and the target, then 
+    // the target itself, and then the default substates of the target (its initial 
+    // substate, or all substates of a parallel state, recursively).  Parallel states
+    // passed through on the way to the target also have their other substates entered
+    // by default. States are entered outermost first, in declaration order, and the
+    // entry actions of each are executed as it is entered.  The event causing the entry
+    // (if any; 'nevermatch' otherwise) is passed along to the actions.
+    protected _enterStates(
+        target  : State, 
+        domain  : State | undefined, 
+        evt     : FSMEvent) : void 
+    {
+        let entering : State[] = [];
+
+        // add a state along with its default substates
+        const addDefault = (st : State) => {
+            entering.push(st);
+            if (st.parallel) {
+                for (let sub of st.substates) addDefault(sub);
+            } else if (st.initial) {
+                addDefault(st.initial);
+            }
+        }
+
+        // the chain of states from (and including) the domain down to the target
+        let chain : State[] = [];
+        for (let st : State | undefined = target; st && st !== domain; st = st.parent) {
+            chain.unshift(st);
+        }
+        if (domain) chain.unshift(domain);
+
+        for (let i = 0; i < chain.length; i++) {
+            const st = chain[i];
+            const next : State | undefined = chain[i+1];
+            if (!next) {
+                addDefault(st);
+            } else {
+                if (st !== domain) entering.push(st);
+                if (st.parallel) {
+                    for (let sub of st.substates) if (sub !== next) addDefault(sub);
                 }
-                // move to the new state
-                this._currentState = trans.target;
-                return;
             }
         }
+
+        // add the entered states keeping the configuration in declaration order
+        const order = this._allStates;
+        entering.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+        for (let st of entering) {
+            this._active.push(st);
+            this._active.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+            this._executeActions(st.onEntry, evt);
+            this._armStateTimeouts(st);
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Snapshots
+    //-------------------------------------------------------------------
+
+    // Capture the full state of this FSM: its active configuration, variables, and 
+    // regions (see FSMSnapshot).  Running timers and animations are not captured.
+    public snapshot() : FSMSnapshot {
+        let variables : {[name : string] : VarValue} = {};
+        this._variables.forEach((val, name) => variables[name] = val);
+        return {states: this._activePaths(), variables, 
+                regions: this._regions.map((reg) => reg.snapshot())};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Put this FSM back into a state captured by snapshot().  The active configuration
+    // is replaced directly (without executing exit or entry actions), named timers and
+    // animations of our regions are cancelled, and the timeouts of the restored states
+    // are armed afresh.  Variables and regions not mentioned in the snapshot are left
+    // as they are, and regions are put back in the snapshot's drawing order.  Parts of
+    // the snapshot which don't match this FSM (e.g., unknown state, variable, or region
+    // names) are reported and skipped; if any state can't be found the configuration 
+    // is left unchanged.  These problems are reported with Err.emit() when strict is 
+    // true, and only as warnings (see Err.warning()) otherwise, e.g., when restoring a
+    // snapshot saved from an earlier version of the FSM (see Persistence).
+    public restore(snap : FSMSnapshot, strict : boolean = true) : void {
+        const report = strict ? Err.emit : Err.warning;
+        const evt = this.makeEvent('nevermatch');
+        const before = this._activePaths();
+
+        // look up the states first, so a bad configuration changes nothing
+        const paths = Check.arrayofSimpleType<string>(snap.states, 'string', [], 
+                                                      "FSM.restore{states:}");
+        let states : State[] = [];
+        for (let path of paths) {
+            const st = this.findState(path);
+            if (!st) {
+                report(`State '${path}' in FSM.restore() does not match any state`);
+                states = [];
+                break;
+            }
+            if (!states.includes(st)) states.push(st);
+        }
+        if (states.length > 0) {
+            this._cancelAllTimers();
+            const order = this._allStates;
+            this._active = states.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+            for (let st of this._active) this._armStateTimeouts(st);
+        }
+
+        // variables
+        const vars = FSM.variablesFromJson(snap.variables);
+        for (let name of Object.keys(vars)) {
+            if (!this._variables.has(name)) {
+                report(`Variable '${name}' in FSM.restore() is not declared in FSM`);
+            } else {
+                this._variables.set(name, vars[name]);
+            }
+        }
+
+        // regions, putting them in the snapshot's order as we go
+        this._parent?.root?.cancelAnimations(this);
+        if (Array.isArray(snap.regions)) {
+            let ordered : Region[] = [];
+            for (let regSnap of snap.regions) {
+                const reg = this.findRegion(regSnap?.name);
+                if (!reg) {
+                    report(`Region '${regSnap?.name}' in FSM.restore() does not` +
+                             ' match any region');
+                    continue;
+                }
+                reg.restore(regSnap);
+                if (!ordered.includes(reg)) ordered.push(reg);
+            }
+            const others = this._regions.filter((reg) => !ordered.includes(reg));
+            this._regions = [...others, ...ordered];
+            this.damage();
+        } else if (snap.regions !== undefined) {
+            Err.emit("Region list is not an array in FSM.restore()");
+        }
+
+        this._notifyStateChange(before, evt);
+    }
+
+    //-------------------------------------------------------------------
+    // Listeners
+    //-------------------------------------------------------------------
+
+    // Register a listener to be told about each change of our configuration (see
+    // FSMListeners).  Returns a function which removes the listener.
+    public onStateChange(listener : StateChangeListener) : () => void {
+        return this._listeners.onStateChange(listener);
+    }
+
+    // Register a listener to be told about each transition we take.  Returns a 
+    // function which removes the listener.
+    public onTransition(listener : TransitionListener) : () => void {
+        return this._listeners.onTransition(listener);
+    }
+
+    // Register a listener to be told about each action we execute.  Returns a 
+    // function which removes the listener.
+    public onAction(listener : ActionListener) : () => void {
+        return this._listeners.onAction(listener);
+    }
+
+    // Register a callback to be called by our emit actions with the given callback
+    // name.  Returns a function which removes the callback.
+    public onEmit(name : string, callback : EmitCallback) : () => void {
+        return this._listeners.onEmit(name, callback);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Call the emit callbacks registered for the given name (with us, and then with 
+    // our parent interactor), passing the given value and the event causing the emit.
+    // Returns whether any callbacks were found.  This is called by emit actions.
+    public emit(name : string, value : VarValue | undefined, evt : FSMEvent) : boolean {
+        const info = {fsm: this, name, value, event: evt};
+        const ours = this._listeners.notifyEmit(info);
+        const parents = this._parent?.listeners.notifyEmit(info) ?? false;
+        return ours || parents;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The paths of our active states (in the form recorded in traces)
+    protected _activePaths() : string[] {
+        return this._active.map((st) => st.path);
+    }
+
+    // Notify state change listeners if our configuration now differs from the given
+    // one (as produced by _activePaths())
+    protected _notifyStateChange(before : readonly string[], evt : FSMEvent) : void {
+        const after = this._activePaths();
+        if (after.length === before.length && 
+            after.every((path, i) => path === before[i])) {
+            return;
+        }
+        const info = {fsm: this, from: before, to: after, event: evt};
+        this._listeners.notifyStateChange(info);
+        this._parent?.listeners.notifyStateChange(info);
+    }
+
+    //-------------------------------------------------------------------
+    // Animations
+    //-------------------------------------------------------------------
+
+    // Start an animation of one of our regions.  Animations are run by the Root object
+    // our parent is attached to, and when one completes we receive an animation_done
+    // event for its region.  If we are not attached to a Root, the animation jumps
+    // straight to its end, and the animation_done event is delivered as soon as the
+    // current event has been handled.
+    public startAnimation(anim : Animation) : void {
+        anim.onDone = () => this.actOnEvent('animation_done', anim.region);
+        const root = this._parent?.root;
+        if (root) {
+            root.addAnimation(anim);
+        } else {
+            anim.finish();
+            anim.onDone();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Note that the load of the image of the given region (one of ours) has finished,
+    // delivering an image_loaded event for the region if it succeeded, or an 
+    // image_error event if it failed (either with the image location as detail).  If 
+    // we have not been started yet, the event is held until we are.
+    public imageLoadDone(reg : Region, ok : boolean) : void {
+        const evtType = ok ? 'image_loaded' : 'image_error';
+        const evt = this.makeEvent(evtType, reg, reg.imageLoc);
+        if (this._started) {
+            this.actOnEvent(evt);
+        } else {
+            this._heldEvents.push(evt);
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Timers
+    //-------------------------------------------------------------------
+
+    // Start (or restart) the named timer so that it fires after the given number of
+    // milliseconds, delivering a timeout event with that timer name to the FSM.
+    public startTimer(name : string, ms : number) : void {
+        this.cancelTimer(name);
+        const handle = this._clock.setTimer(() => {
+            this._namedTimers.delete(name);
+            this.actOnEvent('timeout', undefined, name);
+        }, ms);
+        this._namedTimers.set(name, handle);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Cancel the named timer (does nothing if that timer is not running)
+    public cancelTimer(name : string) : void {
+        const handle = this._namedTimers.get(name);
+        if (handle !== undefined) {
+            this._clock.clearTimer(handle);
+            this._namedTimers.delete(name);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Arm the timeouts for all the timeout transitions out of the given (just entered)
+    // state.  When one of these fires, it is handled like any other event (see 
+    // _runToCompletion()), and if the state is still active then (without having been
+    // exited since) and the guard passes, the corresponding transition is taken (and
+    // state change listeners are notified, as for other events).
+    protected _armStateTimeouts(st : State) : void {
+        let handles : TimerHandle[] = [];
+        for (let trans of st.transitions) {
+            if (!trans.onEvent.isStateTimeout) continue;
+            handles.push(this._clock.setTimer(() => {
+                const evt = this.makeEvent('timeout');
+                this._runToCompletion(() => {
+                    if (this._stateTimers.get(st) !== handles) return;
+                    if (this._active.includes(st) && 
+                        trans.guardPasses(this.variablesFor(evt))) 
+                    {
+                        const before = this._activePaths();
+                        this._takeTransition(trans, st, evt);
+                        this._notifyStateChange(before, evt);
+                    }
+                });
+            }, trans.onEvent.duration));
+        }
+        if (handles.length > 0) this._stateTimers.set(st, handles);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Cancel any timeouts armed on entry to the given (just exited) state
+    protected _cancelStateTimeouts(st : State) : void {
+        for (let handle of this._stateTimers.get(st) ?? []) this._clock.clearTimer(handle);
+        this._stateTimers.delete(st);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
+    // Cancel all pending timers: both state timeouts and named timers
+    protected _cancelAllTimers() : void {
+        for (let st of Array.from(this._stateTimers.keys())) this._cancelStateTimeouts(st);
+        for (let name of Array.from(this._namedTimers.keys())) this.cancelTimer(name);
     }
       
     //-------------------------------------------------------------------
@@ -269,7 +1111,10 @@ export class FSM {
         result += "FSM: ";
         if (this.currentState) {
             result += `currentState: ${this.currentState.name} `;
+            const config = this._active.map((st) => st.path);
+            result += `configuration: [${config.join(', ')}] `;
         }
+        for (let [name, val] of this._variables) result += `${name}=${val} `;
         if (!this.parent) result += "no parent";
         result += "\n";
         result += ` Regions[${this.regions.length}]:\n`;
@@ -0,0 +1,240 @@
+import { EventType } from "./EventSpec.js";
+import { Region } from "./Region.js";
+import { VarValue } from "./Expression.js";
+
+//===================================================================
+// Class for objects describing an event being acted on by an FSM.  FSMInteractor
+// objects translate each "raw" input event into a series of these (one for each
+// higher-level event it generates, see FSMInteractor.dispatchRawEvent()), and the FSM
+// creates them for its own timeout events.  Each event object is passed to the FSM's
+// actOnEvent() method, used to match transitions (see Transition.match() and
+// EventSpec.match()), and passed along to the actions executed as a result (see
+// Action.execute()).  Events hold:
+//   * type       the type of the event (see EventSpec)
+//   * region     the region the event is associated with (if any)
+//   * localX/Y   the pointer position in the local coordinates of the interactor
+//   * regionX/Y  the pointer position relative to the top-left of the region (as it
+//                was when the event was created), or the same as localX/Y if there
+//                is no region
+//   * timestamp  the time of the event (in milliseconds, from the FSM's clock)
+//   * modifiers  which modifier keys were held down
+//   * detail     the key for key events, or the timer name for timeouts ("" otherwise)
+//   * pointer    the id and type ('mouse', 'pen', or 'touch') of the pointer the event
+//                came from, as reported by the browser's Pointer Events.  Several 
+//                pointers (e.g., fingers) may be active at once, each with its own id.
+//   * button     which button the event involves (0 for the primary button, 1 for the
+//                middle button, 2 for the secondary button, etc.)
+//   * clickCount the number of presses in quick succession that a press is part of 
+//                (1 for a single press, 2 for the second press of a double click, etc.)
+//   * deltaX/Y   the distance scrolled for wheel events
+//   * motionX/Y  the distance the pointer moved between its previous raw event and the
+//                one this event was generated from (0 for events not derived from 
+//                pointer input)
+//   * payload    the value sent along with a custom event (if any; see the 
+//                send_event action)
+// Events not derived from pointer input (e.g., key events and timeouts) have the
+// position of the most recent pointer input if known, and 0,0 otherwise, and are 
+// attributed to the mouse pointer.
+//===================================================================
+
+// Modifier keys which may be held down during an event
+export type Modifiers = {shift : boolean, ctrl : boolean, alt : boolean, meta : boolean};
+
+// Modifier state with no keys held down
+export const noModifiers : Readonly<Modifiers> =
+                                {shift: false, ctrl: false, alt: false, meta: false};
+
+// Kinds of pointers, along with corresponding strings
+export type PointerType = 'mouse' | 'pen' | 'touch';
+export const pointerTypeStrings = ['mouse', 'pen', 'touch'];
+
+// Identification of the pointer an event came from
+export type PointerInfo = {id : number, type : PointerType};
+
+// The (single) mouse pointer, which browsers identify with id 1.  This is the default
+// for events which don't come from a pointer.
+export const mousePointer : Readonly<PointerInfo> = {id: 1, type: 'mouse'};
+
+// Additional details of pointer input: the button involved, the click count (for 
+// presses), the distances scrolled (for wheel input), and the distance the pointer 
+// moved since its previous raw event (filled in by FSMInteractor).  Missing values 
+// default to button 0, a click count of 1, no scrolling, and no motion.
+export type InputDetails = {
+    button?  : number, 
+    clicks?  : number, 
+    deltaX?  : number, 
+    deltaY?  : number,
+    motionX? : number,
+    motionY? : number
+};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class FSMEvent {
+
+    public constructor(
+        type      : EventType,
+        region?   : Region,
+        localX    : number = 0,
+        localY    : number = 0,
+        timestamp : number = 0,
+        modifiers : Readonly<Modifiers> = noModifiers,
+        detail    : string = "",
+        pointer   : Readonly<PointerInfo> = mousePointer,
+        details   : Readonly<InputDetails> = {},
+        payload?  : VarValue)
+    {
+        this._type = type;
+        this._region = region;
+        this._localX = localX;
+        this._localY = localY;
+        this._regionX = localX - (region?.x ?? 0);
+        this._regionY = localY - (region?.y ?? 0);
+        this._timestamp = timestamp;
+        this._modifiers = modifiers;
+        this._detail = detail;
+        this._pointer = pointer;
+        this._button = details.button ?? 0;
+        this._clickCount = details.clicks ?? 1;
+        this._deltaX = details.deltaX ?? 0;
+        this._deltaY = details.deltaY ?? 0;
+        this._motionX = details.motionX ?? 0;
+        this._motionY = details.motionY ?? 0;
+        this._payload = payload;
+    }
+
+    // Produce the pointer identification reported in a browser pointer event.  Pointer 
+    // types we don't know about are treated as mouse pointers.
+    public static pointerOf(evt : Pick<PointerEvent, 'pointerId' | 'pointerType'>) 
+                                                                        : PointerInfo 
+    {
+        const type = pointerTypeStrings.includes(evt.pointerType) ? 
+                                        evt.pointerType as PointerType : 'mouse';
+        return {id: evt.pointerId, type};
+    }
+
+    // Produce the modifier state reported in a browser mouse or keyboard event
+    public static modifiersOf(
+        evt : Pick<MouseEvent | KeyboardEvent, 'shiftKey' | 'ctrlKey' | 'altKey' | 'metaKey'>) 
+                                                                        : Modifiers 
+    {
+        return {shift: evt.shiftKey, ctrl: evt.ctrlKey, alt: evt.altKey, meta: evt.metaKey};
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The type of the event
+    protected _type : EventType;
+    public get type() {return this._type;}
+
+    // The region the event is associated with (if any)
+    protected _region : Region | undefined;
+    public get region() {return this._region;}
+
+    // Pointer position in the local coordinates of the interactor
+    protected _localX : number;
+    public get localX() {return this._localX;}
+    protected _localY : number;
+    public get localY() {return this._localY;}
+
+    // Pointer position relative to the top-left of the region
+    protected _regionX : number;
+    public get regionX() {return this._regionX;}
+    protected _regionY : number;
+    public get regionY() {return this._regionY;}
+
+    // Time of the event in milliseconds
+    protected _timestamp : number;
+    public get timestamp() {return this._timestamp;}
+
+    // Modifier keys held down during the event
+    protected _modifiers : Readonly<Modifiers>;
+    public get modifiers() {return this._modifiers;}
+
+    // The key for key events, or the timer name for timeouts ("" otherwise)
+    protected _detail : string;
+    public get detail() {return this._detail;}
+
+    // The pointer the event came from
+    protected _pointer : Readonly<PointerInfo>;
+    public get pointer() {return this._pointer;}
+    public get pointerId() {return this._pointer.id;}
+    public get pointerType() {return this._pointer.type;}
+
+    // The button involved (0 = primary)
+    protected _button : number;
+    public get button() {return this._button;}
+
+    // The number of presses in quick succession this is part of
+    protected _clickCount : number;
+    public get clickCount() {return this._clickCount;}
+
+    // Distances scrolled by wheel input
+    protected _deltaX : number;
+    public get deltaX() {return this._deltaX;}
+    protected _deltaY : number;
+    public get deltaY() {return this._deltaY;}
+
+    // Distance the pointer moved since its previous raw event
+    protected _motionX : number;
+    public get motionX() {return this._motionX;}
+    protected _motionY : number;
+    public get motionY() {return this._motionY;}
+
+    // Value sent along with a custom event (undefined if none)
+    protected _payload : VarValue | undefined;
+    public get payload() {return this._payload;}
+
+    //-------------------------------------------------------------------
+    // Debugging Support
+    //-------------------------------------------------------------------
+
+    // Create a short human readable string representing this object for debugging
+    public debugTag() : string {
+        return `FSMEvent(${this.type} ${this.region?.name ?? ""})`;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Create a human readable string displaying this object for debugging purposes
+    public debugString(indent : number = 0) : string {
+        let result = "";
+        const indentStr = '  ';  // two spaces per indent level
+
+        // produce the indent
+        for (let i = 0; i < indent; i++) result += indentStr;
+
+        result += `${this.type}`;
+        if (this.region) result += ` ${this.region.name}`;
+        if (this.detail) result += ` "${this.detail}"`;
+        result += ` @(${this.localX},${this.localY})`;
+        if (this.region) result += ` region(${this.regionX},${this.regionY})`;
+        result += ` t:${this.timestamp}`;
+        if (this.pointerType !== 'mouse' || this.pointerId !== mousePointer.id) {
+            result += ` ${this.pointerType}#${this.pointerId}`;
+        }
+        if (this.button !== 0) result += ` button:${this.button}`;
+        if (this.clickCount > 1) result += ` clicks:${this.clickCount}`;
+        if (this.deltaX || this.deltaY) result += ` delta(${this.deltaX},${this.deltaY})`;
+        if (this.payload !== undefined) result += ` payload:${JSON.stringify(this.payload)}`;
+        const mods = this.modifiers;
+        const held = ['shift', 'ctrl', 'alt', 'meta'].filter(
+                                        (name) => mods[name as keyof Modifiers]);
+        if (held.length > 0) result += ` [${held.join('+')}]`;
+
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Log a human readable string for this object to the console
+    public dump() {
+        console.log(this.debugString());
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+} // end class FSMEvent
+
+//===================================================================
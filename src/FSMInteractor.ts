@@ -14,9 +14,19 @@
 //===================================================================
 
 import { Root } from "./Root.js";
-import { FSM, FSM_json } from "./FSM.js";
+import { FSM, FSM_json, FSMSnapshot } from "./FSM.js";
 import { Region } from "./Region.js";
 import { Err } from "./Err.js";
+import { ManualClock } from "./Clock.js";
+import { Trace, RawEventType } from "./Trace.js";
+import { FSMEvent, Modifiers, noModifiers, PointerInfo, mousePointer, InputDetails } 
+                                                                    from "./FSMEvent.js";
+import { EventType } from "./EventSpec.js";
+import { Transition } from "./Transition.js";
+import { Rect, Rects } from "./Rect.js";
+import { VarValue } from "./Expression.js";
+import { FSMListeners, StateChangeListener, TransitionListener, ActionListener, 
+         EmitCallback } from "./FSMListeners.js";
 
 //===================================================================
 // Class for an interactive object controlled by a finite state machine (FSM).
@@ -32,6 +42,32 @@ import { Err } from "./Err.js";
 // are considered "inside" or "over" the region for input purposes).  However, region 
 // image displays are not not limited to that bounding box and are not clipped (except 
 // by the containing HTML canvas object).  See the FSM and Root classes for more details.
+//
+// Interactors can be composed: each may host a list of child interactors (e.g., a 
+// dialog hosting buttons) which are positioned in its local coordinate system.  
+// Children are drawn after (so on top of) the regions of their parent, in the order 
+// of the child list, and can be reordered with raiseChild() and lowerChild().  Drawing
+// and pointer input dispatch recurse through the resulting tree, and damage declared 
+// by a child is passed up through its parent (in the parent's coordinates).  The Root
+// at the top of the tree can be found with the root property.
+//
+// Interactors may be given a name, by which the FSMs of other interactors can send 
+// them custom events (see the send_event action and receiveEvent()).
+//
+// Host application code can observe the FSM of an interactor by registering listeners
+// with it (see onStateChange(), onTransition(), onAction(), and onEmit()).  These stay
+// registered when a new FSM is loaded, and so apply to whichever FSM it has.
+//
+// Besides raw input, host code and tests can drive an interactor directly: fireEvent()
+// injects a high-level event (e.g., a press on a named region), gotoState() jumps to
+// a state, availableTransitions lists the transitions that could be taken next, and 
+// snapshot() and restore() capture and reinstate the full state of the FSM.
+//
+// FSMs loaded with startLoadFromJson() (or preloadFromJson()) are only installed once
+// the images they may show have been loaded, so that those images appear as soon as 
+// they are needed rather than arriving some time later (see FSM.imageManifest).  FSMs
+// are built unstarted and only started once installed, so their entry actions, timers,
+// and image events never run against an interactor which is not showing them.
 //=================================================================== 
 
 export class FSMInteractor {
@@ -39,7 +75,7 @@ export class FSMInteractor {
             fsm     : FSM | undefined = undefined,
             x       : number = 0,
             y       : number = 0,
-            parent? : Root)
+            parent? : Root | FSMInteractor)
     {
         this._fsm = fsm;
         this._x = x; this._y = y;
@@ -51,27 +87,29 @@ export class FSMInteractor {
     // Properties
     //-------------------------------------------------------------------
   
-    // X position (left) of this object within the parent Root object (and containing 
-    // HTML canvas)
+    // X position (left) of this object within its parent: the Root object (and 
+    // containing HTML canvas), or the local coordinates of a parent FSMInteractor
     protected _x : number;
     public get x() {return this._x;}
     public set x(v : number) {
           
         // **** YOUR CODE HERE ****
         if (v !== this._x) {
+            this.damage();
             this._x = v;
             this.damage();
         }
     }
 
-    // Y position (top) of this object within the parent Root object (and containing 
-    // HTML canvas)
+    // Y position (top) of this object within its parent: the Root object (and 
+    // containing HTML canvas), or the local coordinates of a parent FSMInteractor
     protected _y : number;
     public get y() {return this._y;}
     public set y(v : number) {
             
         // **** YOUR CODE HERE ****
         if (v !== this._y) {
+            this.damage();
             this._y = v;
             this.damage();
         }
@@ -84,32 +122,177 @@ export class FSMInteractor {
 
     public set position( v: {x: number, y: number}) {
         if ((v.x !== this._x) || (v.y !== this._y)) {
+            this.damage();
             this._x = v.x;
             this._y = v.y;
-            this.parent?.damage();
+            this.damage();
         }
     }
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
-    // The parent Root object that hosts this object (and serves as a link to the 
-    // underlying HTML canvas) 
-    protected _parent : Root | undefined;
+    // The parent object that hosts this object: either the Root object (which serves
+    // as a link to the underlying HTML canvas), or another FSMInteractor which has this 
+    // object as a child.  This is set by addChild() and removeChild().
+    protected _parent : Root | FSMInteractor | undefined;
     public get parent() {return this._parent;}
-    public set parent(v : Root | undefined) {
+    public set parent(v : Root | FSMInteractor | undefined) {
             
         // **** YOUR CODE HERE ****
         if (v !== this._parent) {
+            this.damage();
             this._parent = v;
             this.damage();
         }
     }
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+    // The Root object at the top of the tree this object is in (if any)
+    public get root() : Root | undefined {
+        const par = this._parent;
+        return (par instanceof FSMInteractor) ? par.root : par;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Child interactors hosted by this object, in drawing order
+    protected _children : FSMInteractor[] = [];
+    public get children() : readonly FSMInteractor[] {return this._children;}
+
+    // Add a child object to the end of our child list (so it is drawn on top), linking
+    // to us as parent appropriately.  A child which already has a parent is first 
+    // removed from it.  An object can't be added as a child of itself or of one of its
+    // own descendants.
+    public addChild(newChild : FSMInteractor) {
+        if (this._children.includes(newChild)) return;
+        for (let anc : FSMInteractor | undefined = this; anc; ) {
+            if (anc === newChild) {
+                Err.emit("Attempt to add an FSMInteractor as a child of itself " + 
+                         "or of one of its descendants");
+                return;
+            }
+            anc = (anc.parent instanceof FSMInteractor) ? anc.parent : undefined;
+        }
+        newChild.parent?.removeChild(newChild);
+        this._children.push(newChild);
+        newChild.parent = this;
+    }
+
+    // Remove a child object from our child list (unlinking us as parent)
+    public removeChild(child : FSMInteractor) {
+        const indx = this._children.indexOf(child);
+        if (indx < 0) return;
+        this.root?.childRemoved(child);
+        this._children.splice(indx, 1);
+        child.parent = undefined;
+    }
+
+    // Move the given child object to the end of our child list, so that it is drawn on
+    // top of (and receives input before) all our other children
+    public raiseChild(child : FSMInteractor) {
+        const indx = this._children.indexOf(child);
+        if (indx < 0) {
+            Err.emit("Attempt to raise an FSMInteractor which is not a child");
+            return;
+        }
+        if (indx === this._children.length-1) return;
+        this._children.splice(indx, 1);
+        this._children.push(child);
+        child.damage();
+    }
+
+    // Move the given child object to the start of our child list, so that it is drawn
+    // beneath (and receives input after) all our other children
+    public lowerChild(child : FSMInteractor) {
+        const indx = this._children.indexOf(child);
+        if (indx < 0) {
+            Err.emit("Attempt to lower an FSMInteractor which is not a child");
+            return;
+        }
+        if (indx === 0) return;
+        this._children.splice(indx, 1);
+        this._children.unshift(child);
+        child.damage();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Name by which this object can be found (see Root.findInteractor()), e.g., as 
+    // the target of a send_event action ("" if it has none)
+    protected _name : string = "";
+    public get name() {return this._name;}
+    public set name(v : string) {this._name = v;}
+
+    // Listeners and emit callbacks registered with this object, which hear about 
+    // whichever FSM we currently have (see onStateChange(), etc.)
+    protected _listeners = new FSMListeners();
+    public get listeners() {return this._listeners;}
+
     // The finite state machine that controls the behavior of this object
     protected _fsm : FSM | undefined;
     public get fsm() {return this._fsm;}
 
+    // The area that drawing this object may affect (expressed in our local coordinates):
+    // the union of the drawnBounds of all our visible regions and all our children.  
+    // This is empty if we have no FSM or no visible regions, and no children.
+    public get drawnBounds() : Rect {
+        let result : Rect = {x: 0, y: 0, w: 0, h: 0};
+        for (let reg of this.fsm?.regions ?? []) {
+            if (reg.visible) {
+                result = Rects.union(result, Rects.offset(reg.drawnBounds, reg.x, reg.y));
+            }
+        }
+        for (let child of this._children) {
+            result = Rects.union(result, Rects.offset(child.drawnBounds, child.x, child.y));
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Indication of whether this object currently has the keyboard focus (as 
+    // maintained by our Root object)
+    public get hasFocus() : boolean {return this.root?.focus === this;}
+
+    // The region of our FSM that key events are associated with while we have the 
+    // keyboard focus.  This is the (top-most) region which most recently received a 
+    // press, and is undefined if no region has been pressed.
+    protected _focusRegion : Region | undefined = undefined;
+    public get focusRegion() {return this._focusRegion;}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Position of the pointer (locator) as of the most recent raw press, move, or 
+    // release event (in our local coordinates).  When several pointers are active this
+    // refers to whichever one delivered the most recent event.
+    protected _pointerPos : {x : number, y : number} | undefined = undefined;
+    public get pointerPosition() {return this._pointerPos;}
+
+    // Last known position of each pointer, keyed by pointer id.  This gives the motion
+    // carried by the events generated for the next raw event from that pointer (see 
+    // FSMEvent), which move_region actions use to follow the pointer (e.g., for 
+    // dragging).
+    protected _pointerPositions = new Map<number, {x : number, y : number}>();
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Location our FSM was loaded from by startLoadFromJson() ("" if it was not)
+    protected _fsmLoc : string = "";
+    public get fsmLoc() {return this._fsmLoc;}
+
+    // Whether an FSM is waiting for its images to load before being installed (see 
+    // preloadFromJson()), along with a count of the FSM loads started (used to 
+    // recognize preloads which have been superseded by a later load)
+    protected _preloading : boolean = false;
+    public get preloading() {return this._preloading;}
+    protected _loadCount : number = 0;
+
+    // Trace that raw events are being recorded into (undefined when not recording), 
+    // along with the clock time that recording started at
+    protected _trace : Trace | undefined = undefined;
+    protected _traceStart : number = 0;
+    public get recording() : boolean {return this._trace !== undefined;}
+
     //-------------------------------------------------------------------
     // Methods
     //-------------------------------------------------------------------
@@ -120,10 +303,12 @@ export class FSMInteractor {
     // from the controlling FSM, in response to damage declarations from its  "child" 
     // regions, etc.  This method passes the damage notification to its hosting Root
     // object which coordinates eventual redraw by calling this object's draw() method.
-    public damage() {
+    // The area damaged is given in our local coordinates, and defaults to our 
+    // drawnBounds.  It is passed on in the coordinates of our parent.
+    public damage(area : Readonly<Rect> = this.drawnBounds) {
            
         // **** YOUR CODE HERE ****
-        this.parent?.damage();
+        this.parent?.damage(Rects.offset(area, this.x, this.y));
     }
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -131,13 +316,48 @@ export class FSMInteractor {
     // Draw the display for this object using the given drawing context object.  If the
     // showDegugging parameter is passed as true, additional drawing for debugging 
     // purposes (e.g., a black frame showing the bounding box of every region) is 
-    // requsted.  See Region.draw() for more details.
-    public draw(ctx : CanvasRenderingContext2D, showDebugging : boolean = false) {
+    // requsted.  See Region.draw() for more details.  If a list of areas (in our local
+    // coordinates) is given, only regions which may draw within one of them are drawn.
+    // This is used to limit the work done when only part of the display is redrawn.
+    // After our regions, each of our children is drawn (in its own coordinates).
+    public draw(
+        ctx           : CanvasRenderingContext2D, 
+        showDebugging : boolean = false, 
+        areas?        : readonly Rect[]) 
+    {
+        // draw our regions (if we have an FSM to work from), then our children
+        this._drawRegions(ctx, showDebugging, areas);
+        for (let child of this._children) {
+            if (areas) {
+                const bounds = Rects.offset(child.drawnBounds, child.x, child.y);
+                if (!areas.some((area) => Rects.intersects(area, bounds))) continue;
+            }
+            ctx.save();
+            ctx.translate(child.x, child.y);
+            child.draw(ctx, showDebugging, 
+                       areas?.map((area) => Rects.offset(area, -child.x, -child.y)));
+            ctx.restore();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Draw the regions of our FSM (see draw())
+    protected _drawRegions(
+        ctx           : CanvasRenderingContext2D, 
+        showDebugging : boolean, 
+        areas?        : readonly Rect[]) 
+    {
         // bail out if we don't have an FSM to work from
         if (!this.fsm) return;
 
         // **** YOUR CODE HERE ****
         for (let region of this.fsm.regions) {
+            if (!region.visible) continue;
+            if (areas) {
+                const bounds = Rects.offset(region.drawnBounds, region.x, region.y);
+                if (!areas.some((area) => Rects.intersects(area, bounds))) continue;
+            }
             ctx.save();
             
             // translate to the region's position
@@ -157,7 +377,7 @@ export class FSMInteractor {
     // be at the top-left of this object).  Note that the "pick list" returned here
     // is ordered in reverse regions drawing order (regions drawn later, appear
     // earlier in the list) so that the region drawn on top of other objects appear
-    // before them in the list.
+    // before them in the list.  Hidden regions are never included.
     public pick(localX : number, localY : number) : Region[] {
         let pickList :Region[] = [];
 
@@ -167,6 +387,7 @@ export class FSMInteractor {
         // **** YOUR CODE HERE ****
         // for each region in the FSM, check if the point is inside it
         for (let reg of this.fsm.regions) {
+            if (!reg.visible) continue;
             if (reg.pick(localX - reg.x, localY - reg.y)) {
                 pickList.unshift(reg);
             }
@@ -177,40 +398,140 @@ export class FSMInteractor {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
-        
-        // **** YOUR CODE HERE ****   
-        protected _pickList : Region[] = [];
-        // You will need some persistent bookkeeping for dispatchRawEvent()
+    // Perform a pick operation over the whole tree rooted at this object: produce the
+    // list of regions of our FSM and the FSMs of all our descendants which the given 
+    // point (in our local coordinates) is over.  The list is ordered from top-most to
+    // bottom-most as drawn, so it starts with the regions of our last child (and its 
+    // children), and ends with our own regions (as returned by pick()).  The 
+    // interactor each region belongs to can be found through its FSM (region.parent 
+    // .parent).
+    public pickTree(localX : number, localY : number) : Region[] {
+        let pickList : Region[] = [];
+        for (let i = this._children.length-1; i >= 0; i--) {
+            const child = this._children[i];
+            pickList.push(...child.pickTree(localX - child.x, localY - child.y));
+        }
+        pickList.push(...this.pick(localX, localY));
+        return pickList;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // **** YOUR CODE HERE ****
+    // The list of regions each pointer was last over (its pick list), keyed by 
+    // pointer id.  Each pointer gets its own enter/exit tracking.
+    protected _pickLists = new Map<number, Region[]>();
 
     // Dispatch the given "raw" event by translating it into a series of higher-level
     // events which are formulated in terms of the regions of our FSM.  "Raw" events 
-    // are based on simple actions with the input device(s) -- currently just press and
-    // release of the first/primary locator button, and locator moves.  "Raw" events are 
-    // represented by one of those three event types along with a position (in the local
-    // coordinates of this object).  
+    // are based on simple actions with the input device(s) -- currently press and
+    // release of locator buttons, locator moves, wheel turns, and key down and up.
+    // "Raw" events are represented by one of those event types along with a position 
+    // (in the local coordinates of this object), and for key events the key involved 
+    // (as reported in KeyboardEvent.key).  Key events are only delivered to us by our 
+    // parent when we have the keyboard focus, and are passed on to the FSM directly 
+    // (as key_down or key_up events) associated with our focus region.  Their position 
+    // is ignored (the last known pointer position is reported with them instead).  
+    // Raw events may also indicate which modifier keys were held down, and which 
+    // pointer (id and type) press, move, and release events came from.  Each pointer 
+    // is tracked separately, so (for example) two fingers on a touch screen generate 
+    // independent sets of higher-level events.  Touch pointers cease to exist once 
+    // lifted, so a touch release is followed by exit events for the regions under it.
+    // Finally, raw events may carry input details (see InputDetails): the button for 
+    // press and release events (0 for the primary button), the click count for press 
+    // events, and the distances scrolled for wheel events.  Wheel events are delivered
+    // as wheel events for each region under the pointer, and otherwise do not affect 
+    // the tracking of the pointer.
     //
     // The following higher-level events are generated as translations of a "raw" event:
-    // exit <region>, enter <region>, press <region>, move_inside <region>, 
-    // release <region>, and release_none.  Multiple of these high level events can be 
+    // exit <region>, enter <region>, press <region>, double_click <region>, 
+    // context_press <region>, move_inside <region>, release <region>, release_none, 
+    // and wheel <region>.  A double_click follows the press for the second press 
+    // of the primary button in quick succession, and a context_press follows the press
+    // for the secondary button.  Multiple of these high level events can be 
     // generated from one "raw" event.  For example, an underlying move event can 
     // generate exit, enter, and move_inside events for multiple regions.  The order
     // of event delivery is to first deliver all exit events, then all enter events, etc.
     // in the order listed above.  Within each event type, events associated with the 
     // last drawn region should be dispatched first (i.e., events are delivered in 
     // reverse region drawing order). Note that all generated higher-level events
-    // are dispatched to the FSM (via its actOnEvent() method).
-    public dispatchRawEvent(what : 'press' | 'move' | 'release', 
-                            localX : number, localY : number) 
+    // are dispatched to the FSM (via its actOnEvent() method) as FSMEvent objects which
+    // carry the position, time, modifiers, pointer, and input details of the raw event.
+    //
+    // Raw events other than key events are first dispatched to each of our children 
+    // (in reverse of drawing order, so those on top receive them first), in the local
+    // coordinates of that child.  Key events are not passed to children, since they 
+    // are delivered directly to whichever interactor has the keyboard focus.
+    //
+    // If a trace is being recorded (see startRecording()), the raw event and the FSM
+    // configuration resulting from it are added to the trace.
+    public dispatchRawEvent(what : RawEventType, 
+                            localX : number, localY : number, key? : string,
+                            modifiers : Readonly<Modifiers> = noModifiers,
+                            pointer : Readonly<PointerInfo> = mousePointer,
+                            details : Readonly<InputDetails> = {}) 
     {
+        // pass pointer input on to our children
+        if (what !== 'key_down' && what !== 'key_up') {
+            for (let chIndx = this._children.length-1; chIndx >= 0; chIndx--) {
+                const child = this._children[chIndx];
+                child.dispatchRawEvent(what, localX - child.x, localY - child.y, key, 
+                                       modifiers, pointer, details);
+            }
+        }
+
         // if we have no FSM, there is nothing to dispatch to
         if (this.fsm === undefined) return;
+        const fsm = this.fsm;
+
+        // function to deliver one higher-level event to the FSM
+        const timestamp = fsm.clock.now();
+        let evtDetails = details;
+        const send = (evtType : EventType, reg? : Region, x = localX, y = localY) => {
+            fsm.actOnEvent(new FSMEvent(evtType, reg, x, y, timestamp, modifiers, 
+                                        key ?? "", pointer, evtDetails));
+        };
+
+        // key events go straight to the FSM in terms of our focus region
+        if (what === 'key_down' || what === 'key_up') {
+            const pos = this._pointerPos ?? {x: 0, y: 0};
+            send(what, this._focusRegion, pos.x, pos.y);
+            this._recordRawEvent(what, localX, localY, key, modifiers, pointer, details);
+            return;
+        }
+
+        // wheel events go to the regions under the pointer
+        if (what === 'wheel') {
+            for (let reg of this.pick(localX, localY)) send('wheel', reg);
+            this._recordRawEvent(what, localX, localY, key, modifiers, pointer, details);
+            return;
+        }
+
+        // note how far the pointer has moved since its last event
+        const lastPos = this._pointerPositions.get(pointer.id) ?? {x: localX, y: localY};
+        evtDetails = {...details, motionX: localX - lastPos.x, 
+                                  motionY: localY - lastPos.y};
+        this._pointerPos = {x: localX, y: localY};
+        this._pointerPositions.set(pointer.id, this._pointerPos);
+
+        // the regions this pointer was over at its last event
+        const pickList = this._pickLists.get(pointer.id) ?? [];
 
         // **** YOUR CODE HERE ****
         const currRegs = this.pick(localX, localY);
         // if press, dispatch press events for all regions in the pick list
         if (what === 'press') {
+            // the top-most region pressed becomes the target of key events
+            if (currRegs.length > 0) this._focusRegion = currRegs[0];
             for (let reg of currRegs) {
-                this.fsm.actOnEvent('press', reg);
+                send('press', reg);
+            }
+            // followed by double clicks or context presses as appropriate
+            const button = details.button ?? 0;
+            if (button === 0 && details.clicks === 2) {
+                for (let reg of currRegs) send('double_click', reg);
+            } else if (button === 2) {
+                for (let reg of currRegs) send('context_press', reg);
             }
         } else if (what === 'move') {
             // keep lists of regions that were exited, entered, and moved inside
@@ -218,7 +539,7 @@ export class FSMInteractor {
             let enterList : Region[] = [];
             let moveList : Region[] = [];
 
-            for (let reg of this._pickList) {
+            for (let reg of pickList) {
                 // if the region is not in the current list, it was exited
                 if (!currRegs.includes(reg)) {
                     exitList.push(reg);
@@ -226,7 +547,7 @@ export class FSMInteractor {
             }
             for (let reg of currRegs) {
                 // if the region is not in the pick list, it was entered
-                if (!this._pickList.includes(reg)) {
+                if (!pickList.includes(reg)) {
                     enterList.push(reg);
                 } else { // otherwise, it was moved inside
                     moveList.push(reg);
@@ -234,26 +555,259 @@ export class FSMInteractor {
             }
             // dispatch the events (exit, enter, move_inside)
             for (let reg of exitList) {
-                this.fsm.actOnEvent('exit', reg);
+                send('exit', reg);
             }
             for (let reg of enterList) {
-                this.fsm.actOnEvent('enter', reg);
+                send('enter', reg);
             }
             for (let reg of moveList) {
-                this.fsm.actOnEvent('move_inside', reg);
+                send('move_inside', reg);
             }
         } else if (what === 'release') {
             // dispatch release events for all regions in the pick list
-            for (let reg of this._pickList) {
-                this.fsm.actOnEvent('release', reg);
+            for (let reg of pickList) {
+                send('release', reg);
             }
             // if no regions are currently picked, dispatch release_none
             if (currRegs.length === 0) {
-                this.fsm.actOnEvent('release_none');
+                send('release_none');
+            }
+        }
+        // update the pick list, or forget about a lifted touch pointer entirely
+        if (what === 'release' && pointer.type === 'touch') {
+            for (let reg of currRegs) send('exit', reg);
+            this._pickLists.delete(pointer.id);
+            this._pointerPositions.delete(pointer.id);
+        } else {
+            this._pickLists.set(pointer.id, currRegs);
+        }
+        this._recordRawEvent(what, localX, localY, key, modifiers, pointer, details);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Deliver a custom event with the given name (and optional payload) to our FSM, 
+    // e.g., as sent by the send_event action of another interactor's FSM.  Custom 
+    // events are not associated with any region.
+    public receiveEvent(eventName : string, payload? : VarValue) {
+        if (!this.fsm) return;
+        this.fsm.actOnEvent(this.fsm.makeEvent('custom', undefined, eventName, payload));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Deliver a high-level event of the given type directly to our FSM, bypassing the
+    // translation of raw input (e.g., fireEvent('press', 'stick1')).  The event is 
+    // associated with the region of the given name ("" for none), and carries the 
+    // given detail string (the key for key events, the timer name for timeouts, or the
+    // event name for custom events) and payload.  Its position is the most recent 
+    // pointer position.  Region names which don't resolve are reported with Err.emit().
+    public fireEvent(
+        evtType    : EventType, 
+        regionName : string = "", 
+        detail     : string = "", 
+        payload?   : VarValue) 
+    {
+        const fsm = this._requireFSM('fireEvent');
+        if (!fsm) return;
+        let reg : Region | undefined = undefined;
+        if (regionName !== "") {
+            reg = fsm.findRegion(regionName);
+            if (!reg) {
+                Err.emit(`Region '${regionName}' in fireEvent() does not match any region`);
+                return;
             }
         }
-        // update the pick list
-        this._pickList = currRegs;
+        fsm.actOnEvent(fsm.makeEvent(evtType, reg, detail, payload));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The transitions our FSM could currently take (see FSM.availableTransitions)
+    public get availableTransitions() : Transition[] {
+        return this.fsm?.availableTransitions ?? [];
+    }
+
+    // Jump our FSM directly to the state with the given name or path (see 
+    // FSM.gotoState())
+    public gotoState(nameOrPath : string) {
+        this._requireFSM('gotoState')?.gotoState(nameOrPath);
+    }
+
+    // Capture the full state of our FSM (see FSM.snapshot()), or undefined if we have 
+    // no FSM
+    public snapshot() : FSMSnapshot | undefined {
+        return this.fsm?.snapshot();
+    }
+
+    // Put our FSM back into a state captured by snapshot() (see FSM.restore())
+    public restore(snap : FSMSnapshot, strict : boolean = true) {
+        this._requireFSM('restore')?.restore(snap, strict);
+    }
+
+    // Produce our FSM, reporting its absence (in the given method) with Err.emit()
+    protected _requireFSM(method : string) : FSM | undefined {
+        if (!this.fsm) Err.emit(`${method}() called on an FSMInteractor with no FSM`);
+        return this.fsm;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Register a listener to be told about each change of the configuration of our
+    // FSM (see FSMListeners).  Returns a function which removes the listener.
+    public onStateChange(listener : StateChangeListener) : () => void {
+        return this._listeners.onStateChange(listener);
+    }
+
+    // Register a listener to be told about each transition our FSM takes.  Returns a
+    // function which removes the listener.
+    public onTransition(listener : TransitionListener) : () => void {
+        return this._listeners.onTransition(listener);
+    }
+
+    // Register a listener to be told about each action our FSM executes.  Returns a
+    // function which removes the listener.
+    public onAction(listener : ActionListener) : () => void {
+        return this._listeners.onAction(listener);
+    }
+
+    // Register a callback to be called by the emit actions of our FSM with the given
+    // callback name.  Returns a function which removes the callback.
+    public onEmit(name : string, callback : EmitCallback) : () => void {
+        return this._listeners.onEmit(name, callback);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Add a raw event just dispatched to the trace being recorded (if any)
+    protected _recordRawEvent(what : RawEventType, 
+                              localX : number, localY : number, key : string | undefined,
+                              modifiers : Readonly<Modifiers>, 
+                              pointer : Readonly<PointerInfo>,
+                              details : Readonly<InputDetails>) 
+    {
+        if (!this._trace || !this.fsm) return;
+        const t = this.fsm.clock.now() - this._traceStart;
+        this._trace.record(what, localX, localY, t, key, this.fsm, modifiers, pointer, 
+                           details);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Begin recording a trace of the raw events dispatched to this object and the FSM 
+    // configurations that result (see the Trace class).  Any recording already in 
+    // progress is discarded.
+    public startRecording() : void {
+        if (!this.fsm) {
+            Err.emit("Attempt to record a trace for an FSMInteractor with no FSM");
+            return;
+        }
+        this._traceStart = this.fsm.clock.now();
+        this._trace = new Trace(Trace.configurationOf(this.fsm), [], this._fsmLoc);
+    }
+
+    // End the current recording, returning the trace recorded (or undefined if no 
+    // recording was in progress).  Use toJson() on the result to save it.
+    public stopRecording() : Trace | undefined {
+        const result = this._trace;
+        this._trace = undefined;
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Replay a recorded trace through dispatchRawEvent(), checking that our FSM passes
+    // through the same sequence of configurations that was recorded.  The FSM is reset
+    // before starting (note that region images are not reset by this).  If the FSM's 
+    // clock is a ManualClock, it is advanced between events according to the recorded
+    // times, so that timeouts fire as they did during recording.  Each mismatch found 
+    // is reported with Err.emit(), and the list of mismatch messages is returned 
+    // (empty if the replay matched the trace).
+    public replayTrace(trace : Trace) : string[] {
+        if (!this.fsm) {
+            Err.emit("Attempt to replay a trace for an FSMInteractor with no FSM");
+            return [];
+        }
+        const mismatches : string[] = [];
+        const check = (expected : readonly string[], where : string) => {
+            const diff = Trace.compareConfiguration(expected, this.fsm!);
+            if (diff) {
+                const mesg = `Trace replay mismatch ${where}: ${diff}`;
+                mismatches.push(mesg);
+                Err.emit(mesg);
+            }
+        };
+
+        // start from scratch
+        this.fsm.reset();
+        this._pickLists.clear();
+        this._pointerPositions.clear();
+        this._focusRegion = undefined;
+        this._pointerPos = undefined;
+        check(trace.initial, "at start");
+
+        // feed each event through and compare the results
+        const clock = this.fsm.clock;
+        let lastT = 0;
+        trace.events.forEach((evt, i) => {
+            if (clock instanceof ManualClock && evt.t > lastT) clock.advance(evt.t - lastT);
+            lastT = Math.max(lastT, evt.t);
+            this.dispatchRawEvent(evt.what, evt.x, evt.y, evt.key, evt.modifiers, 
+                                  evt.pointer, evt.details);
+            check(evt.states, `after event ${i} (${evt.what} at ${evt.x},${evt.y})`);
+        });
+        return mismatches;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Install an FSM built from the given FSM_json object (e.g., as reconstructed from
+    // json data obtained by some means other than startLoadFromJson()) to control this
+    // object, and declare damage to arrange for redraw with the newly installed FSM.
+    public loadFromJson(data : FSM_json) {
+        this._loadCount++;
+
+        // validate and build an actual FSM object out of that and install it
+        this._installFSM(FSM.fromJson(data, undefined, false));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Install an FSM built from the given FSM_json object (as loadFromJson() does), but
+    // only once all the images it may show have been loaded (see FSM.imageManifest and
+    // Region.preloadImages()), unless its json says not to preload them.  Until then, 
+    // any FSM we had stays installed and preloading is true.  Images which fail to load
+    // don't prevent the install (they are reported with Err.emit(), and shown as 
+    // broken).  If another FSM is loaded while waiting, this one is dropped.  The 
+    // promise returned resolves once the FSM has been installed (or dropped).
+    public async preloadFromJson(data : FSM_json) : Promise<void> {
+        const count = ++this._loadCount;
+        const fsm = FSM.fromJson(data, undefined, false);
+        if (fsm.preloads) {
+            this._preloading = true;
+            await Region.preloadImages(fsm.imageManifest);
+            if (count !== this._loadCount) return;
+        }
+        this._installFSM(fsm);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Install the given (unstarted) FSM to control this object (replacing any we had),
+    // start it, and declare damage to arrange for redraw with it
+    protected _installFSM(fsm : FSM) : void {
+        // whatever the old FSM was showing needs to be redrawn, and its animations 
+        // are no longer wanted
+        this.damage();
+        if (this._fsm) this.root?.cancelAnimations(this._fsm);
+
+        this._fsm = fsm;
+        this._preloading = false;
+        fsm.parent = this;
+        fsm.start();
+
+        // we just changed everything, so declare damage
+        this.damage();
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -265,9 +819,12 @@ export class FSMInteractor {
     // actios, if the loading fails, Err.emit() is called with an appropriate message, 
     // and this._fsm is set to undefined.  When/if loading completes, the data is 
     // unpacked into an FSM_json object which is in turn used by FSM.fromJson() to create 
-    // an FSM object installed as our fsm property.  Finally we declare damage to our 
-    // parent object to arrange for redraw with the newly installed FSM.
+    // an FSM object installed as our fsm property, once the images it may show have 
+    // been loaded (see preloadFromJson()).  Finally we declare damage to our parent 
+    // object to arrange for redraw with the newly installed FSM.
     public async startLoadFromJson(jsonLoc : string) {
+        this._fsmLoc = jsonLoc;
+
         // try to load the json text from the given location
         const response = await fetch(jsonLoc);
 
@@ -280,11 +837,9 @@ export class FSMInteractor {
         //  parse the json into an (alledged) FSM_json object
         const data : FSM_json = await response.json();
 
-        // validate and build an actual FSM object out of that
-        this._fsm = FSM.fromJson(data, this);
-
-         // we just changed everything, so declare damage
-         this.damage();
+        // validate and build an actual FSM object out of that and install it (once its
+        // images are loaded)
+        await this.preloadFromJson(data);
     }   
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 } // end class FSMInteractor 
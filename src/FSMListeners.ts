@@ -0,0 +1,221 @@
+import { Err } from "./Err.js";
+import { FSM } from "./FSM.js";
+import { State } from "./State.js";
+import { Transition } from "./Transition.js";
+import { Action } from "./Action.js";
+import { FSMEvent } from "./FSMEvent.js";
+import { VarValue } from "./Expression.js";
+
+//===================================================================
+// Class for the sets of callbacks (listeners) which host application code can
+// register in order to observe an FSM, rather than polling its state.  Each FSM and
+// each FSMInteractor holds one of these (see their onStateChange(), onTransition(),
+// onAction(), and onEmit() methods).  Listeners registered with an interactor hear
+// about whichever FSM the interactor currently has, so they survive loading a new FSM.
+// Four kinds of notification are provided:
+//   * state change  the configuration of the FSM (its set of active states) changed,
+//                   either by taking transitions in response to an event, or by a
+//                   reset
+//   * transition    a transition was taken (after its actions and the entry actions
+//                   of its target have been executed)
+//   * action        an action was executed (as part of a transition, or on entry to
+//                   or exit from a state)
+//   * emit          an emit action naming the callback was executed.  These let an
+//                   FSM description call out to the host application by name (e.g.,
+//                   to report that a puzzle has been solved), optionally passing a
+//                   value computed from the FSM's variables.
+// Each listener is passed an object describing the notification, and registration
+// returns a function which removes the listener again.  Exceptions thrown by
+// listeners are handled with Err.handle() so that they do not disrupt the FSM.
+//===================================================================
+
+// Information passed to state change listeners: the paths of the active states
+// before and after the change (see Trace.configurationOf()), and the event causing it
+// ('nevermatch' for a reset)
+export type StateChangeInfo = {
+    fsm   : FSM,
+    from  : readonly string[],
+    to    : readonly string[],
+    event : FSMEvent
+};
+
+// Information passed to transition listeners: the transition taken, the (active)
+// state it was taken from, and the event causing it
+export type TransitionInfo = {
+    fsm        : FSM,
+    transition : Transition,
+    source     : State,
+    event      : FSMEvent
+};
+
+// Information passed to action listeners: the action executed and the event causing it
+export type ActionInfo = {fsm : FSM, action : Action, event : FSMEvent};
+
+// Information passed to emit callbacks: the callback name given by the emit action,
+// the value it computed (undefined if it has no payload), and the event causing it
+export type EmitInfo = {
+    fsm   : FSM,
+    name  : string,
+    value : VarValue | undefined,
+    event : FSMEvent
+};
+
+// Types for the listener functions themselves
+export type StateChangeListener = (info : Readonly<StateChangeInfo>) => void;
+export type TransitionListener = (info : Readonly<TransitionInfo>) => void;
+export type ActionListener = (info : Readonly<ActionInfo>) => void;
+export type EmitCallback = (info : Readonly<EmitInfo>) => void;
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class FSMListeners {
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Listeners registered for each kind of notification, in registration order.  Emit
+    // callbacks are kept by the callback name they are registered for.
+    protected _stateChange : StateChangeListener[] = [];
+    protected _transition : TransitionListener[] = [];
+    protected _action : ActionListener[] = [];
+    protected _emit = new Map<string, EmitCallback[]>();
+
+    // Total number of listeners and callbacks registered
+    public get count() : number {
+        let result = this._stateChange.length + this._transition.length +
+                     this._action.length;
+        this._emit.forEach((list) => result += list.length);
+        return result;
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Register a listener to be told about each change of configuration.  Returns a
+    // function which removes the listener.
+    public onStateChange(listener : StateChangeListener) : () => void {
+        return FSMListeners._add(this._stateChange, listener);
+    }
+
+    // Register a listener to be told about each transition taken.  Returns a function
+    // which removes the listener.
+    public onTransition(listener : TransitionListener) : () => void {
+        return FSMListeners._add(this._transition, listener);
+    }
+
+    // Register a listener to be told about each action executed.  Returns a function
+    // which removes the listener.
+    public onAction(listener : ActionListener) : () => void {
+        return FSMListeners._add(this._action, listener);
+    }
+
+    // Register a callback to be called by emit actions with the given callback name.
+    // Returns a function which removes the callback.
+    public onEmit(name : string, callback : EmitCallback) : () => void {
+        let list = this._emit.get(name);
+        if (!list) {
+            list = [];
+            this._emit.set(name, list);
+        }
+        return FSMListeners._add(list, callback);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Remove all listeners and callbacks
+    public clear() : void {
+        this._stateChange = [];
+        this._transition = [];
+        this._action = [];
+        this._emit.clear();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Notify the listeners of each kind.  These are called by the FSM.  Listeners
+    // added or removed during a notification take effect from the next one.
+    public notifyStateChange(info : Readonly<StateChangeInfo>) : void {
+        FSMListeners._notify(this._stateChange, info);
+    }
+
+    public notifyTransition(info : Readonly<TransitionInfo>) : void {
+        FSMListeners._notify(this._transition, info);
+    }
+
+    public notifyAction(info : Readonly<ActionInfo>) : void {
+        FSMListeners._notify(this._action, info);
+    }
+
+    // Call the emit callbacks registered for the callback name in info, returning
+    // whether there were any
+    public notifyEmit(info : Readonly<EmitInfo>) : boolean {
+        const list = this._emit.get(info.name) ?? [];
+        FSMListeners._notify(list, info);
+        return list.length > 0;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Add a listener to the given list, producing a function which removes it again
+    protected static _add<L>(list : L[], listener : L) : () => void {
+        list.push(listener);
+        return () => {
+            const indx = list.indexOf(listener);
+            if (indx >= 0) list.splice(indx, 1);
+        };
+    }
+
+    // Call each of the listeners on (a copy of) the given list with the given info,
+    // handling any exceptions they throw
+    protected static _notify<I>(list : readonly ((info : I) => void)[], info : I) : void {
+        for (let listener of [...list]) {
+            try {
+                listener(info);
+            } catch (err) {
+                Err.handle(err, 0, "in FSM listener:");
+            }
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Debugging Support
+    //-------------------------------------------------------------------
+
+    // Create a short human readable string representing this object for debugging
+    public debugTag() : string {
+        return `FSMListeners(${this.count})`;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Create a human readable string displaying this object for debugging purposes
+    public debugString(indent : number = 0) : string {
+        let result = "";
+        const indentStr = '  ';  // two spaces per indent level
+
+        // produce the indent
+        for (let i = 0; i < indent; i++) result += indentStr;
+
+        result += `FSMListeners(stateChange:${this._stateChange.length}`;
+        result += ` transition:${this._transition.length}`;
+        result += ` action:${this._action.length}`;
+        this._emit.forEach((list, name) => result += ` emit[${name}]:${list.length}`);
+        result += ")";
+
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Log a human readable string for this object to the console
+    public dump() {
+        console.log(this.debugString());
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class FSMListeners
+
+//===================================================================
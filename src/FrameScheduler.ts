@@ -0,0 +1,111 @@
+//===================================================================
+// Frame schedulers provide Root objects with a way to arrange for work (normally a
+// redraw) to be done at the next display frame, so that all the damage declared in
+// the meantime can be handled by a single redraw.  Each Root uses a FrameScheduler
+// object which can be replaced, so that frames can be driven by something other than
+// the browser.  Two implementations are provided:
+//   * AnimationFrameScheduler  uses the browser's requestAnimationFrame() and
+//                              cancelAnimationFrame() functions (falling back to
+//                              timers where those are not available).  This is the
+//                              default.
+//   * ManualFrameScheduler     only runs frames when its step() method is called.
+//                              This allows drawing to be tested deterministically.
+//===================================================================
+
+// Type for the handles returned when a frame is requested, which identify the
+// request for cancelling
+export type FrameHandle = number;
+
+// The operations each frame scheduler object must provide
+export type FrameScheduler = {
+    // Arrange for the given callback to be called (once) at the next frame, returning
+    // a handle that can be used to cancel that.  The callback is passed the time of
+    // the frame in milliseconds.
+    requestFrame(callback : (time : number) => void) : FrameHandle;
+
+    // Cancel a frame request made previously (does nothing if it has already run)
+    cancelFrame(handle : FrameHandle) : void;
+};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+// Frame scheduler driven by the browser's animation frames
+export class AnimationFrameScheduler {
+
+    // Time between frames (in milliseconds) used when animation frames are not
+    // available and timers are used instead
+    public static fallbackFrameTime : number = 16;
+
+    public requestFrame(callback : (time : number) => void) : FrameHandle {
+        if (typeof requestAnimationFrame === 'function') {
+            return requestAnimationFrame(callback);
+        }
+        return setTimeout(() => callback(Date.now()),
+                          AnimationFrameScheduler.fallbackFrameTime);
+    }
+
+    public cancelFrame(handle : FrameHandle) : void {
+        if (typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(handle);
+        } else {
+            clearTimeout(handle);
+        }
+    }
+
+} // end class AnimationFrameScheduler
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+// Frame scheduler which runs frames only under program control (via step())
+export class ManualFrameScheduler {
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Frame requests which have not run or been cancelled, along with the next handle
+    // to be assigned
+    protected _pending : {handle : FrameHandle, callback : (time : number) => void}[] = [];
+    protected _nextHandle : FrameHandle = 1;
+
+    // Number of frame requests currently waiting to run
+    public get pendingCount() : number {return this._pending.length;}
+
+    // Number of frames run so far
+    protected _frameCount : number = 0;
+    public get frameCount() {return this._frameCount;}
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    public requestFrame(callback : (time : number) => void) : FrameHandle {
+        const handle = this._nextHandle++;
+        this._pending.push({handle, callback});
+        return handle;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    public cancelFrame(handle : FrameHandle) : void {
+        this._pending = this._pending.filter((req) => req.handle !== handle);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Run one frame at the given time: call every callback requested before this call
+    // (in the order requested).  Requests made by those callbacks wait for the next
+    // frame.  Returns the number of callbacks run.
+    public step(time : number = 0) : number {
+        const toRun = this._pending;
+        this._pending = [];
+        this._frameCount++;
+        for (let req of toRun) req.callback(time);
+        return toRun.length;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class ManualFrameScheduler
+
+//===================================================================
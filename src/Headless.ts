@@ -0,0 +1,277 @@
+import { Root } from "./Root.js";
+import { Region } from "./Region.js";
+import { Atlas, Atlas_json } from "./Atlas.js";
+import { ManualFrameScheduler } from "./FrameScheduler.js";
+
+//===================================================================
+// Support for running FSMs, FSMInteractors, and Root objects without a browser
+// (e.g., under Node for automated testing).  Outside a browser there is no HTML
+// canvas to draw on, and no HTML Image objects to load images with, so this provides
+// stand-ins for those:
+//   * StubImageLoader  an image loader (installed as Region.imageLoader) which
+//                      "loads" images immediately as simple objects with a width and
+//                      height, without fetching anything.  Sizes can be declared for
+//                      particular image locations, and locations can be declared as
+//                      failing (always, or for a number of attempts) in order to 
+//                      exercise load errors and retries.  The opacity of
+//                      particular images can also be declared (as a function of pixel
+//                      position), for sampling by image_alpha shapes.  Frame maps
+//                      for atlas sheets can be declared too (it is also installed 
+//                      as Atlas.loader), and sheets without one fail to load theirs.
+//   * DrawRecorder     provides an object which can be used in place of a
+//                      CanvasRenderingContext2D, and which records (or simply ignores)
+//                      all the drawing operations performed on it.
+// The setupHeadless() function ties these together, installing a stub image loader
+// and creating a Root object which draws into a recording context.  The Root is given
+// a ManualFrameScheduler, so redraws happen only when frames are stepped (or when 
+// Root.flush() is called).  Input can then be
+// driven programmatically by calling dispatchRawEvent() on FSMInteractor objects.
+//===================================================================
+
+// Stand-in for an HTML image: just enough for Region to work with
+export type StubImage = {
+    src    : string, 
+    width  : number, 
+    height : number, 
+    alpha? : (x : number, y : number) => number
+};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class StubImageLoader {
+
+    public constructor(defaultWidth : number = 0, defaultHeight : number = 0) {
+        this._defaultSize = {w: defaultWidth, h: defaultHeight};
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Size given to images which have not had a size declared for them
+    protected _defaultSize : {w : number, h : number};
+
+    // Sizes declared for particular image locations
+    protected _sizes = new Map<string, {w : number, h : number}>();
+
+    // Image locations which are declared to fail to load, along with how many more 
+    // loads of each are to fail
+    protected _failing = new Map<string, number>();
+
+    // Opacity functions declared for particular image locations
+    protected _alphas = new Map<string, (x : number, y : number) => number>();
+
+    // Frame maps declared, by the location they are loaded from
+    protected _frameMaps = new Map<string, Atlas_json>();
+
+    // Every image (and frame map) location a load has been requested for, in order of
+    // request
+    protected _requested : string[] = [];
+    public get requested() : readonly string[] {return this._requested;}
+
+    // Loads which have been started but have not yet been seen to complete
+    protected _pending : Promise<unknown>[] = [];
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Declare the size of the image which will be produced for the given location
+    public setSize(imageLoc : string, w : number, h : number) : void {
+        this._sizes.set(imageLoc, {w, h});
+    }
+
+    // Declare that loads from the given location will fail (only for the given number
+    // of attempts, if one is given, after which they succeed)
+    public setFailing(imageLoc : string, times : number = Infinity) : void {
+        this._failing.set(imageLoc, times);
+    }
+
+    // Declare the opacity (0 to 1) of the image produced for the given location at 
+    // each pixel position
+    public setAlpha(imageLoc : string, alpha : (x : number, y : number) => number) : void {
+        this._alphas.set(imageLoc, alpha);
+    }
+
+    // Declare the frame map (see Atlas) for the atlas sheet at the given location
+    public setFrameMap(sheetLoc : string, frameMap : Atlas_json) : void {
+        this._frameMaps.set(Atlas.mapLocFor(sheetLoc), frameMap);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Load function suitable for use as Region.imageLoader (this is an arrow function
+    // property so it can be installed directly without binding)
+    public load = (imageLoc : string) : Promise<HTMLImageElement> => {
+        this._requested.push(imageLoc);
+        const size = this._sizes.get(imageLoc) ?? this._defaultSize;
+        const img : StubImage = {src: imageLoc, width: size.w, height: size.h, 
+                                 alpha: this._alphas.get(imageLoc)};
+        const failures = this._failing.get(imageLoc) ?? 0;
+        if (failures > 0) this._failing.set(imageLoc, failures - 1);
+        const result = (failures > 0) ? Promise.reject(img) : Promise.resolve(img as any);
+        this._pending.push(result.catch(() => undefined));
+        return result;
+    }
+
+    // Load function suitable for use as Atlas.loader, producing the declared frame map
+    // (or failing if there is none)
+    public loadFrameMap = (mapLoc : string) : Promise<Atlas_json> => {
+        this._requested.push(mapLoc);
+        const frameMap = this._frameMaps.get(mapLoc);
+        const result = frameMap ? Promise.resolve(frameMap) : Promise.reject(mapLoc);
+        this._pending.push(result.catch(() => undefined));
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Alpha sampler suitable for use as Region.alphaSampler, which reads the opacity
+    // declared for a stub image (images without one can't be sampled)
+    public sample = (img : HTMLImageElement, x : number, y : number) 
+                                                                : number | undefined => {
+        const alpha = (img as unknown as StubImage).alpha;
+        if (!alpha) return undefined;
+        if (x < 0 || y < 0 || x >= img.width || y >= img.height) return 0;
+        return alpha(x, y);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Install this object as the image loader (and alpha sampler) used by all regions,
+    // and as the frame map loader for atlases
+    public install() : void {
+        Region.imageLoader = this.load;
+        Region.alphaSampler = this.sample;
+        Atlas.loader = this.loadFrameMap;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Return a promise which resolves once all the loads requested so far (and the
+    // region bookkeeping which follows them) have completed
+    public async settled() : Promise<void> {
+        while (this._pending.length > 0) {
+            const waiting = this._pending;
+            this._pending = [];
+            await Promise.all(waiting);
+        }
+        // let the regions waiting on those loads finish up
+        await new Promise<void>((resolve) => setTimeout(resolve, 0));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class StubImageLoader
+
+//===================================================================
+
+// Record of one operation performed on a drawing context: either a method call or
+// the setting of a property (in which case op is "set <property>", e.g. "set font")
+export type DrawOp = {op : string, args : any[]};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class DrawRecorder {
+
+    // Create a recorder with a context whose (stand-in) canvas has the given size.
+    // If recording is false, operations are accepted but not recorded.
+    public constructor(
+        width     : number = 1024,
+        height    : number = 768,
+        recording : boolean = true)
+    {
+        this._recording = recording;
+        this._context = this._makeContext({width, height});
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Whether operations are being recorded
+    protected _recording : boolean;
+    public get recording() {return this._recording;}
+    public set recording(v : boolean) {this._recording = v;}
+
+    // The operations recorded so far
+    protected _ops : DrawOp[] = [];
+    public get ops() : readonly DrawOp[] {return this._ops;}
+
+    // The object to be used as a drawing context
+    protected _context : CanvasRenderingContext2D;
+    public get context() {return this._context;}
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Discard all the operations recorded so far
+    public clear() : void {
+        this._ops = [];
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce the list of recorded operations of the given kind (e.g., "drawImage")
+    public opsNamed(op : string) : DrawOp[] {
+        return this._ops.filter((rec) => rec.op === op);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Build the stand-in drawing context.  This is a proxy which answers the canvas
+    // property with a stand-in canvas object, remembers property values which are set
+    // (so they can be read back), and turns every other property access into a method
+    // which records the call.  Calls to measureText() return a rough text metrics
+    // object; all other calls return undefined.
+    protected _makeContext(canvas : {width : number, height : number})
+                                                        : CanvasRenderingContext2D
+    {
+        const props = new Map<string | symbol, any>();
+        const target = {};
+        const proxy = new Proxy(target, {
+            get: (_targ, prop) => {
+                if (prop === 'canvas') return canvas;
+                if (props.has(prop)) return props.get(prop);
+                if (typeof prop !== 'string' || prop === 'then') return undefined;
+                return (...args : any[]) => {
+                    if (this._recording) this._ops.push({op: prop, args});
+                    if (prop === 'measureText') {
+                        return {width: String(args[0] ?? "").length * 8};
+                    }
+                    return undefined;
+                };
+            },
+            set: (_targ, prop, value) => {
+                props.set(prop, value);
+                if (this._recording) this._ops.push({op: `set ${String(prop)}`, args: [value]});
+                return true;
+            }
+        });
+        return proxy as CanvasRenderingContext2D;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class DrawRecorder
+
+//===================================================================
+
+// Set up for running without a browser: install a stub image loader for all regions
+// and create a Root object drawing into a recording context of the given size, with
+// frames run manually.  The loader, recorder, root, and frame scheduler are all 
+// returned so they can be configured, inspected, and driven.
+export function setupHeadless(width : number = 1024, height : number = 768)
+                : {root : Root, recorder : DrawRecorder, loader : StubImageLoader,
+                   frames : ManualFrameScheduler}
+{
+    const loader = new StubImageLoader();
+    loader.install();
+    const recorder = new DrawRecorder(width, height);
+    const frames = new ManualFrameScheduler();
+    const root = new Root(recorder.context, frames);
+    return {root, recorder, loader, frames};
+}
+
+//===================================================================
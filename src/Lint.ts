@@ -0,0 +1,498 @@
+import { Err } from "./Err.js";
+import { Region } from "./Region.js";
+import { Atlas, Atlas_json } from "./Atlas.js";
+import { State, State_json } from "./State.js";
+import { Transition } from "./Transition.js";
+import { EventSpec } from "./EventSpec.js";
+import { Action } from "./Action.js";
+import { FSM, FSM_json } from "./FSM.js";
+import { VarValue } from "./Expression.js";
+
+//===================================================================
+// Class for statically checking ("linting") an FSM description given as an FSM_json
+// object, without running it.  This reuses the fromJson() and binding logic of the
+// various FSM classes, but rather than reporting problems one at a time via Err.emit()
+// it captures them (see Err.capture()) and collects them into a list of issues, each
+// tagged with a severity and a JSON-path style location within the description (e.g.,
+// "$.states[2].transitions[0].target").  Errors are problems which would be reported
+// (and patched up) at runtime.  Warnings are things which are legal, but likely to be
+// mistakes:
+//   * states which can't be reached from the start state
+//   * states which have no transitions out of them (dead ends)
+//   * transitions which can never be taken because an earlier unguarded transition
+//     out of the same state matches the same events (or is an 'any' transition)
+//   * regions which are never referenced by any event specification or action
+// In addition, if a function for testing the existence of images is provided, region
+// images, set_image actions, play_frames actions, and additional images listed for 
+// preloading which refer to missing images are reported as errors.  For atlas frames
+// (see Atlas), the existence of the sheet and its frame map are checked.
+//
+// This is used by the fsm_lint.mjs command line tool, but has no dependence on Node
+// itself.
+//===================================================================
+
+// Severity of an issue found
+export type LintSeverity = 'error' | 'warning';
+
+// A single issue found, with the location it was found at
+export type LintIssue = {severity : LintSeverity, path : string, message : string};
+
+// Options controlling the checks done
+export type LintOptions = {
+    // Function indicating if the image at the given location exists (if this is
+    // not provided, image locations are not checked)
+    imageExists? : (imageLoc : string) => boolean
+};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class Lint {
+
+    public constructor(fsm : FSM_json, options : LintOptions = {}) {
+        this._fsm = fsm;
+        this._options = options;
+    }
+
+    // Check the given FSM description, returning the list of issues found
+    public static check(fsm : FSM_json, options : LintOptions = {}) : LintIssue[] {
+        return new Lint(fsm, options).run();
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The FSM description being checked
+    protected _fsm : FSM_json;
+
+    // Options controlling the checks
+    protected _options : LintOptions;
+
+    // Issues found so far
+    protected _issues : LintIssue[] = [];
+    public get issues() : readonly LintIssue[] {return this._issues;}
+
+    // Regions built from the description (in declaration order), and their names
+    protected _regions : Region[] = [];
+    protected _regionNames = new Set<string>();
+
+    // States built from the description (at all levels, in declaration order) along
+    // with the location of each
+    protected _states : {state : State, path : string}[] = [];
+
+    // The top level states
+    protected _topStates : State[] = [];
+
+    // Declared variables
+    protected _variables = new Map<string, VarValue>();
+
+    // Names of the regions referenced by event specifications or actions
+    protected _referenced = new Set<string>();
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Indicate if any of the given issues are errors
+    public static hasErrors(issues : readonly LintIssue[]) : boolean {
+        return issues.some((iss) => iss.severity === 'error');
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce a human readable report of the given issues, labeled with the given
+    // source name (e.g., a file name)
+    public static formatReport(issues : readonly LintIssue[], source : string) : string {
+        const errs = issues.filter((iss) => iss.severity === 'error').length;
+        const warns = issues.length - errs;
+        let result = `${source}: ${errs} error(s), ${warns} warning(s)\n`;
+        for (let iss of issues) {
+            const label = (iss.severity === 'error') ? 'error  ' : 'warning';
+            result += `  ${label} ${iss.path}  ${iss.message}\n`;
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Perform all the checks, returning the issues found
+    public run() : LintIssue[] {
+        this._issues = [];
+
+        // regions start loading their images as soon as they are created, which we
+        // don't want here, so we substitute loaders which never finish
+        const saveLoader = Region.imageLoader;
+        const saveAtlasLoader = Atlas.loader;
+        Region.imageLoader = () => new Promise<HTMLImageElement>(() => {});
+        Atlas.loader = () => new Promise<Atlas_json>(() => {});
+        try {
+            if (typeof this._fsm !== 'object' || this._fsm === null ||
+                Array.isArray(this._fsm)) {
+                this._add('error', '$', "FSM description is not an object");
+                return this._issues;
+            }
+            this._buildRegions();
+            this._buildStates();
+            this._capture('$.variables', () => {
+                const vars = FSM.variablesFromJson(this._fsm.variables);
+                for (let name of Object.keys(vars)) this._variables.set(name, vars[name]);
+            });
+            this._checkPreload();
+            this._checkBindings();
+            this._checkReachability();
+            this._checkDeadEnds();
+            this._checkShadowing();
+            this._checkUnreferenced();
+        } finally {
+            Region.imageLoader = saveLoader;
+            Atlas.loader = saveAtlasLoader;
+        }
+        return this._issues;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Record an issue
+    protected _add(severity : LintSeverity, path : string, message : string) : void {
+        this._issues.push({severity, path, message});
+    }
+
+    // Run the given function, recording any messages it emits as errors at the
+    // given location
+    protected _capture(path : string, fn : () => void) : void {
+        for (let mesg of Err.capture(fn)) this._add('error', path, mesg);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Build the regions of the FSM, checking them as we go
+    protected _buildRegions() : void {
+        if (!Array.isArray(this._fsm.regions)) {
+            this._add('error', '$.regions', "Region list is not an array");
+            return;
+        }
+
+        this._fsm.regions.forEach((reg, i) => {
+            const path = `$.regions[${i}]`;
+            if (typeof reg?.name !== 'string') {
+                this._add('error', `${path}.name`, "Region name is missing or not a string");
+                return;
+            }
+            if (this._regionNames.has(reg.name)) {
+                this._add('error', `${path}.name`, `Duplicate region '${reg.name}'`);
+                return;
+            }
+            this._capture(path, () => {this._regions.push(Region.fromJson(reg));});
+            this._regionNames.add(reg.name);
+            this._checkImage(reg.imageLoc, `${path}.imageLoc`);
+        });
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Build the states of the FSM, checking them as we go
+    protected _buildStates() : void {
+        if (!Array.isArray(this._fsm.states)) {
+            this._add('error', '$.states', "State list is not an array");
+            return;
+        }
+        if (this._fsm.states.length === 0) {
+            this._add('error', '$.states', "No states provided for FSM");
+            return;
+        }
+
+        // check the parts of each state (at each level) where they are found
+        this._fsm.states.forEach((st, i) => this._checkStateParts(st, `$.states[${i}]`));
+
+        // build the actual states (problems within them have already been reported)
+        let names = new Set<string>();
+        this._fsm.states.forEach((st, i) => {
+            let built : State | undefined = undefined;
+            Err.capture(() => {built = State.fromJson(st);});
+            if (!built) return;
+            this._topStates.push(built);
+            this._collectStates(built, st, `$.states[${i}]`, names);
+        });
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check the parts making up one state description (and recursively its substates)
+    protected _checkStateParts(st : State_json, path : string) : void {
+        if (typeof st !== 'object' || st === null) {
+            this._add('error', path, "State is not an object");
+            return;
+        }
+
+        // the state itself, without its parts
+        this._capture(path, () => {
+            State.fromJson({...st, transitions: [], substates: [], onEntry: [], onExit: []});
+        });
+
+        // the transitions out of the state
+        if (!Array.isArray(st.transitions)) {
+            this._add('error', `${path}.transitions`, "Transition list is not an array");
+        } else {
+            st.transitions.forEach((trans, j) => {
+                this._capture(`${path}.transitions[${j}]`, () => {Transition.fromJson(trans);});
+            });
+        }
+
+        // entry and exit actions
+        this._capture(`${path}.onEntry`, () => {Action.listFromJson(st.onEntry, "onEntry");});
+        this._capture(`${path}.onExit`, () => {Action.listFromJson(st.onExit, "onExit");});
+
+        // substates
+        if (st.substates !== undefined) {
+            if (!Array.isArray(st.substates)) {
+                this._add('error', `${path}.substates`, "Substate list is not an array");
+            } else {
+                st.substates.forEach((sub, k) => {
+                    this._checkStateParts(sub, `${path}.substates[${k}]`);
+                });
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Record the given (built) state and its substates along with their locations,
+    // checking for duplicate names
+    protected _collectStates(
+        state : State,
+        st    : State_json,
+        path  : string,
+        names : Set<string>) : void
+    {
+        if (names.has(state.name)) {
+            this._add('error', `${path}.name`, `Duplicate state '${state.name}'`);
+        }
+        names.add(state.name);
+        this._states.push({state, path});
+
+        state.substates.forEach((sub, k) => {
+            this._collectStates(sub, (st.substates as State_json[])[k],
+                                `${path}.substates[${k}]`, names);
+        });
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check the references made by name within each state: initial substates,
+    // transition targets, regions in event specifications and actions, and variables
+    // in guards and actions
+    protected _checkBindings() : void {
+        const allStates = this._states.map((rec) => rec.state);
+        for (let {state, path} of this._states) {
+            if (state.isComposite) {
+                this._capture(`${path}.initial`, () => state.bindInitial());
+            }
+
+            this._checkActions(state.onEntry, `${path}.onEntry`);
+            this._checkActions(state.onExit, `${path}.onExit`);
+
+            state.transitions.forEach((trans, j) => {
+                const tpath = `${path}.transitions[${j}]`;
+                this._capture(`${tpath}.target`, () => trans.bindTarget(allStates));
+                this._capture(`${tpath}.onEvent.region`,
+                              () => trans.onEvent.bindRegion(this._regions));
+                this._referenced.add(trans.onEvent.regionName);
+                if (trans.guard) {
+                    this._capture(`${tpath}.guard`,
+                    () => trans.guard?.checkVariables(this._variables, [FSM.payloadVar]));
+                }
+                this._checkActions(trans.actions, `${tpath}.actions`);
+            });
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check the references made by name within the given list of actions
+    protected _checkActions(actions : readonly Action[], path : string) : void {
+        actions.forEach((act, k) => {
+            const apath = `${path}[${k}]`;
+            this._capture(`${apath}.region`, () => act.bindRegion(this._regions));
+            if (act.usesRegion()) this._referenced.add(act.onRegionName);
+
+            if (act.actType === 'set_var' || act.actType === 'inc_var') {
+                if (!this._variables.has(act.varName)) {
+                    this._add('error', `${apath}.var`,
+                              `Variable '${act.varName}' is not declared in FSM`);
+                }
+                this._capture(`${apath}.param`,
+                    () => act.paramExpr?.checkVariables(this._variables, [FSM.payloadVar]));
+            }
+            if (act.payloadExpr) {
+                this._capture(`${apath}.payload`,
+                    () => act.payloadExpr?.checkVariables(this._variables, [FSM.payloadVar]));
+            }
+            if (act.actType === 'set_image') this._checkImage(act.param, `${apath}.param`);
+            // (checking each sheet of a frame sequence only once)
+            const sheets = new Set<string>();
+            for (let frame of act.frames ?? []) {
+                const sheet = Atlas.splitLoc(frame).sheet;
+                if (sheets.has(sheet)) continue;
+                sheets.add(sheet);
+                this._checkImage(frame, `${apath}.param`);
+            }
+        });
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check the (optional) preload part of the FSM, including the existence of any 
+    // additional images it lists
+    protected _checkPreload() : void {
+        this._capture('$.preload', () => {FSM.preloadFromJson(this._fsm.preload);});
+        if (!Array.isArray(this._fsm.preload)) return;
+        this._fsm.preload.forEach((loc, i) => this._checkImage(loc, `$.preload[${i}]`));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check that the given image location exists (if we have a way to tell)
+    protected _checkImage(imageLoc : any, path : string) : void {
+        if (!this._options.imageExists) return;
+        if (typeof imageLoc !== 'string' || imageLoc === "") return;
+        const {sheet, frame} = Atlas.splitLoc(imageLoc);
+        if (!this._options.imageExists(sheet)) {
+            this._add('error', path, `Image "${sheet}" does not exist`);
+        } else if (frame !== "" && !this._options.imageExists(Atlas.mapLocFor(sheet))) {
+            this._add('error', path, 
+                      `Frame map "${Atlas.mapLocFor(sheet)}" for "${imageLoc}" does not exist`);
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Warn about states which can't be reached from the start state
+    protected _checkReachability() : void {
+        if (this._topStates.length === 0) return;
+        let reached = new Set<State>();
+
+        // mark a state as entered along with its enclosing states and the substates
+        // which would be entered by default (including the other regions of any
+        // parallel states it is within)
+        const addDefault = (st : State) => {
+            reached.add(st);
+            if (st.parallel) {
+                for (let sub of st.substates) addDefault(sub);
+            } else if (st.initial) {
+                addDefault(st.initial);
+            }
+        }
+        const enter = (st : State) => {
+            addDefault(st);
+            for (let anc = st.parent; anc; anc = anc.parent) {
+                reached.add(anc);
+                if (anc.parallel) {
+                    for (let sub of anc.substates) {
+                        if (!reached.has(sub)) addDefault(sub);
+                    }
+                }
+            }
+        }
+
+        // follow transitions out of reached states until nothing new is reached
+        enter(this._topStates[0]);
+        let lastSize = -1;
+        while (reached.size !== lastSize) {
+            lastSize = reached.size;
+            for (let st of Array.from(reached)) {
+                for (let trans of st.transitions) {
+                    if (trans.target && !reached.has(trans.target)) enter(trans.target);
+                }
+            }
+        }
+
+        for (let {state, path} of this._states) {
+            if (!reached.has(state)) {
+                this._add('warning', path,
+                          `State '${state.name}' is not reachable from the start state`);
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Warn about simple states with no transitions out of them (either their own
+    // or inherited from an enclosing state)
+    protected _checkDeadEnds() : void {
+        for (let {state, path} of this._states) {
+            if (state.isComposite) continue;
+            let count = 0;
+            for (let st : State | undefined = state; st; st = st.parent) {
+                count += st.transitions.length;
+            }
+            if (count === 0) {
+                this._add('warning', path,
+                          `State '${state.name}' has no transitions out of it (dead end)`);
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Warn about transitions which can never be taken because an earlier unguarded
+    // transition out of the same state will always match first
+    protected _checkShadowing() : void {
+        for (let {state, path} of this._states) {
+            const trans = state.transitions;
+            for (let j = 1; j < trans.length; j++) {
+                for (let i = 0; i < j; i++) {
+                    if (Lint._shadows(trans[i], trans[j])) {
+                        this._add('warning', `${path}.transitions[${j}]`,
+                              `Transition is shadowed by earlier transition ${i}` +
+                              ` (${trans[i].onEvent.debugString()}) and can never be taken`);
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
+    // Determine if the earlier transition will always be taken in preference to
+    // the later one.  This requires that any modifier keys the earlier one requires
+    // are also required by the later one.  An 'any' transition shadows later input 
+    // events (and later 'any' transitions) over the same region, but not the events
+    // the system generates itself.
+    protected static _shadows(earlier : Transition, later : Transition) : boolean {
+        if (earlier.guard) return false;
+        const e = earlier.onEvent, l = later.onEvent;
+        if (!e.modifiers.every((mod) => l.modifiers.includes(mod))) return false;
+        if (e.evtType === 'any') {
+            return (l.evtType === 'any' || EventSpec.isInputType(l.evtType)) &&
+                   (e.regionName === '*' || e.regionName === l.regionName);
+        }
+        if (e.evtType === 'nevermatch' || e.isStateTimeout) return false;
+        return e.evtType === l.evtType && e.timer === l.timer &&
+               (e.key === "" || e.key === l.key) &&
+               (e.eventName === "" || e.eventName === l.eventName) &&
+               (e.pointerType === "" || e.pointerType === l.pointerType) &&
+               (e.button < 0 || e.button === l.button) &&
+               (e.regionName === '*' || e.regionName === l.regionName);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Warn about regions which are never referenced by an event or action.  Event
+    // specifications with the "*" wildcard refer to every region.
+    protected _checkUnreferenced() : void {
+        if (!Array.isArray(this._fsm.regions) || this._referenced.has('*')) return;
+        const seen = new Set<string>();
+        this._fsm.regions.forEach((reg, i) => {
+            if (typeof reg?.name !== 'string' || seen.has(reg.name)) return;
+            seen.add(reg.name);
+            if (!this._referenced.has(reg.name)) {
+                this._add('warning', `$.regions[${i}]`,
+                          `Region '${reg.name}' is never referenced by an event or action`);
+            }
+        });
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class Lint
+
+//===================================================================
@@ -0,0 +1,282 @@
+import { Err } from "./Err.js";
+import { Check } from "./Check.js";
+import { FSM, FSMSnapshot } from "./FSM.js";
+import { FSMInteractor } from "./FSMInteractor.js";
+import { Root } from "./Root.js";
+
+//===================================================================
+// Support for saving the runtime state of interactors (so that, e.g., progress through
+// a puzzle survives a page reload) and later restoring it.  The state of an
+// interactor's FSM is captured with FSM.snapshot() and wrapped in a SavedState_json
+// object, which records:
+//   * version  the version of this format (see Persistence.formatVersion), so that
+//              saved states written by later versions can be recognized and skipped
+//   * fsm      the location the FSM was loaded from ("" if not known)
+//   * shape    a summary of the structure of the FSM (its state paths, region names,
+//              and variable names) at the time of the save
+//   * state    the snapshot itself: active states, variables, and region geometry,
+//              visibility, images, and emoji
+// Saved states are stored as json text under a key, using a StorageAdapter.  This has
+// the same operations as the browser's Web Storage, so window.localStorage (the
+// default, where available) or sessionStorage can be used directly, and other kinds of
+// storage can be plugged in by providing an object with those operations.
+// MemoryStorage provides a simple adapter which keeps its items in memory (e.g., for
+// testing, or when running without a browser).
+//
+// When a state is loaded, its shape is compared against the current FSM.  If the FSM
+// description has changed since the state was saved, the parts of the snapshot which
+// still match are restored and the rest are reported as warnings (see FSM.restore()),
+// rather than treated as errors.  Saved states which can't be read at all (malformed
+// json, or a newer format version) are reported as warnings and leave the interactor
+// as it was.  Note that the FSM must be installed (e.g., by awaiting
+// FSMInteractor.startLoadFromJson()) before its state is loaded.
+//===================================================================
+
+// The operations a storage adapter must provide (a subset of the Web Storage API)
+export type StorageAdapter = {
+    getItem(key : string) : string | null;
+    setItem(key : string, value : string) : void;
+    removeItem(key : string) : void;
+};
+
+// Type for a saved state (as stored in json form)
+export type SavedState_json = {
+    version : number,
+    fsm     : string,
+    shape   : string,
+    state   : FSMSnapshot
+};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+// Storage adapter which holds its items in memory
+export class MemoryStorage {
+
+    // The items stored, by key
+    protected _items = new Map<string, string>();
+
+    // Number of items stored
+    public get length() : number {return this._items.size;}
+
+    public getItem(key : string) : string | null {
+        return this._items.get(key) ?? null;
+    }
+
+    public setItem(key : string, value : string) : void {
+        this._items.set(key, value);
+    }
+
+    public removeItem(key : string) : void {
+        this._items.delete(key);
+    }
+
+} // end class MemoryStorage
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class Persistence {
+
+    // This is a class with all static methods, so no constructor
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The version of the saved state format written by this code
+    public static readonly formatVersion : number = 1;
+
+    // The storage used when none is given explicitly.  If this is left undefined, the
+    // browser's localStorage is used (where that is available).
+    public static storage : StorageAdapter | undefined = undefined;
+
+    // Produce the storage to use by default: Persistence.storage if set, and otherwise
+    // the browser's localStorage (or undefined if that is not available, as happens
+    // outside the browser, or when the browser denies access to it)
+    public static get defaultStorage() : StorageAdapter | undefined {
+        if (Persistence.storage) return Persistence.storage;
+        try {
+            return (typeof localStorage !== 'undefined') ? localStorage : undefined;
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Produce a summary of the structure of the given FSM, used to detect when an FSM
+    // description has changed since a state was saved from it
+    public static shapeOf(fsm : FSM) : string {
+        const states = fsm.allStates.map((st) => st.path);
+        const regions = fsm.regions.map((reg) => reg.name);
+        const vars = Array.from(fsm.variables.keys());
+        return `states:${states.join(',')};regions:${regions.join(',')};` +
+               `variables:${vars.join(',')}`;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Capture the state of the given interactor's FSM as a saved state (undefined if it
+    // has no FSM)
+    public static toJson(inter : FSMInteractor) : SavedState_json | undefined {
+        const fsm = inter.fsm;
+        if (!fsm) return undefined;
+        return {version: Persistence.formatVersion, fsm: inter.fsmLoc,
+                shape: Persistence.shapeOf(fsm), state: fsm.snapshot()};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Restore the state of the given interactor's FSM from a saved state (which may
+    // have come from json), returning whether that was done.  See the comments at the
+    // top of this file for how saved states from changed FSMs are treated.
+    public static fromJson(inter : FSMInteractor, saved : SavedState_json) : boolean {
+        const fsm = inter.fsm;
+        if (!fsm) {
+            Err.emit("Attempt to restore the state of an FSMInteractor with no FSM");
+            return false;
+        }
+        if (typeof saved !== 'object' || saved === null) {
+            Err.warning("Saved state is not an object in Persistence.fromJson()");
+            return false;
+        }
+        const version = Check.numberVal(saved.version, "Persistence.fromJson{version:}");
+        if (!(version >= 1 && version <= Persistence.formatVersion)) {
+            Err.warning(`Saved state has unsupported format version ${saved.version}` +
+                        " in Persistence.fromJson()");
+            return false;
+        }
+        if (typeof saved.state !== 'object' || saved.state === null) {
+            Err.warning("Saved state has no snapshot in Persistence.fromJson()");
+            return false;
+        }
+
+        const changed = saved.shape !== Persistence.shapeOf(fsm);
+        if (changed) {
+            Err.warning(`FSM${saved.fsm ? ` '${saved.fsm}'` : ""} has changed since` +
+                        " its state was saved; restoring the parts that still match");
+        }
+        fsm.restore(saved.state, !changed);
+        return true;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Save the state of the given interactor under the given key in the given storage,
+    // returning whether that was done
+    public static save(
+        inter   : FSMInteractor,
+        key     : string,
+        storage : StorageAdapter | undefined = Persistence.defaultStorage) : boolean
+    {
+        const saved = Persistence.toJson(inter);
+        if (!saved) return false;
+        if (!storage) {
+            Err.warning(`No storage available to save state '${key}'`);
+            return false;
+        }
+        try {
+            storage.setItem(key, JSON.stringify(saved));
+        } catch (err) {
+            // e.g., storage full or not permitted
+            Err.handle(err, 0, `saving state '${key}':`);
+            return false;
+        }
+        return true;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Load the state saved under the given key in the given storage into the given
+    // interactor, returning whether that was done.  Nothing being saved under the key
+    // is not considered an error.
+    public static load(
+        inter   : FSMInteractor,
+        key     : string,
+        storage : StorageAdapter | undefined = Persistence.defaultStorage) : boolean
+    {
+        const text = storage?.getItem(key);
+        if (text === null || text === undefined) return false;
+
+        let saved : SavedState_json;
+        try {
+            saved = JSON.parse(text);
+        } catch (err) {
+            Err.warning(`Saved state '${key}' is not valid json`);
+            return false;
+        }
+        return Persistence.fromJson(inter, saved);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Remove the state saved under the given key (if any) from the given storage
+    public static clear(
+        key     : string,
+        storage : StorageAdapter | undefined = Persistence.defaultStorage) : void
+    {
+        storage?.removeItem(key);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Arrange for the state of the given interactor to be saved under the given key
+    // each time its FSM takes a transition.  Returns a function which stops that.
+    public static autoSave(
+        inter   : FSMInteractor,
+        key     : string,
+        storage : StorageAdapter | undefined = Persistence.defaultStorage) : () => void
+    {
+        return inter.onTransition(() => Persistence.save(inter, key, storage));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Save (or load) the state of every named interactor in the tree under the given
+    // Root, each under the given key prefix followed by its name (see
+    // FSMInteractor.name).  Returns the number of interactors saved (or loaded).
+    public static saveAll(
+        root    : Root,
+        prefix  : string,
+        storage : StorageAdapter | undefined = Persistence.defaultStorage) : number
+    {
+        return Persistence._namedIn(root).filter(
+                        (inter) => Persistence.save(inter, prefix + inter.name, storage)
+                    ).length;
+    }
+
+    public static loadAll(
+        root    : Root,
+        prefix  : string,
+        storage : StorageAdapter | undefined = Persistence.defaultStorage) : number
+    {
+        return Persistence._namedIn(root).filter(
+                        (inter) => Persistence.load(inter, prefix + inter.name, storage)
+                    ).length;
+    }
+
+    // The named interactors in the tree under the given Root (see
+    // Root.interactorsIn()).  Names which are duplicated are reported with
+    // Err.warning(), and only the first interactor with each name is included.
+    protected static _namedIn(root : Root) : FSMInteractor[] {
+        let result : FSMInteractor[] = [];
+        let seen = new Set<string>();
+        for (let inter of Root.interactorsIn(root.children)) {
+            if (inter.name === "") continue;
+            if (seen.has(inter.name)) {
+                Err.warning(`Duplicate interactor name '${inter.name}' when saving` +
+                            " or loading state");
+                continue;
+            }
+            seen.add(inter.name);
+            result.push(inter);
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class Persistence
+
+//===================================================================
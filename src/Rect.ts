@@ -0,0 +1,147 @@
+//===================================================================
+// Type for axis aligned rectangles, along with a (static) utility class of operations
+// on them.  Rectangles are used to describe areas of the display which have been
+// damaged (i.e., need to be redrawn), and the areas that objects draw within.  A
+// rectangle with a width or height of zero (or less) is empty and covers nothing.
+//===================================================================
+
+// An axis aligned rectangle given by its top-left corner and size
+export type Rect = {x : number, y : number, w : number, h : number};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class Rects {
+
+    // This is a class with all static methods, so no constructor
+
+    //-------------------------------------------------------------------
+    // Static Methods
+    //-------------------------------------------------------------------
+
+    // Indicate whether the given rectangle covers no area
+    public static isEmpty(r : Readonly<Rect>) : boolean {
+        return r.w <= 0 || r.h <= 0;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce the smallest rectangle enclosing both of the given rectangles.  Empty
+    // rectangles are ignored.
+    public static union(a : Readonly<Rect>, b : Readonly<Rect>) : Rect {
+        if (Rects.isEmpty(a)) return {...b};
+        if (Rects.isEmpty(b)) return {...a};
+        const x = Math.min(a.x, b.x), y = Math.min(a.y, b.y);
+        return {x, y,
+                w: Math.max(a.x + a.w, b.x + b.w) - x,
+                h: Math.max(a.y + a.h, b.y + b.h) - y};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce the area that the given rectangles have in common (which may be empty)
+    public static intersection(a : Readonly<Rect>, b : Readonly<Rect>) : Rect {
+        const x = Math.max(a.x, b.x), y = Math.max(a.y, b.y);
+        return {x, y,
+                w: Math.max(0, Math.min(a.x + a.w, b.x + b.w) - x),
+                h: Math.max(0, Math.min(a.y + a.h, b.y + b.h) - y)};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Indicate whether the given rectangles overlap.  If touching is true, rectangles
+    // which share only an edge are also considered to overlap.
+    public static intersects(
+        a        : Readonly<Rect>,
+        b        : Readonly<Rect>,
+        touching : boolean = false) : boolean
+    {
+        if (Rects.isEmpty(a) || Rects.isEmpty(b)) return false;
+        if (touching) {
+            return a.x <= b.x + b.w && b.x <= a.x + a.w &&
+                   a.y <= b.y + b.h && b.y <= a.y + a.h;
+        }
+        return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce a copy of the given rectangle moved by the given amounts
+    public static offset(r : Readonly<Rect>, dx : number, dy : number) : Rect {
+        return {x: r.x + dx, y: r.y + dy, w: r.w, h: r.h};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce a copy of the given rectangle grown by the given amount on every side
+    public static outset(r : Readonly<Rect>, by : number) : Rect {
+        return {x: r.x - by, y: r.y - by, w: r.w + 2*by, h: r.h + 2*by};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce the (axis aligned) rectangle enclosing the given one once it is rotated
+    // by the given angle (in degrees clockwise) about the given center point
+    public static rotate(r : Readonly<Rect>, degrees : number, cx : number, cy : number) 
+                                                                                : Rect 
+    {
+        if (degrees % 360 === 0) return {...r};
+        const angle = degrees * Math.PI / 180;
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const corners = [[r.x, r.y], [r.x + r.w, r.y], [r.x, r.y + r.h], 
+                         [r.x + r.w, r.y + r.h]];
+        const xs = corners.map(([x, y]) => cx + (x - cx)*cos - (y - cy)*sin);
+        const ys = corners.map(([x, y]) => cy + (x - cx)*sin + (y - cy)*cos);
+        const x = Math.min(...xs), y = Math.min(...ys);
+        return {x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce the smallest rectangle with whole number coordinates which encloses the
+    // given one
+    public static roundOut(r : Readonly<Rect>) : Rect {
+        const x = Math.floor(r.x), y = Math.floor(r.y);
+        return {x, y, w: Math.ceil(r.x + r.w) - x, h: Math.ceil(r.y + r.h) - y};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Add a rectangle to a list of (non-overlapping) rectangles which together describe
+    // an area.  Rectangles in the list which overlap or touch the new one are merged
+    // with it (repeatedly, as each merge may create new overlaps), so the list stays
+    // short.  If the list would grow beyond maxRects entries, it is replaced by a single
+    // rectangle enclosing all of them.  The list is modified in place.
+    public static addTo(list : Rect[], r : Readonly<Rect>, maxRects : number = 8) : void {
+        if (Rects.isEmpty(r)) return;
+        let merged : Rect = {...r};
+        for (let i = 0; i < list.length; ) {
+            if (Rects.intersects(list[i], merged, true)) {
+                merged = Rects.union(list[i], merged);
+                list.splice(i, 1);
+                i = 0;
+            } else {
+                i++;
+            }
+        }
+        list.push(merged);
+
+        if (list.length > maxRects) {
+            const all = list.reduce((acc, rect) => Rects.union(acc, rect));
+            list.splice(0, list.length, all);
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Debugging Support
+    //-------------------------------------------------------------------
+
+    // Create a short human readable string representing a rectangle for debugging
+    public static debugString(r : Readonly<Rect>) : string {
+        return `(${r.x},${r.y},${r.w},${r.h})`;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class Rects
+
+//===================================================================
@@ -3,6 +3,12 @@ import { Root } from "./Root.js";
 import { FSM } from "./FSM.js";
 import { Err } from "./Err.js";
 import { Check } from "./Check.js";
+import { Rect, Rects } from "./Rect.js";
+import { Shape, Shape_json, AlphaSampler } from "./Shape.js";
+import { Atlas } from "./Atlas.js";
+import { RetryPolicy, noRetries, withRetries } from "./Clock.js";
+import { RegionStyle, RegionStyle_json, defaultStyle, Styles, ImageFit, 
+         imageFitStrings } from "./RegionStyle.js";
 
 //===================================================================
 // Class for implementing region objects.  Region objects have a name, a bounding box
@@ -10,31 +16,132 @@ import { Check } from "./Check.js";
 // a string indicating where it will be loaded from).  Region objects which are 
 // initially created with a missing or -1 size will have their size dynamically set
 // to match the size of their image.  Objects with a declared size will be independent 
-// of their images.  Region objects implement drawing of their image (if any) at the 
-// location of the region within the coordinate system of their parent (FSMInteractor) 
-// object.  Specifically, region images are drawn with their top-left corner at 0,0 in 
-// the local (region object) coordinate system.  However, region image drawing is NOT 
-// clipped to the bounds of the region.  The size of the region (and resulting bounding 
-// box) is only used for input purposes.  In particular, Region objects implement a pick 
-// test which returns true if an input position falls within its bounding box.  
+// of their images.  Regions may also be hidden (by setting visible to false), in 
+// which case they are neither drawn nor picked by their parent FSMInteractor.  Region 
+// objects implement drawing of their image (if any) at the location of the region 
+// within the coordinate system of their parent (FSMInteractor) object.  Specifically,
+// region images are drawn with their top-left corner at 0,0 in the local (region 
+// object) coordinate system.  By default, region image drawing is NOT clipped to the
+// bounds of the region, and the size of the region (and resulting bounding box) is 
+// only used for input purposes.  In particular, Region objects implement a pick test
+// which returns true if an input position falls within its bounding box.  
+//
+// How the content of a region is presented can be changed (see RegionStyle): images 
+// can be fit to the region (contained, covering, or stretched) or 9-slice scaled to 
+// it, drawing can be clipped to the bounding box, and the whole region can be drawn 
+// partly transparent and rotated about its center.  Rotation turns the area which 
+// picks the region along with what is drawn.  The fit, opacity, and rotation can be 
+// changed at runtime (e.g., by the set_fit, set_opacity, and set_rotation actions, or 
+// by animating opacity and rotation with animate_region).
+//
+// The area which responds to input can be narrowed from the bounding box by giving 
+// the region a shape: an ellipse, a polygon, or the opaque parts of its image (see the
+// Shape class).  Images are sampled for this using the function installed as 
+// Region.alphaSampler.  The debugging frame drawn around a region outlines its shape.
+//
+// Besides an image and emoji, regions can draw a box (a filled and/or outlined rect,
+// rounded rect, or circle) behind them, and a text label on top of them (see 
+// RegionStyle).  The text, fill, and stroke can be changed at runtime (e.g., by the
+// set_text, set_fill, and set_stroke actions).
+//
+// Since drawing need not be clipped, the area a region may draw within (see 
+// drawnBounds) covers its image and emoji as well as its bounding box (all as clipped
+// and rotated).  Whenever something affecting its appearance changes, a region 
+// declares damage covering that area both before and after the change (so that both
+// where it was and where it now is get redrawn).
+//
+// Changes of image can also be shown as a cross-fade (see Animation): 
+// beginCrossFade() holds on to the image currently shown, which is then drawn fading
+// out (as fadeAmount goes from 0 to 1) while the new image fades in, until 
+// endCrossFade() is called.
 //
 // Images for regions are loaded asynchronously (normally from remote resources).  This 
 // is done via the _startImageLoad() method.  Load completion is signalled by declaration 
 // of damage to the parent FSM, which will eventually result in the display being redrawn 
-// to incorporate the newly loaded image.  Note that images are cached, so multiple calls 
-// to _startImageLoad() for the same image will not result in multiple remote loads.
+// to incorporate the newly loaded image.  The parent FSM is also told how the load went,
+// and delivers an image_loaded or image_error event for the region (see EventSpec), 
+// except for images found already loaded in the cache.
+// Note that images are cached, so multiple calls to _startImageLoad() for the same image
+// will not result in multiple remote loads.  Images can also be loaded into the cache 
+// ahead of time (see preloadImages(), which FSMInteractor uses to load all the images
+// an FSM may show before installing it).  Failed loads are retried as 
+// Region.retryPolicy says, and images which still fail are drawn as a "broken image"
+// placeholder.  They stay marked as failed in the cache until it is invalidated (see 
+// invalidateImage() and reloadImage()).  The actual loading of each image is done by 
+// the function installed as Region.imageLoader.  By default this uses an HTML Image 
+// object, but it can be replaced (e.g., by a stub loader when running without a 
+// browser; see Headless).
+//
+// An image location of the form "sheet#frame" refers to one frame of an image atlas
+// (see Atlas).  The sheet is loaded and cached like any other image (so it is loaded 
+// only once however many of its frames are used), and its frame map is loaded 
+// alongside it.  The region then draws (and picks against) only the part of the sheet
+// holding the frame, and regions resized by their image take the size of the frame.
+// Frames can be played in sequence as an animation (see the play_frames action).
 //===================================================================
+
+// Type for functions which load an image from a location, returning a promise 
+// which resolves to the loaded image (or rejects if the load fails)
+export type ImageLoader = (imageLoc : string) => Promise<HTMLImageElement>;
+
+// Default image loader which uses an HTML Image object to do the load
+export function browserImageLoader(imageLoc : string) : Promise<HTMLImageElement> {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+
+        // set load callbacks
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(img);
+
+        // loading process is started by assigning to img.src
+        img.src = imageLoc;
+    });
+}
+
+// Images drawn into a canvas for sampling by browserAlphaSampler (or undefined for 
+// images which can't be sampled)
+const sampledImages = new WeakMap<HTMLImageElement, ImageData | undefined>();
+
+// Default alpha sampler which draws the image into an offscreen canvas (once per image)
+// and reads back its pixels.  Images which can't be read back (e.g., those loaded from
+// another origin without permission) produce undefined.
+export function browserAlphaSampler(img : HTMLImageElement, x : number, y : number)
+                                                                    : number | undefined
+{
+    if (!sampledImages.has(img)) {
+        let data : ImageData | undefined = undefined;
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            const ctx = canvas.getContext('2d');
+            if (ctx && img.width > 0 && img.height > 0) {
+                ctx.drawImage(img, 0, 0);
+                data = ctx.getImageData(0, 0, img.width, img.height);
+            }
+        } catch (err) {
+            data = undefined;
+        }
+        sampledImages.set(img, data);
+    }
+    const data = sampledImages.get(img);
+    if (!data) return undefined;
+    if (x < 0 || y < 0 || x >= data.width || y >= data.height) return 0;
+    return data.data[(y * data.width + x) * 4 + 3] / 255;
+}
  
 // Simple type with basic data for a region that we expect to be supplied by (part of) 
-// a .json file.
-export type Region_json = {
+// a .json file.  This may also include the parts of a RegionStyle (e.g., text or fill).
+export type Region_json = RegionStyle_json & {
     name    : string, 
     x       : number, 
     y       : number, 
     w       : number, 
     h       : number, 
     imageLoc: string 
-    emoji?  : string};
+    emoji?  : string,
+    visible?: boolean,
+    shape?  : Shape_json};
 
 //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
@@ -47,13 +154,19 @@ export class Region {
 		w         : number = -1, // -1 here implies we resize based on image
 		h         : number = -1, // -1 here implies we resize base on image) 
         parent?   : FSM,
-        emoji?    : string
+        emoji?    : string,
+        visible   : boolean = true,
+        shape     : Shape = new Shape(),
+        style     : Readonly<RegionStyle> = defaultStyle
     ) 
 	{
         this._name = name;
+        this._shape = shape;
+        this._style = {...style};
         this._parent = parent;
         this._imageLoc = imageLoc;
         this._emoji = emoji;
+        this._visible = visible;
 
         // if either of the sizes is -1, we set to resize based on the image
         this._resizedByImage = ((w < 0) || (h < 0));
@@ -84,8 +197,13 @@ export class Region {
         const h = Check.numberVal(reg.h??-1, "Region.fromJson{h:}");    
         const imageLoc = Check.stringVal(reg.imageLoc??"", "Region.fromJson{imageLoc:}");  
         const emoji = Check.stringVal(reg.emoji??"", "Region.fromJson{emoji:}");  
+        const visible = Check.simpleType<boolean>(
+                            reg.visible??true, 'boolean', true, "Region.fromJson{visible:}");
+        const shape = Shape.fromJson(reg.shape, "Region.fromJson{shape:}");
+        const style = Styles.fromJson(reg, "Region.fromJson");
         
-        return new Region(name, imageLoc, x,y, w,h, parent, emoji);
+        return new Region(name, imageLoc, x,y, w,h, parent, emoji, visible, shape, 
+                          style);
     }
      
     //-------------------------------------------------------------------
@@ -99,6 +217,7 @@ export class Region {
             
         // **** YOUR CODE HERE ****
         if (v !== this._x) {
+            this.damage();
             this._x = v;
             this.damage();
         }
@@ -113,6 +232,7 @@ export class Region {
             
         // **** YOUR CODE HERE ****
         if (v !== this._y) {
+            this.damage();
             this._y = v;
             this.damage();
         }
@@ -120,6 +240,22 @@ export class Region {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
 
+    // Position of this object considered as one value
+    public get position() : {x:number, y:number} {
+        return {x:this.x, y:this.y};
+    }
+
+    public set position(v : {x:number, y:number}) {
+        if ((v.x !== this._x) || (v.y !== this._y)) {
+            this.damage();
+            this._x = v.x;
+            this._y = v.y;
+            this.damage();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
+
     // Width of the input region.  Note that changing this to -1 afer initialization
     // does not cause the size of this object to begin following the size of its image.
 	protected _w : number;
@@ -128,6 +264,7 @@ export class Region {
             
         // **** YOUR CODE HERE ****
         if (v !== this._w) {
+            this.damage();
             this._w = v;
             this.damage();
         }
@@ -143,6 +280,7 @@ export class Region {
             
         // **** YOUR CODE HERE ****
         if (v !== this._h) {
+            this.damage();
             this._h = v;
             this.damage();
         }
@@ -157,6 +295,7 @@ export class Region {
 
     public set size(v : {w:number, h:number}) {
         if ((v.w !== this._w) || (v.h !== this._h)) {
+            this.damage();
             this._w = v.w;
             this._h = v.h;
             this.damage();
@@ -165,6 +304,20 @@ export class Region {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+    // Is this region shown.  Hidden regions are not drawn, and are excluded from 
+    // picking (so they receive no input events based on position).
+    protected _visible : boolean;
+    public get visible() {return this._visible;}
+    public set visible(v : boolean) {
+        if (v !== this._visible) {
+            this.damage();
+            this._visible = v;
+            this.damage();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
     // Name of this region.  
     protected _name : string;
     public get name() {return this._name;}
@@ -178,6 +331,7 @@ export class Region {
             
         // **** YOUR CODE HERE ****
         if (v !== this._parent) {
+            this.damage();
             this._parent = v;
             this.damage();
         }
@@ -201,10 +355,12 @@ export class Region {
         }
     }
 
+    // Emoji drawn centered in this region (if any)
     protected _emoji : string | undefined;
     public get emoji() {return this._emoji;}
     public set emoji(v : string | undefined) {
         if (v !== this._emoji) {
+            this.damage();
             this._emoji = v;
             this.damage();
         }
@@ -223,6 +379,51 @@ export class Region {
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+    // The shape of the area of this region which responds to input (see Shape)
+    protected _shape : Shape;
+    public get shape() {return this._shape;}
+    public set shape(v : Shape) {
+        if (v !== this._shape) {
+            this.damage();
+            this._shape = v;
+            this.damage();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The box and text drawn by this region (see RegionStyle)
+    protected _style : RegionStyle;
+    public get style() : Readonly<RegionStyle> {return this._style;}
+
+    // Change some parts of our style
+    public setStyle(changes : Partial<RegionStyle>) : void {
+        const parts = Object.keys(changes) as (keyof RegionStyle)[];
+        if (parts.every((part) => changes[part] === this._style[part])) return;
+        this.damage();
+        this._style = {...this._style, ...changes};
+        this.damage();
+    }
+
+    // The text label, and the colors the box is filled and outlined with ("" for none)
+    public get text() {return this._style.text;}
+    public set text(v : string) {this.setStyle({text: v});}
+    public get fill() {return this._style.fill;}
+    public set fill(v : string) {this.setStyle({fill: v});}
+    public get stroke() {return this._style.stroke;}
+    public set stroke(v : string) {this.setStyle({stroke: v});}
+
+    // How our image is fit to our bounding box, the opacity of our drawing (clamped to 
+    // 0..1), and its rotation (in degrees clockwise about our center)
+    public get fit() {return this._style.fit;}
+    public set fit(v : ImageFit) {this.setStyle({fit: v});}
+    public get opacity() {return this._style.opacity;}
+    public set opacity(v : number) {this.setStyle({opacity: Math.min(1, Math.max(0, v))});}
+    public get rotation() {return this._style.rotation;}
+    public set rotation(v : number) {this.setStyle({rotation: v});}
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
     // Is this region dynamically resized to match the image currently displayed in it.
     // This can be requested at initializatin of the region by using a missing or -1 
     // size (but can't be changed later).
@@ -233,29 +434,139 @@ export class Region {
     // region is not set to be resized by its image, or the image is not loaded,
     // this does nothing.
     protected _resizeFromImage() : void {
-        if (this.resizedByImage && this._loaded && this.image) {
-            this.size = {w:this.image.width, h:this.image.height};
-        }
+        const imgSize = this.imageSize;
+        if (this.resizedByImage && imgSize) this.size = imgSize;
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
-    // Reference to the HTML image object for our image (if any).
+    // Reference to the HTML image object for our image (if any).  For an atlas frame,
+    // this is the whole sheet.
 	protected _image : HTMLImageElement | undefined;
     public get image() {return this._image;}
 
+    // The part of our image which is shown, when it is a frame of an atlas (undefined 
+    // when the whole image is shown)
+    protected _frame : Rect | undefined = undefined;
+    public get frame() : Readonly<Rect> | undefined {return this._frame;}
+
+    // Size of the image shown (the frame, if showing a frame of an atlas), or 
+    // undefined if we have no loaded image
+    public get imageSize() : {w : number, h : number} | undefined {
+        const img = this._shownImage;
+        if (!img) return undefined;
+        return this._frame ? {w: this._frame.w, h: this._frame.h} : 
+                             {w: img.width, h: img.height};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The image being faded out during a cross-fade (undefined when not cross-fading), 
+    // and how far the cross-fade has progressed (0 shows only that image, and 1 only
+    // our current image)
+    protected _fadeFrom : HTMLImageElement | undefined = undefined;
+    public get fadeFrom() {return this._fadeFrom;}
+    protected _fadeFrame : Rect | undefined = undefined;
+    protected _fadeAmount : number = 1;
+    public get fadeAmount() {return this._fadeAmount;}
+    public set fadeAmount(v : number) {
+        if (v !== this._fadeAmount) {
+            this._fadeAmount = v;
+            if (this._fadeFrom) this.damage();
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Size of the (square) area assumed to be covered by a drawn emoji
+    public static emojiExtent : number = 40;
+
+    // The area that drawing this region may affect, expressed in its local coordinates. 
+    // This encloses the bounding box and shape (along with the debugging frame drawn 
+    // around them), the box and text (see RegionStyle), the image (if loaded, and as
+    // placed by our fit) or the placeholder drawn in place of a broken image, the image
+    // being faded out (if any), and the emoji (if any), with all of these clipped (if 
+    // we clip) and rotated (if we rotate).
+    public get drawnBounds() : Rect {
+        const style = this._style, w = this.w, h = this.h;
+        let frame = Rects.outset({x: 0, y: 0, w, h}, 1);
+        frame = Rects.union(frame, Rects.outset(this._shape.bounds(w, h), 1));
+
+        let content = Styles.bounds(style, w, h);
+        const shown = [{img: this._shownImage, frame: this._frame}, 
+                       {img: this._fadeFrom, frame: this._fadeFrame}];
+        for (let {img, frame} of shown) {
+            if (img) {
+                const imgW = frame?.w ?? img.width, imgH = frame?.h ?? img.height;
+                content = Rects.union(content, Styles.imageRect(style, imgW, imgH, w, h));
+            }
+        }
+        const broken = this._brokenArea;
+        if (broken) content = Rects.union(content, broken);
+        if (this.emoji) {
+            const ext = Region.emojiExtent;
+            content = Rects.union(content, 
+                                  {x: (w - ext)/2, y: (h - ext)/2, w: ext, h: ext});
+        }
+        return Rects.union(Rects.rotate(frame, style.rotation, w/2, h/2),
+                           Styles.presentedBounds(style, content, w, h));
+    }
+
+    // Our image if it is loaded and can be drawn (undefined otherwise)
+    protected get _shownImage() : HTMLImageElement | undefined {
+        return (this.loaded && !this.loadError) ? this.image : undefined;
+    }
+
+    // Size of the (square) placeholder drawn in place of a broken image, in each 
+    // direction the region has no size of its own
+    public static brokenImageExtent : number = 24;
+
+    // The area covered by the placeholder drawn in place of our image if it failed to 
+    // load (our bounding box, extended to brokenImageExtent in directions we have no 
+    // size), or undefined if it has not failed
+    protected get _brokenArea() : Rect | undefined {
+        if (!this.loadError || this.imageLoc === "") return undefined;
+        const ext = Region.brokenImageExtent;
+        return {x: 0, y: 0, w: (this.w > 0) ? this.w : ext, h: (this.h > 0) ? this.h : ext};
+    }
+
     //-------------------------------------------------------------------
     // Methods
     //-------------------------------------------------------------------
   
     // Perform a pick test indicating whether the given position (expressed in the local
-    // coordinates of this object) should be considered "inside" or "over" this region.
+    // coordinates of this object) should be considered "inside" or "over" this region:
+    // whether it falls within our shape (by default, our bounding box), as rotated by 
+    // our rotation.
     public pick(localX : number, localY : number) : boolean {
             
         // **** YOUR CODE HERE ****
-        const testX = 0 <= localX && localX <= this.w;
-        const testY = 0 <= localY && localY <= this.h;
-        return testX && testY;
+        const pt = Styles.unrotate(this._style, localX, localY, this.w, this.h);
+        return this._shape.contains(pt.x, pt.y, this.w, this.h, 
+                                    (x, y) => this._alphaAt(x, y));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The opacity of our image at the given (unrotated) position in local coordinates 
+    // (0 outside the image, or outside our bounding box if we clip), or undefined if we
+    // have no loaded image or it can't be sampled
+    protected _alphaAt(localX : number, localY : number) : number | undefined {
+        const img = this._shownImage, imgSize = this.imageSize;
+        if (!img || !imgSize) return undefined;
+        if (this._style.clip && 
+            !(0 <= localX && localX < this.w && 0 <= localY && localY < this.h)) 
+        {
+            return 0;
+        }
+        const pt = Styles.imagePoint(this._style, localX, localY, imgSize.w, imgSize.h, 
+                                     this.w, this.h);
+        const x = Math.floor(pt.x), y = Math.floor(pt.y);
+
+        // stay within our frame, rather than sampling its neighbors on the sheet
+        if (x < 0 || y < 0 || x >= imgSize.w || y >= imgSize.h) return 0;
+        return Region.alphaSampler(img, x + (this._frame?.x ?? 0), 
+                                        y + (this._frame?.y ?? 0));
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -263,10 +574,28 @@ export class Region {
     // Draw the image for this region using the givn drawing context.  The context 
     // should be set up in the local coordinate system of the region (so 0,0 appears
     // at this.x, this.y in the parent canvas).  If the image to be drawn is empty or
-    // not yet loaded, or had an error loading, then drawing of the image will not
-    // be attempted.  If the showDebugFrame parameter is passed true, a frame is drawn
-    // around the (input) bounds of the region for debugging purposes.
+    // not yet loaded, then drawing of the image will not be attempted, and if it had an
+    // error loading, a "broken image" placeholder is drawn instead.  Our box (if any) 
+    // is drawn first, and our text (if any) last, with everything placed, clipped, 
+    // faded, and rotated as our style says.  Overlapping regions drawn beneath this one
+    // show through any transparent parts.  If the showDebugFrame parameter is passed 
+    // true, the outline of the region's (input) shape is drawn (rotated, but not 
+    // clipped or faded) for debugging purposes.
     public draw(ctx : CanvasRenderingContext2D, showDebugFrame : boolean = false) : void {
+        const style = this._style;
+        ctx.save();
+        Styles.applyRotation(ctx, style, this.w, this.h);
+        ctx.save();
+        if (style.opacity < 1) ctx.globalAlpha *= style.opacity;
+        if (style.clip) {
+            ctx.beginPath();
+            ctx.rect(0, 0, this.w, this.h);
+            ctx.clip();
+        }
+
+        // draw our box behind everything else
+        Styles.drawBox(ctx, style, this.w, this.h);
+
         // if we have a valid emoji, draw it
         if (this.emoji) {
             ctx.save();
@@ -278,32 +607,147 @@ export class Region {
             ctx.fillText(this.emoji, centerX, centerY);
             ctx.restore();
         }
+        // if we are cross-fading, draw the image being faded out
+        const fading = this._fadeFrom !== undefined;
+        if (this._fadeFrom) {
+            ctx.save();
+            ctx.globalAlpha *= 1 - this._fadeAmount;
+            Styles.drawImage(ctx, style, this._fadeFrom, this.w, this.h, this._fadeFrame);
+            ctx.restore();
+        }
+
         // if we have a valid loaded image, draw it
-        if (this.loaded && !this.loadError && this.image) {
+        const img = this._shownImage;
+        if (img) {
                
             // **** YOUR CODE HERE ****
-            ctx.clearRect(0, 0, this.w, this.h);
-            ctx.drawImage(this.image, 0, 0);
+            ctx.save();
+            if (fading) ctx.globalAlpha *= this._fadeAmount;
+            Styles.drawImage(ctx, style, img, this.w, this.h, this._frame);
+            ctx.restore();
         }
+
+        // if our image failed to load, show that it is broken
+        const broken = this._brokenArea;
+        if (broken) this._drawBroken(ctx, broken);
         
-        //draw a frame indicating the (input) bounding box if requested
+        // draw our text on top
+        Styles.drawText(ctx, style, this.w, this.h);
+        ctx.restore();
+
+        //draw a frame indicating the (input) shape if requested
         if (showDebugFrame) {
             ctx.save();
                 ctx.strokeStyle = 'black';
-                ctx.strokeRect(0, 0, this.w, this.h);
+                ctx.beginPath();
+                this._shape.addPath(ctx, this.w, this.h);
+                ctx.stroke();
             ctx.restore();
         }
+        ctx.restore();
     }
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+    // Draw the placeholder for a broken image covering the given area: a faint red box,
+    // outlined and crossed out in red
+    protected _drawBroken(ctx : CanvasRenderingContext2D, area : Readonly<Rect>) : void {
+        const {x, y, w, h} = area;
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.15)';
+        ctx.fillRect(x, y, w, h);
+        ctx.strokeStyle = 'red';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.rect(x, y, w, h);
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + w, y + h);
+        ctx.moveTo(x + w, y);
+        ctx.lineTo(x, y + h);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Begin a cross-fade from the image currently shown (if any) to whatever image is
+    // shown next.  The current image is held on to and drawn fading out as fadeAmount
+    // moves from 0 to 1, until endCrossFade() is called.
+    public beginCrossFade() : void {
+        const current = this._shownImage;
+        if (current) this._fadeFrame = this._frame;
+        this._fadeFrom = current ?? this._fadeFrom;
+        this._fadeAmount = 0;
+        this.damage();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // End a cross-fade (if one is in progress), showing only the current image
+    public endCrossFade() : void {
+        if (!this._fadeFrom) return;
+        this.damage();
+        this._fadeFrom = undefined;
+        this._fadeFrame = undefined;
+        this._fadeAmount = 1;
+        this.damage();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Capture the current state of this region (geometry, visibility, image, emoji,
+    // text, fill, stroke, fit, opacity, and rotation) in json form (see FSM.snapshot())
+    public snapshot() : Region_json {
+        const result : Region_json = {name: this.name, x: this.x, y: this.y, 
+                                      w: this.w, h: this.h, imageLoc: this.imageLoc, 
+                                      visible: this.visible};
+        if (this.emoji) result.emoji = this.emoji;
+        if (this.text) result.text = this.text;
+        if (this.fill) result.fill = this.fill;
+        if (this.stroke) result.stroke = this.stroke;
+        if (this.fit !== defaultStyle.fit) result.fit = this.fit;
+        if (this.opacity !== defaultStyle.opacity) result.opacity = this.opacity;
+        if (this.rotation !== defaultStyle.rotation) result.rotation = this.rotation;
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Put this region back into a state captured by snapshot(), checking the parts 
+    // (which may have come from json).  Any cross-fade in progress is ended.
+    public restore(snap : Region_json) : void {
+        const errLoc = `Region.restore(${this.name})`;
+        this.endCrossFade();
+        this.position = {x: Check.numberVal(snap.x ?? this.x, errLoc), 
+                         y: Check.numberVal(snap.y ?? this.y, errLoc)};
+        this.size = {w: Math.max(0, Check.numberVal(snap.w ?? this.w, errLoc)), 
+                     h: Math.max(0, Check.numberVal(snap.h ?? this.h, errLoc))};
+        this.visible = Check.simpleType<boolean>(snap.visible ?? true, 'boolean', true, 
+                                                 errLoc);
+        this.imageLoc = Check.stringVal(snap.imageLoc ?? "", errLoc);
+        this.emoji = Check.stringVal(snap.emoji ?? "", errLoc);
+        this.setStyle({text: Check.stringVal(snap.text ?? "", errLoc),
+                       fill: Check.stringVal(snap.fill ?? "", errLoc),
+                       stroke: Check.stringVal(snap.stroke ?? "", errLoc),
+                       fit: Check.limitedString<ImageFit>(snap.fit ?? defaultStyle.fit,
+                                    imageFitStrings, defaultStyle.fit, errLoc),
+                       opacity: Styles.opacityVal(snap.opacity ?? defaultStyle.opacity, 
+                                                  errLoc),
+                       rotation: Check.numberVal(snap.rotation ?? defaultStyle.rotation,
+                                                 errLoc)});
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
     // Declare that something about this region which could affect its drawn appearance
     // has changed (e.g., the image or position has changed).  This passes this image
-    // notification to its parent FSM which eventually results in a redraw.
-    public damage() {
+    // notification to its parent FSM which eventually results in a redraw.  The area 
+    // damaged is given in our local coordinates, and defaults to our drawnBounds.  It 
+    // is passed on in the coordinates of our parent.
+    public damage(area : Readonly<Rect> = this.drawnBounds) {
             
         // **** YOUR CODE HERE ****
-        this._parent?.damage();
+        this._parent?.damage(Rects.offset(area, this.x, this.y));
     }
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -318,17 +762,27 @@ export class Region {
     // should be skipped.  Once the image has actually been loaded, that property will
     // be reset and damage will be declared to cause a redraw.  Similarly, the loadError
     // property should be checked.  If a loaded image has loadError true, then the image
-    // was unable to be loaded from the designated source.  In that case the it is likely 
-    // that drawing code should substitute some type of "broken" indicator.  Note that 
-    // images are cached based on their imageLoc string so multiple calls to this method
-    // requesting an image from the same location will only result in one remote load
-    // request.  Cached images will be available immediately upon return from this method.
-    // However, images which fail to load will be marked as such in the cache and will 
-    // never subsequently load.  
+    // was unable to be loaded from the designated source (and draw() substitutes a 
+    // "broken image" placeholder for it).  Note that images are cached based on their
+    // imageLoc string so multiple calls to this method requesting an image from the 
+    // same location will only result in one remote load request (even while that load
+    // is in progress).  Cached images will be available immediately upon return from 
+    // this method.  However, images which fail to load (after any retries; see 
+    // retryPolicy) will be marked as such in the cache and will not subsequently load
+    // until the cache is invalidated (see invalidateImage()).  For atlas frames 
+    // ("sheet#frame"), the sheet is what is loaded and cached, along with its frame map 
+    // (see Atlas).  Once the load is done (even for a cached image), our parent FSM is 
+    // told whether it succeeded, after whatever it is currently doing has finished.
     protected async _startImageLoad() {
+        const serial = ++this._loadSerial;
+
+        // the area covered by the old image needs to be redrawn
+        this.damage();
+
         // handle empty image case
         if (this.imageLoc === "") {
             this._image = undefined;
+            this._frame = undefined;
             this._loaded = true;
             this._loadError = false;
             this._resizeFromImage();
@@ -336,55 +790,102 @@ export class Region {
             return;
         }
 
-        // try to get the image from the cache
-        if (Region._imageIsCached(this.imageLoc)) {
-            this._image = Region._imageFromCache(this.imageLoc);
-            this._loaded = true;
-            this._loadError = false;
-            this._resizeFromImage();
-            this.damage();
-            return;
-        }
-
-        // create a new image object and try to load it
-        this._image = new Image();
-        if (this._image) {
-            const img = this._image; 
+        // try to get the image (and frame map, for a frame) from the cache, and 
+        // otherwise use the image loader (and atlas loader, for a frame) to load them
+        const {sheet, frame} = Atlas.splitLoc(this.imageLoc);
+        let img : HTMLImageElement | undefined;
+        let atlas : Atlas | undefined;
+        const cached = Region._imageIsCached(sheet) && 
+                       (frame === "" || Atlas.isCached(sheet));
+        if (cached) {
+            img = Region._imageFromCache(sheet);
+            atlas = Atlas.fromCache(sheet);
+        } else {
+            this._image = undefined;
+            this._frame = undefined;
             this._loaded = false;
             this._loadError = false;
+            [img, atlas] = await Region._loadParts(sheet, frame);
 
-            await new Promise((resolve,reject) => {
-                // set load callbacks
-                img.onload = () => {
-                    resolve(this._image);
-                    this._loaded = true;
-                    this._resizeFromImage();
-                }
-                img.onerror = () => {
-                    reject(this._image);
-                    this._loadError = true;
-                    this._loaded = true;
-                    Err.emit(`Load of image from ${this.imageLoc} failed`)
-                } 
-                
-                // loading process is started by assigning to img.src
-                img.src = this._imageLoc;
-            });
-        } 
-        // once we are finally loaded (or failed), cache the image
-        Region._cacheImage(this.imageLoc, this.loadError ? undefined : this.image);
+            // if another load was started while we were waiting, that load takes over
+            if (serial !== this._loadSerial) return;
+        }
+
+        this._image = img;
+        this._frame = undefined;
+        this._loaded = true;
+        this._loadError = !img;
+        if (img && frame !== "") this._findFrame(atlas, sheet, frame);
+        this._resizeFromImage();
 
         // pass damage up to cause a redraw with the new image
         this.damage();
+
+        // let our FSM know how it went (once it is done with what it is doing now), 
+        // unless the image was simply found in the cache
+        if (cached && !this._loadError) return;
+        await Promise.resolve();
+        if (serial === this._loadSerial) {
+            this._parent?.imageLoadDone(this, !this._loadError);
+        }
+    }
+
+    // Count of the loads started by _startImageLoad(), used to recognize loads which 
+    // have been superseded by a later one
+    protected _loadSerial : number = 0;
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Show the named frame of our (loaded) image, looking it up in the given atlas for
+    // its sheet.  A frame missing from the atlas is reported with Err.emit(), and 
+    // treated (as is an atlas which failed to load) as a failed image load.
+    protected _findFrame(atlas : Atlas | undefined, sheet : string, frame : string) : void {
+        const rect = atlas?.frame(frame);
+        if (rect) {
+            this._frame = {...rect};
+            return;
+        }
+        this._image = undefined;
+        this._loadError = true;
+        if (atlas) Err.emit(`Frame '${frame}' not found in ${Atlas.mapLocFor(sheet)}`);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Load our image again, first dropping it from the cache (e.g., to try again after
+    // a failed load; see the reload_image action).  Other regions showing the same 
+    // image keep showing what they have until they next load it.
+    public reloadImage() : void {
+        if (this.imageLoc === "") return;
+        Region.invalidateImage(this.imageLoc);
+        this._startImageLoad();
     }
    
     //-------------------------------------------------------------------
     // (Static) Image cache methods
     //-------------------------------------------------------------------
 
-    // Map used to cache images across all regions of all FSMs 
+    // The function used to load images for all regions (see ImageLoader)
+    public static imageLoader : ImageLoader = browserImageLoader;
+
+    // The function used to sample the opacity of images for image_alpha shapes (see 
+    // AlphaSampler)
+    public static alphaSampler : AlphaSampler = browserAlphaSampler;
+
+    // How failed loads of images (and of frame maps for atlases) are retried (see 
+    // RetryPolicy).  By default they are not.  The waits between attempts are timed 
+    // with FSM.defaultClock.
+    public static retryPolicy : RetryPolicy = {...noRetries};
+
+    // Map used to cache images across all regions of all FSMs (keyed by the location 
+    // of the whole image, so each atlas sheet is cached once)
     protected static _imageCache = new Map<string, HTMLImageElement | undefined>;
 
+    // Loads in progress, by image location, along with the loader doing each (so that
+    // loads started with a different loader installed aren't shared)
+    protected static _imageLoads = new Map<string, 
+                {loader : ImageLoader, done : Promise<HTMLImageElement | undefined>}>();
+
     // Indicate if the given image (represented by its location) is in the cache
     protected static _imageIsCached(imageLoc : string) : boolean {
         return Region._imageCache.has(imageLoc);
@@ -400,6 +901,88 @@ export class Region {
     protected static _cacheImage(imageLoc : string, img : HTMLImageElement | undefined) {
         Region._imageCache.set(imageLoc, img);
     }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Load the (whole) image at the given location, unless it is already cached or 
+    // being loaded, producing it or undefined if it could not be loaded.  Failed loads
+    // are retried as retryPolicy says.  Images which still fail to load are reported 
+    // with Err.emit(), and cached as failed.
+    protected static _loadImage(imageLoc : string) : Promise<HTMLImageElement | undefined> {
+        if (Region._imageIsCached(imageLoc)) {
+            return Promise.resolve(Region._imageFromCache(imageLoc));
+        }
+        const loading = Region._imageLoads.get(imageLoc);
+        if (loading && loading.loader === Region.imageLoader) return loading.done;
+
+        const loader = Region.imageLoader;
+        const entry = {loader, done: (async () => {
+            try {
+                return await withRetries(() => loader(imageLoc), Region.retryPolicy, 
+                                         FSM.defaultClock);
+            } catch (err) {
+                Err.emit(`Load of image from ${imageLoc} failed`);
+                return undefined;
+            }
+        })()};
+        Region._imageLoads.set(imageLoc, entry);
+
+        // once we are finally loaded (or failed), cache the image (unless we were 
+        // invalidated or superseded while loading)
+        entry.done.then((img) => {
+            if (Region._imageLoads.get(imageLoc) !== entry) return;
+            Region._imageLoads.delete(imageLoc);
+            Region._cacheImage(imageLoc, img);
+        });
+        return entry.done;
+    }
+
+    // Load the given sheet (or whole image), along with its atlas if a frame within it
+    // is wanted (see Atlas.load()), producing each (or undefined for those which could
+    // not be loaded)
+    protected static _loadParts(sheet : string, frame : string) 
+                        : Promise<[HTMLImageElement | undefined, Atlas | undefined]> 
+    {
+        return Promise.all([Region._loadImage(sheet), 
+                            (frame !== "") ? 
+                                Atlas.load(sheet, Region.retryPolicy, FSM.defaultClock) :
+                                undefined]);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Load the images at the given locations into the cache ahead of when they are 
+    // needed (for atlas frames, their sheets and frame maps), producing the locations
+    // (in the order given) of those which could not be loaded.  Empty locations are 
+    // ignored.
+    public static async preloadImages(imageLocs : readonly string[]) : Promise<string[]> {
+        let failed = new Set<string>();
+        await Promise.all(imageLocs.filter((loc) => loc !== "").map(async (loc) => {
+            const {sheet, frame} = Atlas.splitLoc(loc);
+            const [img, atlas] = await Region._loadParts(sheet, frame);
+            if (!img || (frame !== "" && !atlas)) failed.add(loc);
+        }));
+        return imageLocs.filter((loc) => failed.has(loc));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Remove the image at the given location (for an atlas frame, its sheet and frame 
+    // map) from the cache, or all images if no location is given, so that it is loaded
+    // again the next time it is needed.  Loads in progress are forgotten (and their 
+    // results not cached).  Regions already showing the image are not affected.
+    public static invalidateImage(imageLoc? : string) : void {
+        if (imageLoc === undefined) {
+            Region._imageCache.clear();
+            Region._imageLoads.clear();
+            Atlas.invalidate();
+            return;
+        }
+        const sheet = Atlas.splitLoc(imageLoc).sheet;
+        Region._imageCache.delete(sheet);
+        Region._imageLoads.delete(sheet);
+        Atlas.invalidate(sheet);
+    }
      
     //-------------------------------------------------------------------
     // Debugging Support
@@ -421,8 +1004,13 @@ export class Region {
 
         result += `Region(${this.name} (${this.x},${this.y},${this.w},${this.h}) `;
         result += `"${this.imageLoc}"`;
+        if (this.frame) result += ` frame${Rects.debugString(this.frame)}`;
         if (this.loaded) result += " loaded";
         if (this.loadError) result += " err";
+        if (!this.visible) result += " hidden";
+        if (this.shape.kind !== 'rect') result += ` shape:${this.shape.debugString()}`;
+        const styleStr = Styles.debugString(this.style);
+        if (styleStr) result += ` ${styleStr}`;
         if (!this.parent) result += " no parent";
         if (!this.image) result += " no image";
         result += ")";
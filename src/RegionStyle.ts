@@ -0,0 +1,517 @@
+import { Err } from "./Err.js";
+import { Check } from "./Check.js";
+import { Rect, Rects } from "./Rect.js";
+
+//===================================================================
+// Type for the drawn content a region can have besides its image and emoji, and for how
+// its content is presented, along with a (static) utility class for reading these from
+// json and drawing with them.  This lets FSMs build labelled and skinnable widgets
+// without image assets.  The style consists of:
+//   * a box, drawn behind everything else in the region: a plain rect, a rounded rect
+//     (with corners of the given radius), or a circle (the largest which fits, centered
+//     in the region).  The box is filled with the fill color and outlined with the
+//     stroke color at the given line width; either color may be "" for none.
+//   * a text label, drawn on top of everything else in the region, in the given (CSS)
+//     font and color, aligned horizontally (left, center, or right) and vertically
+//     (top, middle, or bottom) within the region inset by the padding.  If wrap is
+//     true, the text is broken into lines at spaces to fit the width of the region.
+//     Text is clipped to the region.
+//   * how the region's content is presented: how its image is scaled to the region
+//     (fit), whether drawing is clipped to the bounding box of the region (clip), the
+//     opacity of everything the region draws (from 0 for invisible to 1 for opaque),
+//     and a rotation (in degrees clockwise, about the center of the region).  Rotation
+//     applies to input as well as drawing, so the area which picks the region turns
+//     with it.  Images are fit as one of:
+//       - none     drawn at their natural size with their top-left at the top-left of
+//                  the region (the default)
+//       - contain  scaled (keeping their aspect ratio) to the largest size that fits
+//                  within the region, and centered
+//       - cover    scaled (keeping their aspect ratio) to the smallest size that covers
+//                  the region, and centered (normally used along with clip)
+//       - stretch  scaled to exactly the size of the region
+//     Alternatively, an image can be drawn 9-slice scaled (e.g., for button skins
+//     which resize without distorting their borders) by giving slice insets (in image
+//     pixels) from its top, right, bottom, and left edges.  The corners outside the
+//     insets are drawn unscaled, the edges between them are stretched along their
+//     length, and the center is stretched to fill the rest of the region.  Slicing
+//     takes the place of the fit.
+// Colors are given as CSS color strings (e.g., "red" or "#336699").  In json these are
+// given as optional properties of the region (see Region_json), e.g.,
+// {"name": "ok", "x": 10, "y": 10, "w": 80, "h": 30, "text": "OK", "fill": "#ddd",
+//  "stroke": "black", "box": "rounded"}.  Slice insets are given either as a single
+// number (used for all four edges) or as a list of four, e.g., "slice": [8, 12, 8, 12].
+//===================================================================
+
+// Kinds of box, horizontal and vertical alignments, along with corresponding strings
+export type BoxKind = 'rect' | 'rounded' | 'circle';
+const boxKindStrings = ['rect', 'rounded', 'circle'];
+export type TextAlign = 'left' | 'center' | 'right';
+const textAlignStrings = ['left', 'center', 'right'];
+export type TextVAlign = 'top' | 'middle' | 'bottom';
+const textVAlignStrings = ['top', 'middle', 'bottom'];
+export type ImageFit = 'none' | 'contain' | 'cover' | 'stretch';
+export const imageFitStrings = ['none', 'contain', 'cover', 'stretch'];
+
+// The drawn content of a region
+export type RegionStyle = {
+    text         : string,
+    font         : string,
+    textColor    : string,
+    align        : TextAlign,
+    valign       : TextVAlign,
+    wrap         : boolean,
+    padding      : number,
+    fill         : string,
+    stroke       : string,
+    lineWidth    : number,
+    box          : BoxKind,
+    cornerRadius : number,
+    fit          : ImageFit,
+    slice        : readonly number[],   // top, right, bottom, left (all 0 for none)
+    clip         : boolean,
+    opacity      : number,
+    rotation     : number
+};
+
+// The json form, in which every part is optional (and defaults as in defaultStyle),
+// and slice insets may be given as a single number
+export type RegionStyle_json = Partial<Omit<RegionStyle, 'slice'>> & {
+    slice? : number | readonly number[]
+};
+
+// Style with no box or text, presenting content unchanged
+export const defaultStyle : Readonly<RegionStyle> = {
+    text: "", font: "16px sans-serif", textColor: "black", align: 'center',
+    valign: 'middle', wrap: false, padding: 4, fill: "", stroke: "", lineWidth: 1,
+    box: 'rect', cornerRadius: 8, fit: 'none', slice: [0, 0, 0, 0], clip: false,
+    opacity: 1, rotation: 0
+};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class Styles {
+
+    // This is a class with all static methods, so no constructor
+
+    //-------------------------------------------------------------------
+    // Static Methods
+    //-------------------------------------------------------------------
+
+    // Construct a style from its json form (normally the region's own json object),
+    // checking all the parts (since data coming from json parsing lives in javascript
+    // land and may not actually be typed at runtime as we think/hope it is).  Problems
+    // are reported with Err.emit() (using the given location in the message) and
+    // patched up with defaults.
+    public static fromJson(json : RegionStyle_json, errLoc : string) : RegionStyle {
+        const def = defaultStyle;
+        const loc = (part : string) => `${errLoc}{${part}:}`;
+        return {
+            text: Check.stringVal(json.text ?? def.text, loc('text')),
+            font: Check.stringVal(json.font ?? def.font, loc('font')),
+            textColor: Check.stringVal(json.textColor ?? def.textColor, loc('textColor')),
+            align: Check.limitedString<TextAlign>(json.align ?? def.align,
+                                            textAlignStrings, def.align, loc('align')),
+            valign: Check.limitedString<TextVAlign>(json.valign ?? def.valign,
+                                            textVAlignStrings, def.valign, loc('valign')),
+            wrap: Check.simpleType<boolean>(json.wrap ?? def.wrap, 'boolean', def.wrap,
+                                            loc('wrap')),
+            padding: Math.max(0, Check.numberVal(json.padding ?? def.padding,
+                                                 loc('padding'))),
+            fill: Check.stringVal(json.fill ?? def.fill, loc('fill')),
+            stroke: Check.stringVal(json.stroke ?? def.stroke, loc('stroke')),
+            lineWidth: Math.max(0, Check.numberVal(json.lineWidth ?? def.lineWidth,
+                                                   loc('lineWidth'))),
+            box: Check.limitedString<BoxKind>(json.box ?? def.box, boxKindStrings,
+                                              def.box, loc('box')),
+            cornerRadius: Math.max(0, Check.numberVal(json.cornerRadius ??
+                                            def.cornerRadius, loc('cornerRadius'))),
+            fit: Check.limitedString<ImageFit>(json.fit ?? def.fit, imageFitStrings,
+                                               def.fit, loc('fit')),
+            slice: Styles.sliceFromJson(json.slice, loc('slice')),
+            clip: Check.simpleType<boolean>(json.clip ?? def.clip, 'boolean', def.clip,
+                                            loc('clip')),
+            opacity: Styles.opacityVal(json.opacity ?? def.opacity, loc('opacity')),
+            rotation: Check.numberVal(json.rotation ?? def.rotation, loc('rotation'))
+        };
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check slice insets in json form (see the comments at the top of this file),
+    // producing the list of four.  Problems are reported with Err.emit() (using the
+    // given location in the message) and result in no slicing.
+    public static sliceFromJson(json : number | readonly number[] | undefined, 
+                                errLoc : string) : readonly number[] 
+    {
+        if (json === undefined) return defaultStyle.slice;
+        const list = (typeof json === 'number') ? [json, json, json, json] : json;
+        if (!Array.isArray(list) || list.length !== 4 ||
+            !list.every((v) => typeof v === 'number' && v >= 0))
+        {
+            Err.emit(`Slice insets ${JSON.stringify(json)} are not a non-negative number` +
+                     ` or list of four in ${errLoc}`);
+            return defaultStyle.slice;
+        }
+        return [...list];
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Check an opacity value, reporting (with Err.emit(), using the given location in
+    // the message) values which are not numbers from 0 to 1, and clamping to that range
+    public static opacityVal(val : number, errLoc : string) : number {
+        const result = Check.numberVal(val, errLoc);
+        if (!(result >= 0 && result <= 1)) {
+            Err.emit(`Opacity ${val} is not between 0 and 1 in ${errLoc}`);
+        }
+        return isNaN(result) ? 1 : Math.min(1, Math.max(0, result));
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce the json form of the parts of the given style which differ from the
+    // defaults
+    public static toJson(style : Readonly<RegionStyle>) : RegionStyle_json {
+        let result : {[part : string] : any} = {};
+        for (let part of Object.keys(defaultStyle) as (keyof RegionStyle)[]) {
+            if (part === 'slice') {
+                if (Styles.isSliced(style)) result.slice = [...style.slice];
+            } else if (style[part] !== defaultStyle[part]) {
+                result[part] = style[part];
+            }
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Indicate whether the given style draws anything
+    public static isEmpty(style : Readonly<RegionStyle>) : boolean {
+        return style.text === "" && style.fill === "" &&
+               (style.stroke === "" || style.lineWidth <= 0);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Indicate whether the given style draws images 9-slice scaled
+    public static isSliced(style : Readonly<RegionStyle>) : boolean {
+        return style.slice.some((v) => v > 0);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The area drawing the given style affects, for a region of the given size (in
+    // region local coordinates): the region, grown by half the width of its outline
+    public static bounds(style : Readonly<RegionStyle>, w : number, h : number) : Rect {
+        if (Styles.isEmpty(style)) return {x: 0, y: 0, w: 0, h: 0};
+        const grow = (style.stroke !== "") ? Math.ceil(style.lineWidth / 2) : 0;
+        return Rects.outset({x: 0, y: 0, w, h}, grow);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Draw the box of the given style for a region of the given size, using a drawing
+    // context set up in region local coordinates
+    public static drawBox(
+        ctx   : CanvasRenderingContext2D,
+        style : Readonly<RegionStyle>,
+        w     : number,
+        h     : number) : void
+    {
+        const stroking = style.stroke !== "" && style.lineWidth > 0;
+        if (style.fill === "" && !stroking) return;
+
+        ctx.save();
+        ctx.beginPath();
+        if (style.box === 'circle') {
+            ctx.arc(w/2, h/2, Math.min(w, h)/2, 0, 2*Math.PI);
+        } else if (style.box === 'rounded') {
+            const r = Math.min(style.cornerRadius, w/2, h/2);
+            ctx.moveTo(r, 0);
+            ctx.arcTo(w, 0, w, h, r);
+            ctx.arcTo(w, h, 0, h, r);
+            ctx.arcTo(0, h, 0, 0, r);
+            ctx.arcTo(0, 0, w, 0, r);
+            ctx.closePath();
+        } else {
+            ctx.rect(0, 0, w, h);
+        }
+        if (style.fill !== "") {
+            ctx.fillStyle = style.fill;
+            ctx.fill();
+        }
+        if (stroking) {
+            ctx.strokeStyle = style.stroke;
+            ctx.lineWidth = style.lineWidth;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Draw the text of the given style for a region of the given size, using a drawing
+    // context set up in region local coordinates
+    public static drawText(
+        ctx   : CanvasRenderingContext2D,
+        style : Readonly<RegionStyle>,
+        w     : number,
+        h     : number) : void
+    {
+        if (style.text === "") return;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, w, h);
+        ctx.clip();
+        ctx.font = style.font;
+        ctx.fillStyle = style.textColor;
+        ctx.textBaseline = 'top';
+        ctx.textAlign = style.align;
+
+        const pad = style.padding;
+        const lines = style.wrap ? Styles.wrapLines(ctx, style.text, w - 2*pad) :
+                                   style.text.split('\n');
+        const lineHeight = Styles.lineHeight(style.font);
+        const textH = lines.length * lineHeight;
+        const x = (style.align === 'left') ? pad :
+                  (style.align === 'right') ? w - pad : w/2;
+        let y = (style.valign === 'top') ? pad :
+                (style.valign === 'bottom') ? h - pad - textH : (h - textH)/2;
+        for (let line of lines) {
+            ctx.fillText(line, x, y);
+            y += lineHeight;
+        }
+        ctx.restore();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Where an image of the given size is drawn under the given style, for a region of
+    // the given size (in region local coordinates; see the comments at the top of this
+    // file for the kinds of fit)
+    public static imageRect(
+        style : Readonly<RegionStyle>,
+        imgW  : number,
+        imgH  : number,
+        w     : number,
+        h     : number) : Rect
+    {
+        if (Styles.isSliced(style) || style.fit === 'stretch') return {x: 0, y: 0, w, h};
+        if (style.fit === 'none' || imgW <= 0 || imgH <= 0) {
+            return {x: 0, y: 0, w: imgW, h: imgH};
+        }
+        const scale = (style.fit === 'contain') ? Math.min(w / imgW, h / imgH) :
+                                                  Math.max(w / imgW, h / imgH);
+        const drawnW = imgW * scale, drawnH = imgH * scale;
+        return {x: (w - drawnW)/2, y: (h - drawnH)/2, w: drawnW, h: drawnH};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Draw an image as placed by the given style for a region of the given size, using
+    // a drawing context set up in region local coordinates.  If a source rectangle is
+    // given, only that part of the image (e.g., one frame of an Atlas) is drawn, as if
+    // it were the whole image.
+    public static drawImage(
+        ctx   : CanvasRenderingContext2D,
+        style : Readonly<RegionStyle>,
+        img   : HTMLImageElement,
+        w     : number,
+        h     : number,
+        src?  : Readonly<Rect>) : void
+    {
+        const part = src ?? {x: 0, y: 0, w: img.width, h: img.height};
+        if (!Styles.isSliced(style)) {
+            const r = Styles.imageRect(style, part.w, part.h, w, h);
+            if (src) {
+                ctx.drawImage(img, src.x, src.y, src.w, src.h, r.x, r.y, r.w, r.h);
+            } else if (style.fit === 'none') {
+                ctx.drawImage(img, r.x, r.y);
+            } else {
+                ctx.drawImage(img, r.x, r.y, r.w, r.h);
+            }
+            return;
+        }
+
+        // draw each of the nine pieces, from its part of the image to its part of the
+        // region (skipping empty pieces)
+        const xs = Styles._sliceEdges(style.slice[3], style.slice[1], part.w, w);
+        const ys = Styles._sliceEdges(style.slice[0], style.slice[2], part.h, h);
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                const sw = xs.src[col+1] - xs.src[col], sh = ys.src[row+1] - ys.src[row];
+                const dw = xs.dst[col+1] - xs.dst[col], dh = ys.dst[row+1] - ys.dst[row];
+                if (sw <= 0 || sh <= 0 || dw <= 0 || dh <= 0) continue;
+                ctx.drawImage(img, part.x + xs.src[col], part.y + ys.src[row], sw, sh, 
+                              xs.dst[col], ys.dst[row], dw, dh);
+            }
+        }
+    }
+
+    // The positions of the edges of the three slices along one axis, in the image
+    // (src) and in the region (dst), given the insets from each end of the axis and the
+    // sizes along it.  Insets which don't fit are scaled down to fit.
+    protected static _sliceEdges(
+        startInset : number, 
+        endInset   : number, 
+        imgSize    : number, 
+        size       : number) : {src : number[], dst : number[]}
+    {
+        const a = Math.min(startInset, imgSize), b = Math.min(endInset, imgSize - a);
+        const fit = (a + b > size && a + b > 0) ? size / (a + b) : 1;
+        return {src: [0, a, imgSize - b, imgSize], 
+                dst: [0, a * fit, size - b * fit, size]};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Map a position in region local coordinates to the image pixel drawn there under
+    // the given style, for an image and region of the given sizes (the inverse of the
+    // placement done by drawImage(), apart from rotation)
+    public static imagePoint(
+        style : Readonly<RegionStyle>,
+        x     : number,
+        y     : number,
+        imgW  : number,
+        imgH  : number,
+        w     : number,
+        h     : number) : {x : number, y : number}
+    {
+        if (Styles.isSliced(style)) {
+            const xs = Styles._sliceEdges(style.slice[3], style.slice[1], imgW, w);
+            const ys = Styles._sliceEdges(style.slice[0], style.slice[2], imgH, h);
+            return {x: Styles._unslice(x, xs), y: Styles._unslice(y, ys)};
+        }
+        const r = Styles.imageRect(style, imgW, imgH, w, h);
+        if (r.w <= 0 || r.h <= 0) return {x: -1, y: -1};
+        return {x: (x - r.x) * imgW / r.w, y: (y - r.y) * imgH / r.h};
+    }
+
+    // Map a position along one axis of the region back through the slice edges
+    protected static _unslice(v : number, edges : {src : number[], dst : number[]}) 
+                                                                            : number 
+    {
+        const {src, dst} = edges;
+        for (let i = 0; i < 3; i++) {
+            if (v < dst[i+1] || i === 2) {
+                const span = dst[i+1] - dst[i];
+                const frac = (span > 0) ? (v - dst[i]) / span : 0;
+                return src[i] + frac * (src[i+1] - src[i]);
+            }
+        }
+        return v;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Set up the given drawing context (in region local coordinates) to rotate drawing
+    // as the given style requires, for a region of the given size
+    public static applyRotation(
+        ctx   : CanvasRenderingContext2D,
+        style : Readonly<RegionStyle>,
+        w     : number,
+        h     : number) : void
+    {
+        if (style.rotation === 0) return;
+        ctx.translate(w/2, h/2);
+        ctx.rotate(style.rotation * Math.PI / 180);
+        ctx.translate(-w/2, -h/2);
+    }
+
+    // Rotate a position (in region local coordinates) the opposite way to the given
+    // style, for a region of the given size.  This takes a position on the display back
+    // to where it falls in the unrotated content.
+    public static unrotate(
+        style : Readonly<RegionStyle>,
+        x     : number,
+        y     : number,
+        w     : number,
+        h     : number) : {x : number, y : number}
+    {
+        if (style.rotation === 0) return {x, y};
+        const angle = -style.rotation * Math.PI / 180;
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const dx = x - w/2, dy = y - h/2;
+        return {x: w/2 + dx*cos - dy*sin, y: h/2 + dx*sin + dy*cos};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The area affected by drawing content which covers the given area (in region local
+    // coordinates) under the given style, for a region of the given size: the area
+    // limited to the region if clipping, then rotated (see Rects.rotate())
+    public static presentedBounds(
+        style : Readonly<RegionStyle>,
+        area  : Readonly<Rect>,
+        w     : number,
+        h     : number) : Rect
+    {
+        const clipped = style.clip ? Rects.intersection(area, {x: 0, y: 0, w, h}) : area;
+        if (Rects.isEmpty(clipped)) return {x: 0, y: 0, w: 0, h: 0};
+        return Rects.rotate(clipped, style.rotation, w/2, h/2);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Break the given text into lines no wider than the given width (as measured with
+    // the font currently set in the given context), breaking at spaces (and at any
+    // newlines in the text).  Single words wider than the width are left whole.
+    public static wrapLines(
+        ctx   : CanvasRenderingContext2D,
+        text  : string,
+        width : number) : string[]
+    {
+        let result : string[] = [];
+        for (let para of text.split('\n')) {
+            let line = "";
+            for (let word of para.split(' ')) {
+                const trial = (line === "") ? word : `${line} ${word}`;
+                if (line !== "" && ctx.measureText(trial).width > width) {
+                    result.push(line);
+                    line = word;
+                } else {
+                    line = trial;
+                }
+            }
+            result.push(line);
+        }
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The distance between lines of text in the given (CSS) font: 1.2 times its size
+    // in pixels (assumed to be 16 if the font doesn't give a pixel size)
+    public static lineHeight(font : string) : number {
+        const match = /(\d+(?:\.\d+)?)px/.exec(font);
+        return 1.2 * (match ? Number(match[1]) : 16);
+    }
+
+    //-------------------------------------------------------------------
+    // Debugging Support
+    //-------------------------------------------------------------------
+
+    // Create a short human readable string representing a style for debugging
+    public static debugString(style : Readonly<RegionStyle>) : string {
+        let result = "";
+        if (style.fill || style.stroke) {
+            result += `${style.box}(fill:${style.fill || "none"}` +
+                      ` stroke:${style.stroke || "none"})`;
+        }
+        if (style.text) result += `${result ? " " : ""}text:"${style.text}"`;
+        let present : string[] = [];
+        if (Styles.isSliced(style)) present.push(`slice:${style.slice.join(',')}`);
+        else if (style.fit !== 'none') present.push(`fit:${style.fit}`);
+        if (style.clip) present.push("clip");
+        if (style.opacity !== 1) present.push(`opacity:${style.opacity}`);
+        if (style.rotation !== 0) present.push(`rotation:${style.rotation}`);
+        if (present.length > 0) result += `${result ? " " : ""}${present.join(' ')}`;
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class Styles
+
+//===================================================================
@@ -1,20 +1,73 @@
 import { FSMInteractor } from "./FSMInteractor.js";
 import { Region } from "./Region.js";
 import { Err } from "./Err.js";
+import { FSMEvent, mousePointer } from "./FSMEvent.js";
+import { Rect, Rects } from "./Rect.js";
+import { FrameScheduler, FrameHandle, AnimationFrameScheduler } from "./FrameScheduler.js";
+import { Animation } from "./Animation.js";
+import { FSM } from "./FSM.js";
+import { VarValue } from "./Expression.js";
 
 //===================================================================
 // Class for a root object which manages the connection with with the underlying 
 // HTML canvas and performs other global tasks (like invoking redraws) for the system.
 // This object maintains a list of child (FSMInteractor) objects which it collects
-// damage notifications from, arranges to be drawn, and dispatches input to.
+// damage notifications from, arranges to be drawn, and dispatches input to.  Each 
+// child may in turn host children of its own, so together these form a tree of 
+// interactors with this object at the top (see FSMInteractor).
+//
+// This object also maintains the keyboard focus: at most one interactor in the tree
+// at a time has the focus and receives all keyboard input.  Pressing on an interactor
+// gives it the focus, and the Tab key (Shift-Tab for reverse) cycles the focus through
+// all the interactors in the tree in drawing order.
+//
+// Pointer input is taken from the browser's Pointer Events, so mouse, pen, and touch
+// input are all handled, and several pointers (e.g., fingers) may be active at once.
+// Each pointer is captured while its button is down (so its moves and release are 
+// delivered even outside the canvas), and is dispatched to children along with its 
+// id and type.  Presses and releases of all buttons are dispatched, along with the 
+// button involved and (for presses) a click count, which is incremented for presses
+// of the same button in quick succession at close to the same location (see 
+// doubleClickTime and doubleClickDistance).  Wheel input is dispatched as well, and
+// the browser's context menu is suppressed over the canvas so that the secondary 
+// button can be used.
+//
+// Damage is declared along with the area (rectangle) of the canvas it affects, and 
+// the areas are accumulated until the next redraw.  Redraws are done at most once 
+// per display frame (as provided by the Root's FrameScheduler), so all the damage 
+// declared between frames is handled together.  Callers which need the display 
+// brought up to date immediately can call flush().  Root objects also run the 
+// animations of the regions of their children (see Animation), stepping each of them
+// at every frame, before redrawing, until they finish.  Redraws then only clear and 
+// repaint those areas (clipping all drawing to them), and only draw the children and
+// regions which could draw there.  For debugging, showRepaints can be set to outline
+// each area as it is repainted.
+//
+// A Root is normally attached to an HTML canvas given by its element ID.  However, it 
+// can instead be given a drawing context object directly.  This allows it to be used
+// without a browser (e.g., under Node with a recording context; see Headless), in 
+// which case input is provided by calling dispatchRawEvent() on child objects directly.
 //===================================================================
 
+// The parts of a (browser) PointerEvent used in dispatching it.  Events synthesized 
+// here (for lost pointerup events) are made as objects of this type.
+type PointerEventFields = Pick<PointerEvent, 
+    'type' | 'button' | 'offsetX' | 'offsetY' | 'pointerId' | 'pointerType' | 
+    'shiftKey' | 'ctrlKey' | 'altKey' | 'metaKey'>;
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
 export class Root {
 
-    constructor(canvasID : string) {
+    constructor(
+        canvasIDOrContext : string | CanvasRenderingContext2D, 
+        scheduler         : FrameScheduler = Root.defaultScheduler) 
+    {
         this._children = [];
+        this._scheduler = scheduler;
          // get the canvas object we will draw on and set our w/h to match that
-         this._canvasContext = this._getCanvasContext(canvasID);
+         this._canvasContext = (typeof canvasIDOrContext === 'string') ?
+                this._getCanvasContext(canvasIDOrContext) : canvasIDOrContext;
          this._owningCanvas  = this._canvasContext.canvas;
 
          // setup canvas input callbacks
@@ -30,8 +83,10 @@ export class Root {
     public get children() : readonly FSMInteractor[] {return this._children;}
     
     // Add a child object to our child list, linking to us as parent appropriately.
+    // A child which already has a parent is first removed from it.
     public addChild(newChild : FSMInteractor) {
         if (this.children.includes(newChild)) return;
+        newChild.parent?.removeChild(newChild);
         this._children.push(newChild);
         newChild.parent = this;
     }
@@ -39,9 +94,106 @@ export class Root {
     // Remove a child object from our child list (unlinking us as parent)
     public removeChild(child : FSMInteractor) {
         const indx : number = this.children.indexOf(child);
-        if (indx >= 0) this._children.splice(indx,1);
+        if (indx < 0) return;
+        this.childRemoved(child);
+        this._children.splice(indx,1);
         child.parent = undefined;
     }
+
+    // Move the given child object to the end of our child list, so that it is drawn on
+    // top of (and receives input before) all our other children
+    public raiseChild(child : FSMInteractor) {
+        const indx = this._children.indexOf(child);
+        if (indx < 0) {
+            Err.emit("Attempt to raise an FSMInteractor which is not a child");
+            return;
+        }
+        if (indx === this._children.length-1) return;
+        this._children.splice(indx, 1);
+        this._children.push(child);
+        child.damage();
+    }
+
+    // Move the given child object to the start of our child list, so that it is drawn
+    // beneath (and receives input after) all our other children
+    public lowerChild(child : FSMInteractor) {
+        const indx = this._children.indexOf(child);
+        if (indx < 0) {
+            Err.emit("Attempt to lower an FSMInteractor which is not a child");
+            return;
+        }
+        if (indx === 0) return;
+        this._children.splice(indx, 1);
+        this._children.unshift(child);
+        child.damage();
+    }
+
+    // Do the bookkeeping needed when the given interactor (and so all its descendants)
+    // is about to be removed from our tree: it can no longer hold the focus, and the
+    // animations of its regions are cancelled.  This is called by removeChild() (of 
+    // this object or of the interactor's parent).
+    public childRemoved(child : FSMInteractor) {
+        for (let inter of Root.interactorsIn(child)) {
+            if (this._focus === inter) this._focus = undefined;
+            if (inter.fsm) this.cancelAnimations(inter.fsm);
+        }
+    }
+
+    // Produce the list of interactors in the tree rooted at the given one (or in the 
+    // trees of each given one) in drawing order: each interactor followed by its 
+    // children (and their descendants).
+    public static interactorsIn(top : FSMInteractor | readonly FSMInteractor[]) 
+                                                                    : FSMInteractor[] 
+    {
+        let result : FSMInteractor[] = [];
+        for (let inter of Array.isArray(top) ? top : [top]) {
+            result.push(inter, ...Root.interactorsIn(inter.children));
+        }
+        return result;
+    }
+
+    // The child object which currently has the keyboard focus (if any)
+    protected _focus : FSMInteractor | undefined = undefined;
+    public get focus() {return this._focus;}
+
+    // Give the keyboard focus to the given interactor (or to no object if passed 
+    // undefined).  Objects which are not in our tree can't receive the focus.
+    public setFocus(child : FSMInteractor | undefined) {
+        if (child && child.root !== this) {
+            Err.emit("Attempt to give keyboard focus to an object that is not in the tree");
+            return;
+        }
+        this._focus = child;
+    }
+
+    // Move the keyboard focus to the next interactor in the tree in drawing order (or
+    // the previous one if backward is true), wrapping around at the end.
+    public focusNext(backward : boolean = false) {
+        const all = Root.interactorsIn(this.children);
+        const count = all.length;
+        if (count === 0) return;
+
+        let indx = this._focus ? all.indexOf(this._focus) : -1;
+        if (indx < 0) {
+            indx = backward ? count-1 : 0;
+        } else {
+            indx = (indx + (backward ? count-1 : 1)) % count;
+        }
+        this.setFocus(all[indx]);
+    }
+
+    // Find the first interactor in the tree (in drawing order) with the given name
+    public findInteractor(name : string) : FSMInteractor | undefined {
+        return Root.interactorsIn(this.children).find((inter) => inter.name === name);
+    }
+
+    // Deliver a custom event with the given name (and optional payload) to every 
+    // interactor in the tree, in drawing order (see FSMInteractor.receiveEvent())
+    public broadcast(eventName : string, payload? : VarValue) {
+        for (let inter of Root.interactorsIn(this.children)) {
+            inter.receiveEvent(eventName, payload);
+        }
+    }
     
     // The canvas that we draw on
     protected _owningCanvas : HTMLCanvasElement;
@@ -51,13 +203,70 @@ export class Root {
     protected _canvasContext : CanvasRenderingContext2D;
     public get canvasContext() {return this._canvasContext;}
 
+    // The maximum time (in ms) between presses, and the maximum distance (in pixels, 
+    // in each direction) between their locations, for a press to count as a further
+    // click following the previous one (e.g., as the second click of a double click)
+    public static doubleClickTime : number = 500;
+    public static doubleClickDistance : number = 4;
+
+    // The frame scheduler used by Root objects created from now on.  This defaults to
+    // one using the browser's animation frames.
+    public static defaultScheduler : FrameScheduler = new AnimationFrameScheduler();
+
+    // The frame scheduler this object uses to arrange for redraws.  Replacing the 
+    // scheduler cancels any pending frame request and makes a new one with the new 
+    // scheduler (if needed).
+    protected _scheduler : FrameScheduler;
+    public get scheduler() {return this._scheduler;}
+    public set scheduler(v : FrameScheduler) {
+        if (v === this._scheduler) return;
+        this._cancelFrame();
+        this._scheduler = v;
+        if (this._damageRects.length > 0 || this._animations.length > 0) {
+            this._requestFrame();
+        }
+    }
+
+    // Handle for our pending frame request (undefined if there is none)
+    protected _frameHandle : FrameHandle | undefined = undefined;
+
+    // The animations currently running
+    protected _animations : Animation[] = [];
+    public get animations() : readonly Animation[] {return this._animations;}
+
     // Whether we request extra debugging output when our child objects are 
     // drawn.  This defaults to false, but setting it true will provide additional
     // output that makes understanding and debugging FSM behavior easier (but is not 
     // an end-user suitable display).
     protected _doDebugOutput : boolean = false;
     public get doDebugOutput() {return this._doDebugOutput;}
-    public set doDebugOutput(v : boolean) {this._doDebugOutput = v;}
+    public set doDebugOutput(v : boolean) {
+        if (v !== this._doDebugOutput) {
+            this._doDebugOutput = v;
+            this.damage();
+        }
+    }
+
+    // Whether we outline the areas that are repainted on each redraw (for debugging).
+    // Outlines are drawn in a color that changes with each redraw, and remain until 
+    // the area they are in is next repainted.
+    protected _showRepaints : boolean = false;
+    public get showRepaints() {return this._showRepaints;}
+    public set showRepaints(v : boolean) {
+        if (v !== this._showRepaints) {
+            this._showRepaints = v;
+            this.damage();
+        }
+    }
+
+    // The areas repainted by the most recent redraw (in canvas coordinates)
+    protected _lastRepaint : Rect[] = [];
+    public get lastRepaint() : readonly Rect[] {return this._lastRepaint;}
+
+    // Colors cycled through for outlining repainted areas, and the number of redraws
+    // done so far (used to select among them)
+    protected static _repaintColors = ['red', 'orange', 'green', 'blue', 'purple'];
+    protected _redrawCount : number = 0;
 
     //-------------------------------------------------------------------
     // Methods 
@@ -65,23 +274,54 @@ export class Root {
    
     // Perform of redraw across all our child object using the previously established
     // drawing context object for the HTML canvas object we are associated with.
-    // This begins work by clearing the entire canvas.  The for each child object this 
-    // saves the state of the drawing context, puts it in the child coordinate system,
-    // draws the child, and then restors the context.
+    // This redraws only the areas damaged since the last redraw.  It begins work by 
+    // clipping to those areas and clearing them.  Then for each child object which may
+    // draw within them, this saves the state of the drawing context, puts it in the 
+    // child coordinate system, draws the child, and then restors the context.
     protected _redraw() {
         const saveBatching = this._batchingDamage;
         this._batchingDamage = true;
+        this._redrawing = true;
         try {
 
         // **** YOUR CODE HERE ****
-        // clear the canvas
-        this._canvasContext.clearRect(0,0, this._owningCanvas.width, this._owningCanvas.height);
-        // for each child, save the context, translate to the child's coordinates, draw the child, and restore the context
+        // take the areas to be repainted
+        const areas = this._damageRects;
+        this._damageRects = [];
+        this._lastRepaint = areas;
+        this._redrawCount++;
+        const ctx = this._canvasContext;
+
+        // clip to the damaged areas and clear them
+        ctx.save();
+        ctx.beginPath();
+        for (let area of areas) ctx.rect(area.x, area.y, area.w, area.h);
+        ctx.clip();
+        for (let area of areas) ctx.clearRect(area.x, area.y, area.w, area.h);
+
+        // for each child which may draw in the damaged areas, save the context, 
+        // translate to the child's coordinates, draw the child, and restore the context
         for (let ch of this.children) {
-            this._canvasContext.save();
-            this._canvasContext.translate(ch.x, ch.y);
-            ch.draw(this._canvasContext, this._doDebugOutput);
-            this._canvasContext.restore();
+            const bounds = Rects.offset(ch.drawnBounds, ch.x, ch.y);
+            if (!areas.some((area) => Rects.intersects(area, bounds))) continue;
+            ctx.save();
+            ctx.translate(ch.x, ch.y);
+            ch.draw(ctx, this._doDebugOutput, 
+                    areas.map((area) => Rects.offset(area, -ch.x, -ch.y)));
+            ctx.restore();
+        }
+        ctx.restore();
+
+        // outline the repainted areas if requested
+        if (this._showRepaints) {
+            const colors = Root._repaintColors;
+            ctx.save();
+            ctx.strokeStyle = colors[this._redrawCount % colors.length];
+            ctx.lineWidth = 1;
+            for (let area of areas) {
+                ctx.strokeRect(area.x + 0.5, area.y + 0.5, area.w - 1, area.h - 1);
+            }
+            ctx.restore();
         }
 
         // currently, for ease of debugging, we let exceptions propogate out from this 
@@ -95,6 +335,7 @@ export class Root {
         //     Err.warning(
         //         "Exception captured and suppressed during redraw.  Pressing ahead...");
         } finally {
+            this._redrawing = false;
             this._batchingDamage = saveBatching;
             this._damageResponse();
         }
@@ -102,96 +343,225 @@ export class Root {
 
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
-    // Bookkeeping of whether damage has been declared but not responed to with a 
-    // redraw, and whether we are currently batching up damage notifications (as opposed
-    // to doing immediate redraws when damage occurs).
-    protected _damaged : boolean = false;
+    // Bookkeeping of the areas (in canvas coordinates) where damage has been declared
+    // but not responed to with a redraw, and whether we are currently batching up 
+    // damage notifications (as opposed to doing immediate redraws when damage occurs).
+    // Overlapping areas are merged as they are added, and if there are more than 
+    // maxDamageRects of them, they are combined into one enclosing area.
+    protected _damageRects : Rect[] = [];
     protected _batchingDamage : boolean = false;
 
+    // Whether a redraw is currently in progress
+    protected _redrawing : boolean = false;
+    public static maxDamageRects : number = 8;
+
     // Declare that something has changed that may require that the display be 
-    // redrawn.  Depending on the current setting of the internal _batchingDamage
-    // flag, the redraw to remove damage may be done immediately, or damage may be 
-    // accumulated and the redraw done later.  By default, _batchingDamage is false,
-    // leading to immediate redraws.  This is appropriate for damaged caused by 
-    // asynchronous loading, because  there isn't an obvious point in program flow
-    // that will be known to occur without delay when the batch could be "released" and
-    // the redraw performed.  However, the system will temporarily turn on batching 
-    // during redraw (as we shouldn't start a new redraw in the middle of an existing
-    // one). The system will also temporarily turn on batching during input dispatch
-    // (since we know the input is the driving factor behind changes and multiple are
-    // likely to occur during one round of dispatch).  After each redraw or input
-    // dispatch round, the _batchingDamage setting is restored (typically back to false)
-    // and if it becomes false, a redraw to address the damage is performed at that point.
-    public damage() {
-        this._damaged = true;
+    // redrawn.  Damage is accumulated and the redraw to remove it is done at the next 
+    // display frame (see scheduler), so a burst of damage (e.g., from several 
+    // asynchronous image loads completing) results in a single redraw.  In addition, 
+    // depending on the current setting of the internal _batchingDamage flag, a frame
+    // may not be requested at all until later.  The system will temporarily turn on 
+    // batching during redraw (as we shouldn't start a new redraw in the middle of an 
+    // existing one). The system will also temporarily turn on batching during input 
+    // dispatch (since we know the input is the driving factor behind changes and 
+    // multiple are likely to occur during one round of dispatch).  After each redraw 
+    // or input dispatch round, the _batchingDamage setting is restored (typically back
+    // to false) and if it becomes false, a frame is requested to address the damage.
+    // The area damaged is given in canvas coordinates, and defaults to the whole canvas.
+    public damage(area? : Readonly<Rect>) {
+        const canvasArea = {x: 0, y: 0, w: this._owningCanvas.width, 
+                                         h: this._owningCanvas.height};
+        const clipped = Rects.intersection(Rects.roundOut(area ?? canvasArea), canvasArea);
+        Rects.addTo(this._damageRects, clipped, Root.maxDamageRects);
         this._damageResponse();
     }
 
     // Produce a possible response to current or accumulated damage.  If we are not 
-    // currently batching damage requests (this._batchingDamage === false),  and 
-    // damage has been declared, this will cause an immediate redraw. Otherwise, this
-    // method does nothing.
+    // currently batching damage requests (this._batchingDamage === false), damage has
+    // been declared, and we are not already waiting on a frame, this requests a frame
+    // at which the redraw will be done.  Otherwise, this method does nothing.
     protected _damageResponse() {
-        if (this._damaged && !this._batchingDamage) {
-            this._damaged = false;
-            this._redraw();
+        if (this._damageRects.length > 0 && !this._batchingDamage) this._requestFrame();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Request a frame from our scheduler (unless we are already waiting on one)
+    protected _requestFrame() {
+        if (this._frameHandle !== undefined) return;
+        this._frameHandle = this._scheduler.requestFrame(() => this._doFrame());
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Do the work for one frame: step our animations, then redraw any damage.  If
+    // animations are still running, another frame is requested for them.
+    protected _doFrame() {
+        this._frameHandle = undefined;
+        if (this._animations.length > 0) this._stepAnimations();
+        if (this._damageRects.length > 0) this._redraw();
+        if (this._animations.length > 0) this._requestFrame();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Cancel our pending frame request (if any)
+    protected _cancelFrame() {
+        if (this._frameHandle !== undefined) {
+            this._scheduler.cancelFrame(this._frameHandle);
+            this._frameHandle = undefined;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Start running the given animation.  Any running animation which conflicts with 
+    // it (see Animation.conflictsWith()) is cancelled.
+    public addAnimation(anim : Animation) {
+        for (let other of this._animations) {
+            if (other.conflictsWith(anim)) other.cancel();
+        }
+        this._animations = this._animations.filter((other) => !other.finished);
+        this._animations.push(anim);
+        this._requestFrame();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Cancel the running animations of the regions of the given FSM (or all running
+    // animations if no FSM is given), optionally limited to those the given function
+    // selects
+    public cancelAnimations(
+        owner? : FSM, 
+        which  : (anim : Animation) => boolean = () => true) 
+    {
+        for (let anim of this._animations) {
+            if ((!owner || anim.region.parent === owner) && which(anim)) anim.cancel();
+        }
+        this._animations = this._animations.filter((anim) => !anim.finished);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Step each of our animations, then make the onDone callbacks for those which 
+    // have finished (after they are removed, so callbacks can start new ones).  
+    // Damage is batched while this is done.  Exceptions thrown by the callbacks are
+    // handled with Err.handle() so that the rest still run.
+    protected _stepAnimations() {
+        const saveBatching = this._batchingDamage;
+        this._batchingDamage = true;
+
+        try {
+            const done = this._animations.filter((anim) => anim.step());
+            this._animations = this._animations.filter((anim) => !anim.finished);
+            for (let anim of done) {
+                try {
+                    anim.onDone?.();
+                } catch (err) {
+                    Err.handle(err, 0, "in animation completion:");
+                }
+            }
+        } finally {
+            this._batchingDamage = saveBatching;
         }
     }
 
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Bring the display up to date immediately, redrawing any accumulated damage now
+    // rather than at the next frame.  This does nothing if there is no damage, or if
+    // called while a redraw is in progress.
+    public flush() {
+        if (this._redrawing) return;
+        this._cancelFrame();
+        if (this._damageRects.length > 0) this._redraw();
+    }
+
      //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
     // Do the work needed to set up set up the event handlers on the associated HTML 
-    // canvas that we will need (onmousedown, onmousemobe, and onmouseup).  All the 
-    // handlers end up calling this._handleCanvaseEvent().
+    // canvas that we will need (onpointerdown, onpointermove, onpointerup, 
+    // onpointercancel, and onwheel, along with onkeydown and onkeyup).  All the pointer
+    // handlers end up calling this._handleCanvaseEvent(), the wheel handler 
+    // this._handleWheelEvent(), and the key handlers this._handleKeyEvent().
     protected _setupCanvasInputHandlers() {
         // set event handlers (using arrow functions so "this" is captured correctly)
-        this.owningCanvas.onmousedown = (evt : MouseEvent ) => {this._handleCanvasEvent(evt);}
-        this.owningCanvas.onmousemove = (evt : MouseEvent ) => {this._handleCanvasEvent(evt);}
-        this.owningCanvas.onmouseup =   (evt : MouseEvent ) => {this._handleCanvasEvent(evt);}
-    }
-
-    // Bookkeeping for tracking the state of which mouse buttons were down at the last 
-    // MouseEvent event.  We are currently only interested in the primary button, so this
-    // is masked to just include bit #0.  We use this to catch instances where the 
-    // mouse buttion is release outside the canvas, so we never hear about it.  
-    // Specifically, at the point the locator reenters the canvas area, if this indicates 
-    // that the button was down before, but is up now without us having seen the 
-    // corresponding up event, we know we lost (at least one) up event and can generate 
-    // one.
-    protected _lastButtonsState : number = 0;
-
-    // Handler that takes iput events from the canvas object.  These get delivered 
-    // as a simplified form of event to each child object.  We also do extra tracking 
-    // to catch mouseup events which are otherwise lost becasue they happened outside the
-    // canvas, and create an extra event to substitute for them when we re-enter the 
-    // canvas.
-    protected _handleCanvasEvent(evt : MouseEvent) {
+        const canvas = this.owningCanvas;
+        canvas.onpointerdown =   (evt : PointerEvent) => {this._handleCanvasEvent(evt);}
+        canvas.onpointermove =   (evt : PointerEvent) => {this._handleCanvasEvent(evt);}
+        canvas.onpointerup =     (evt : PointerEvent) => {this._handleCanvasEvent(evt);}
+        canvas.onpointercancel = (evt : PointerEvent) => {this._handleCanvasEvent(evt);}
+        canvas.onwheel =         (evt : WheelEvent)   => {this._handleWheelEvent(evt);}
+
+        // the secondary button is delivered as input rather than opening a menu
+        canvas.oncontextmenu = (evt : MouseEvent) => {evt.preventDefault();}
+
+        // keep the browser from treating touches on the canvas as scrolls or zooms
+        if (canvas.style) canvas.style.touchAction = 'none';
+
+        // the canvas only gets key events if it can take the (browser) focus
+        if (this.owningCanvas.tabIndex < 0) this.owningCanvas.tabIndex = 0;
+        this.owningCanvas.onkeydown = (evt : KeyboardEvent) => {this._handleKeyEvent(evt);}
+        this.owningCanvas.onkeyup =   (evt : KeyboardEvent) => {this._handleKeyEvent(evt);}
+    }
+
+    // Bookkeeping for tracking which pointers had their primary button down (or were
+    // in contact, for touch and pen) as of their last event, by pointer id.  Pointers
+    // are captured while down, so we should always see them come up.  However, in case
+    // capture fails or is lost, we use this to catch instances where the button is 
+    // released without us hearing about it.  Specifically, if a later event for the 
+    // pointer indicates that the button is up without us having seen the corresponding
+    // up event, we know we lost the up event and can generate one.
+    protected _pointersDown = new Set<number>();
+
+    // Bookkeeping for the most recent press, used to compute click counts
+    protected _lastPress : 
+        {time : number, x : number, y : number, button : number, id : number, 
+         clicks : number} | undefined = undefined;
+
+    // Handler that takes input events from the canvas object.  These get delivered 
+    // as a simplified form of event to each child object.  We also capture pointers 
+    // while they are down, and do extra tracking to catch pointerup events which are
+    // otherwise lost, creating an extra event to substitute for them.
+    protected _handleCanvasEvent(evt : PointerEvent) {
         const saveBatching = this._batchingDamage;
         this._batchingDamage = true;
 
-        // monitor buttons looking for lost up events that happened outside the canvas
-        // mask those buttons because we are only interested in the main button
-        const newButtonsState = evt.buttons & (1 << 0);  
-
-        // button was down, and now is up
-        if (this._lastButtonsState === 1 && newButtonsState === 0) {  
-            // unless this is accounted for by this event, we lost the up somewhere
-            if (!(evt.type === 'mouseup' && evt.button === 0)) {
-                // make a new up event as a copy of our event
-                const missingEvt : MouseEvent = new MouseEvent('mouseup', evt);
+        // monitor the primary button looking for lost up events
+        const wasDown = this._pointersDown.has(evt.pointerId);
+        const isDown = (evt.buttons & (1 << 0)) !== 0;
+        const endsPress = (evt.type === 'pointerup' || evt.type === 'pointercancel');
+        if (wasDown && !isDown && !endsPress) {
+            // make a new up event as a copy of our event and dispatch it to all 
+            // children (in reverse of drawn order)
+            const missingEvt = {...this._eventFields(evt), type: 'pointerup', button: 0};
+            for (let chIndx = this.children.length-1; chIndx >= 0; chIndx--) {
+                this._dispatchToChild(missingEvt, this.children[chIndx]);
+            }
+        }
 
-                // and dispatch it to all children (in reverse of drawn order)
-                for (let chIndx = this.children.length-1; chIndx >= 0; chIndx--) {
-                    this._dispatchToChild(missingEvt, this.children[chIndx]);
-                }
+        // update our tracking, and capture pointers which go down so we continue to 
+        // get their events outside the canvas
+        if (evt.type === 'pointerdown' && evt.button === 0) {
+            this._pointersDown.add(evt.pointerId);
+            try {
+                this.owningCanvas.setPointerCapture?.(evt.pointerId);
+            } catch (err) {
+                // the pointer is no longer active, so there is nothing to capture
             }
+        } else if (!isDown || endsPress) {
+            this._pointersDown.delete(evt.pointerId);
         }
-        // update our tracking
-        this._lastButtonsState = evt.buttons & (1<<0);
+
+        // a press gives the keyboard focus to the top-most child with a region under it
+        if (evt.type === 'pointerdown' && evt.button === 0) this._focusFromPress(evt);
+
+        // count clicks for presses
+        const clicks = (evt.type === 'pointerdown') ? this._countClicks(evt) : 1;
 
         // dispatch the event to each child object (in reverse of drawn order)
         for (let chIndx = this.children.length-1; chIndx >= 0; chIndx--) {
-            this._dispatchToChild(evt, this.children[chIndx]);
+            this._dispatchToChild(evt, this.children[chIndx], clicks);
         }
 
         this._batchingDamage = saveBatching;
@@ -200,13 +570,107 @@ export class Root {
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
+    // Compute the click count for the given press event: one more than the count for
+    // the previous press if this one is of the same button from the same pointer, close
+    // enough in time and location to it, and 1 otherwise.
+    protected _countClicks(evt : PointerEvent) : number {
+        const last = this._lastPress;
+        let clicks = 1;
+        if (last && last.button === evt.button && last.id === evt.pointerId &&
+            evt.timeStamp - last.time <= Root.doubleClickTime &&
+            Math.abs(evt.offsetX - last.x) <= Root.doubleClickDistance &&
+            Math.abs(evt.offsetY - last.y) <= Root.doubleClickDistance) 
+        {
+            clicks = last.clicks + 1;
+        }
+        this._lastPress = {time: evt.timeStamp, x: evt.offsetX, y: evt.offsetY, 
+                           button: evt.button, id: evt.pointerId, clicks};
+        return clicks;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Handler that takes wheel events from the canvas object, delivering them to each 
+    // child object (in reverse of drawn order) along with the distances scrolled.
+    protected _handleWheelEvent(evt : WheelEvent) {
+        const saveBatching = this._batchingDamage;
+        this._batchingDamage = true;
+
+        for (let chIndx = this.children.length-1; chIndx >= 0; chIndx--) {
+            const ch = this.children[chIndx];
+            ch.dispatchRawEvent('wheel', evt.offsetX - ch.x, evt.offsetY - ch.y, undefined,
+                                FSMEvent.modifiersOf(evt), mousePointer, 
+                                {deltaX: evt.deltaX, deltaY: evt.deltaY});
+        }
+
+        this._batchingDamage = saveBatching;
+        this._damageResponse();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Give the keyboard focus to the top-most interactor in the tree which has at least
+    // one region under the location of the given (press) event.  If there is no such 
+    // interactor, the focus is left where it was.
+    protected _focusFromPress(evt : PointerEvent) {
+        for (let chIndx = this.children.length-1; chIndx >= 0; chIndx--) {
+            const ch = this.children[chIndx];
+            const picked = ch.pickTree(evt.offsetX - ch.x, evt.offsetY - ch.y);
+            const owner = picked[0]?.parent?.parent;
+            if (owner) {
+                this.setFocus(owner);
+                return;
+            }
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Handler that takes key events from the canvas object.  Tab (and Shift-Tab) key 
+    // downs are consumed here to cycle the keyboard focus among our child objects.  
+    // All other key events are delivered to the child with the focus (if any).
+    protected _handleKeyEvent(evt : KeyboardEvent) {
+        const saveBatching = this._batchingDamage;
+        this._batchingDamage = true;
+
+        if (evt.key === 'Tab') {
+            // keep the browser from moving its focus off the canvas
+            evt.preventDefault();
+            if (evt.type === 'keydown') this.focusNext(evt.shiftKey);
+        } else if (this._focus) {
+            const what = (evt.type === 'keydown') ? 'key_down' : 'key_up';
+            this._focus.dispatchRawEvent(what, 0, 0, evt.key, FSMEvent.modifiersOf(evt));
+        }
+
+        this._batchingDamage = saveBatching;
+        this._damageResponse();
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+ 
+    // Pick out the parts of a pointer event that we use for dispatch
+    protected _eventFields(evt : PointerEvent) : PointerEventFields {
+        return {
+            type: evt.type, button: evt.button, offsetX: evt.offsetX, offsetY: evt.offsetY,
+            pointerId: evt.pointerId, pointerType: evt.pointerType,
+            shiftKey: evt.shiftKey, ctrlKey: evt.ctrlKey, altKey: evt.altKey, 
+            metaKey: evt.metaKey
+        };
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
  
     // Dispatch a simplified form of event to one child object.  Simplified events
-    // are of three types press, move, and release, where press and release are of the 
-    // primary locator button only.  Simplified events are represented by an event 
-    // type string and a location (expressed in the coordinates of the child being 
-    // dispatched to).
-    protected _dispatchToChild(evt: MouseEvent, toChild : FSMInteractor) {
+    // are of three types press, move, and release (a cancelled pointer is treated as 
+    // released).  Simplified events are represented by an event type string and a 
+    // location (expressed in the coordinates of the child being dispatched to), along
+    // with the modifiers, the pointer involved, and the button and click count (for
+    // presses and releases).
+    protected _dispatchToChild(
+        evt     : PointerEventFields, 
+        toChild : FSMInteractor,
+        clicks  : number = 1) 
+    {
 
         // get the position in child's coordinates
         const childX : number = evt.offsetX - toChild.x;
@@ -216,17 +680,19 @@ export class Root {
 
         // set kind for events we want, bail out for any others
         switch (evt.type) {
-            case 'mousedown': 
-                if (evt.button !== 0) return
+            case 'pointerdown': 
                 evtKind = 'press';
             break;
 
-            case 'mouseup': 
-                if (evt.button !== 0) return;
+            case 'pointerup': 
                 evtKind = 'release';
            break;
 
-            case 'mousemove':
+            case 'pointercancel':
+                evtKind = 'release';
+            break;
+
+            case 'pointermove':
                 evtKind = 'move';
             break;
 
@@ -234,7 +700,12 @@ export class Root {
                 return;
         }
 
-        toChild.dispatchRawEvent(evtKind, childX, childY)
+        // moves don't involve a button (browsers report -1 for these)
+        const details = (evtKind === 'move') ? {} : 
+            {button: Math.max(evt.button, 0), clicks: (evtKind === 'press') ? clicks : 1};
+        toChild.dispatchRawEvent(evtKind, childX, childY, undefined, 
+                                 FSMEvent.modifiersOf(evt), FSMEvent.pointerOf(evt),
+                                 details);
     }
 
      //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
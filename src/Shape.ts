@@ -0,0 +1,243 @@
+import { Err } from "./Err.js";
+import { Check } from "./Check.js";
+import { Rect } from "./Rect.js";
+
+//===================================================================
+// Class for objects describing the shape of the area of a region which responds to
+// input (see Region.pick()).  Shapes are given in the local coordinates of the region,
+// and are one of:
+//   * rect         the bounding box of the region (0..w, 0..h).  This is the default.
+//   * ellipse      the ellipse inscribed in the bounding box of the region
+//   * polygon      the polygon with the given list of corner points (using the even-odd
+//                  rule, so self-intersecting polygons have holes).  Polygons are not
+//                  limited to the bounding box of the region.
+//   * image_alpha  the parts of the bounding box where the image of the region is at
+//                  least as opaque as the given threshold (from 0 for fully transparent
+//                  to 1 for fully opaque; defaulting to 0.5).  The image is sampled with
+//                  the function installed as Region.alphaSampler.  When the image is
+//                  not loaded, or can't be sampled (e.g., a cross-origin image in the
+//                  browser), the bounding box is used instead.
+// In json, a shape is given either as just its kind (e.g., "ellipse"), or as an object
+// with the kind along with its points (a list of [x, y] pairs) or threshold, e.g.,
+// {"kind": "polygon", "points": [[0,0], [40,0], [20,30]]}.
+//===================================================================
+
+// Kinds of shape, along with corresponding strings
+export type ShapeKind = 'rect' | 'ellipse' | 'polygon' | 'image_alpha';
+const shapeKindStrings = ['rect', 'ellipse', 'polygon', 'image_alpha'];
+
+// Type for a shape as represented in json
+export type Shape_json = ShapeKind | {
+    kind       : ShapeKind,
+    points?    : [number, number][],
+    threshold? : number
+};
+
+// Type for functions which sample the opacity of an image at a given pixel position,
+// producing a value from 0 (transparent) to 1 (opaque), or undefined if the image
+// can't be sampled
+export type AlphaSampler = (img : HTMLImageElement, x : number, y : number)
+                                                                    => number | undefined;
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class Shape {
+
+    public constructor(
+        kind      : ShapeKind = 'rect',
+        points    : readonly {x : number, y : number}[] = [],
+        threshold : number = 0.5)
+    {
+        this._kind = kind;
+        this._points = points.map((pt) => ({x: pt.x, y: pt.y}));
+        this._threshold = threshold;
+    }
+
+    // Construct a Shape from its json form, checking all the parts (since data coming
+    // from json parsing lives in javascript land and may not actually be typed at
+    // runtime as we think/hope it is).  Problems are reported with Err.emit() (using
+    // the given location string in the message) and patched up with defaults.
+    public static fromJson(shape : Shape_json | undefined, errLoc : string) : Shape {
+        if (shape === undefined) return new Shape();
+        if (typeof shape === 'string') {
+            const kind = Check.limitedString<ShapeKind>(shape, shapeKindStrings, 'rect',
+                                                        errLoc);
+            if (kind === 'polygon') Err.emit(`Polygon shape has no points in ${errLoc}`);
+            return new Shape(kind === 'polygon' ? 'rect' : kind);
+        }
+        if (typeof shape !== 'object' || shape === null) {
+            Err.emit(`Shape is not a string or object in ${errLoc}`);
+            return new Shape();
+        }
+
+        const kind = Check.limitedString<ShapeKind>(shape.kind, shapeKindStrings, 'rect',
+                                                    errLoc);
+        const threshold = Check.numberVal(shape.threshold ?? 0.5, errLoc);
+        if (threshold < 0 || threshold > 1) {
+            Err.emit(`Alpha threshold ${threshold} is not between 0 and 1 in ${errLoc}`);
+        }
+        let points : {x : number, y : number}[] = [];
+        if (kind === 'polygon') {
+            if (!Array.isArray(shape.points)) {
+                Err.emit(`Polygon shape has no list of points in ${errLoc}`);
+                return new Shape();
+            }
+            for (let pt of shape.points) {
+                if (!Array.isArray(pt) || pt.length !== 2 ||
+                    typeof pt[0] !== 'number' || typeof pt[1] !== 'number')
+                {
+                    Err.emit(`Polygon point ${JSON.stringify(pt)} is not an [x, y]` +
+                             ` pair of numbers in ${errLoc}`);
+                    return new Shape();
+                }
+                points.push({x: pt[0], y: pt[1]});
+            }
+            if (points.length < 3) {
+                Err.emit(`Polygon shape has fewer than 3 points in ${errLoc}`);
+                return new Shape();
+            }
+        }
+        return new Shape(kind, points, Math.min(1, Math.max(0, threshold)));
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // The kind of shape
+    protected _kind : ShapeKind;
+    public get kind() {return this._kind;}
+
+    // Corner points of a polygon (empty for other kinds)
+    protected _points : {x : number, y : number}[];
+    public get points() : readonly {x : number, y : number}[] {return this._points;}
+
+    // The opacity at or above which an image_alpha shape counts as inside
+    protected _threshold : number;
+    public get threshold() {return this._threshold;}
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Indicate whether the given position (in region local coordinates) is inside this
+    // shape, for a region of the given size.  For image_alpha shapes, the opacity of
+    // the image at the position is found with the given function (which produces
+    // undefined if there is no image to sample).
+    public contains(
+        x       : number,
+        y       : number,
+        w       : number,
+        h       : number,
+        alphaAt : (x : number, y : number) => number | undefined = () => undefined)
+                                                                            : boolean
+    {
+        const inBox = 0 <= x && x <= w && 0 <= y && y <= h;
+        switch (this._kind) {
+            case 'ellipse': {
+                if (w <= 0 || h <= 0) return false;
+                const dx = (x - w/2) / (w/2), dy = (y - h/2) / (h/2);
+                return dx*dx + dy*dy <= 1;
+            }
+            case 'polygon':
+                return this._polygonContains(x, y);
+            case 'image_alpha': {
+                if (!inBox) return false;
+                const alpha = alphaAt(x, y);
+                return (alpha === undefined) || alpha >= this._threshold;
+            }
+            default:
+                return inBox;
+        }
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Test a point against our polygon with the even-odd rule: count the edges crossed
+    // by a ray from the point heading in the +x direction
+    protected _polygonContains(x : number, y : number) : boolean {
+        const pts = this._points;
+        let inside = false;
+        for (let i = 0, j = pts.length-1; i < pts.length; j = i++) {
+            const a = pts[i], b = pts[j];
+            if ((a.y > y) !== (b.y > y) &&
+                x < a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // The area covered by this shape for a region of the given size (in region local
+    // coordinates).  This is the bounding box except for polygons.
+    public bounds(w : number, h : number) : Rect {
+        if (this._kind !== 'polygon' || this._points.length === 0) return {x: 0, y: 0, w, h};
+        const xs = this._points.map((pt) => pt.x), ys = this._points.map((pt) => pt.y);
+        const x = Math.min(...xs), y = Math.min(...ys);
+        return {x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y};
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Add the outline of this shape, for a region of the given size, to the current
+    // path of the given drawing context (which should be in region local coordinates).
+    // The outline of an image_alpha shape is the bounding box.
+    public addPath(ctx : CanvasRenderingContext2D, w : number, h : number) : void {
+        if (this._kind === 'ellipse') {
+            ctx.ellipse(w/2, h/2, w/2, h/2, 0, 0, 2*Math.PI);
+        } else if (this._kind === 'polygon') {
+            this._points.forEach((pt, i) => {
+                if (i === 0) {
+                    ctx.moveTo(pt.x, pt.y);
+                } else {
+                    ctx.lineTo(pt.x, pt.y);
+                }
+            });
+            ctx.closePath();
+        } else {
+            ctx.rect(0, 0, w, h);
+        }
+    }
+
+    //-------------------------------------------------------------------
+    // Debugging Support
+    //-------------------------------------------------------------------
+
+    // Create a short human readable string representing this object for debugging
+    public debugTag() : string {
+        return `Shape(${this._kind})`;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Create a human readable string displaying this object for debugging purposes
+    public debugString(indent : number = 0) : string {
+        let result = "";
+        const indentStr = '  ';  // two spaces per indent level
+
+        // produce the indent
+        for (let i = 0; i < indent; i++) result += indentStr;
+
+        result += this._kind;
+        if (this._kind === 'polygon') {
+            result += `[${this._points.map((pt) => `${pt.x},${pt.y}`).join(' ')}]`;
+        }
+        if (this._kind === 'image_alpha') result += ` threshold:${this._threshold}`;
+
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Log a human readable string for this object to the console
+    public dump() {
+        console.log(this.debugString());
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+} // end class Shape
+
+//===================================================================
@@ -4,6 +4,7 @@ import { Region } from "./Region.js";
 import { Transition, Transition_json } from "./Transition.js";
 import { Err } from "./Err.js";
 import { Check } from "./Check.js";
+import { Action, Action_json } from "./Action.js";
 
 
 //===================================================================
@@ -12,19 +13,62 @@ import { Check } from "./Check.js";
 // those.  Overall objects of this class primarily just hold the data structure 
 // together, but don't do much on their own.  
 //
+// States may also be composite (statechart style): containing a list of substates.
+// Whenever a composite state is active, so are some of its substates:
+//   * for a normal composite state exactly one substate is active at a time.  On 
+//     entry this is the initial substate (named by the initial property, or the first 
+//     substate if that is not given).
+//   * for a parallel composite state, all of its substates are active at once, each
+//     acting as an independent (orthogonal) region of the machine.
+// Transitions out of a composite state are inherited by its substates, but the 
+// transitions of the innermost (most deeply nested) active state are considered first.
+// State names must be unique across the whole FSM (at all levels of nesting) so that 
+// transitions can target any state by name.
+//
+// States may also carry lists of entry and exit actions.  Entry actions are executed
+// whenever the state is entered (including when the FSM is first set up or reset), and 
+// exit actions whenever it is left.  When a transition is taken, the exit actions of 
+// the states being left are executed first, then the actions of the transition itself,
+// and finally the entry actions of the states being entered.
+//
 // This class supports construction from (part of) a .json file using the fromJson() 
 // static method.  This method expects (but dynamically type checks) a State_json typed 
 // object which has been reconstructed from json encoded data.
 //===================================================================
 
-export type State_json = {name: string, transitions: Transition_json[]};
+export type State_json = {
+    name       : string, 
+    transitions: Transition_json[],
+    substates? : State_json[],
+    initial?   : string,
+    parallel?  : boolean,
+    onEntry?   : Action_json[],
+    onExit?    : Action_json[]};
 
 //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
 export class State {
-    public constructor(name : string, transitions : Transition[]) {
+    public constructor(
+        name        : string, 
+        transitions : Transition[],
+        substates   : State[] = [],
+        initialName : string = "",
+        parallel    : boolean = false,
+        onEntry     : Action[] = [],
+        onExit      : Action[] = []) 
+    {
         this._name = name;
         this._transitions = transitions;
+        this._substates = substates;
+        this._initialName = initialName;
+        this._parallel = parallel;
+        this._onEntry = onEntry;
+        this._onExit = onExit;
+        this._parent = undefined;
+        this._initial = undefined;  // established by bindInitial()
+
+        // link our substates back to us
+        for (let sub of substates) sub._parent = this;
     }
 
     // Construct a State from a State_json object, checking all the parts (since data 
@@ -40,7 +84,26 @@ export class State {
                 transitions.push(Transition.fromJson(trans));
             }
         }
-        return new State(name, transitions);
+
+        // substates are optional (and their absence makes this a simple state)
+        let substates : State[] = [];
+        if (state.substates !== undefined) {
+            if (!Array.isArray(state.substates)) {
+                Err.emit("Substate list is not an array in State.fromJson()");
+            } else {
+                for (let sub of state.substates) {
+                    substates.push(State.fromJson(sub));
+                }
+            }
+        }
+        const initial = Check.stringVal(state.initial ?? "", "State.fromJson{initial:}");
+        const parallel = Check.simpleType<boolean>(
+                       state.parallel ?? false, 'boolean', false, "State.fromJson{parallel:}");
+
+        const onEntry = Action.listFromJson(state.onEntry, "State.fromJson{onEntry:}");
+        const onExit = Action.listFromJson(state.onExit, "State.fromJson{onExit:}");
+
+        return new State(name, transitions, substates, initial, parallel, onEntry, onExit);
     }  
  
     //-------------------------------------------------------------------
@@ -54,7 +117,86 @@ export class State {
     // List of transitions out of this state.
     protected _transitions : Transition[];
     public get transitions() : readonly Transition[] {return this._transitions;}
+
+    // Actions executed whenever this state is entered
+    protected _onEntry : Action[];
+    public get onEntry() : readonly Action[] {return this._onEntry;}
+
+    // Actions executed whenever this state is exited
+    protected _onExit : Action[];
+    public get onExit() : readonly Action[] {return this._onExit;}
+
+    // List of substates of this state (empty for simple states)
+    protected _substates : State[];
+    public get substates() : readonly State[] {return this._substates;}
+
+    // Is this a composite state (one with substates)
+    public get isComposite() : boolean {return this._substates.length > 0;}
+
+    // Are the substates of this state all active at once (as parallel regions)
+    protected _parallel : boolean;
+    public get parallel() {return this._parallel;}
+
+    // The composite state this state is a substate of (undefined for top level states)
+    protected _parent : State | undefined;
+    public get parent() {return this._parent;}
+
+    // The name of the initial substate of this state ("" indicates the first substate)
+    protected _initialName : string;
+    public get initialName() {return this._initialName;}
+
+    // The substate entered by default when this (non-parallel composite) state is 
+    // entered.  This is established by bindInitial().
+    protected _initial : State | undefined;
+    public get initial() {return this._initial;}
+
+    // Full name of this state including the names of all its enclosing states 
+    // (e.g., "outer/inner")
+    public get path() : string {
+        return (this._parent ? this._parent.path + '/' : '') + this._name;
+    }
         
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Determine if this state is (properly) nested somewhere inside the given state
+    public isDescendantOf(other : State) : boolean {
+        for (let anc = this._parent; anc; anc = anc._parent) {
+            if (anc === other) return true;
+        }
+        return false;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce a list of this state followed by all of its substates (recursively), 
+    // in the order they were declared (i.e., a pre-order traversal).
+    public allStates() : State[] {
+        let result : State[] = [this];
+        for (let sub of this._substates) result = result.concat(sub.allStates());
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Find the substate named as our initial state and assign it to this._initial.
+    // If no initial state was named, the first substate is used.  If the name does
+    // not match any substate an error message is generated with Err.emit() and we 
+    // also fall back to the first substate.
+    public bindInitial() : void {
+        this._initial = this._substates[0];
+        if (this._initialName === "") return;
+
+        for (let sub of this._substates) {
+            if (sub.name === this._initialName) {
+                this._initial = sub;
+                return;
+            }
+        }
+        Err.emit(`Initial state '${this._initialName}' of state '${this._name}'` + 
+                 ' does not match any of its substates.');
+    }
    
     //-------------------------------------------------------------------
     // Debugging Support
@@ -75,12 +217,32 @@ export class State {
         // produce the indent
         for (let i = 0; i < indent; i++) result += indentStr;
 
-        result += `State ${this.name}\n`;
+        result += `State ${this.name}`;
+        if (this.parallel) result += " parallel";
+        if (this.initial) result += ` initial:${this.initial.name}`;
+        result += "\n";
+        if (this.onEntry.length > 0) {
+            for (let i = 0; i < indent; i++) result += indentStr;
+            result += `  OnEntry[${this.onEntry.length}]:\n`;
+            for (let act of this.onEntry) result += act.debugString(indent+2) + '\n';
+        }
+        if (this.onExit.length > 0) {
+            for (let i = 0; i < indent; i++) result += indentStr;
+            result += `  OnExit[${this.onExit.length}]:\n`;
+            for (let act of this.onExit) result += act.debugString(indent+2) + '\n';
+        }
         for (let i = 0; i < indent; i++) result += indentStr;
         result += `  Transitions[${this.transitions.length}]:\n`;
         for (let tran of this.transitions) {
             result += tran.debugString(indent+2);
         }
+        if (this.isComposite) {
+            for (let i = 0; i < indent; i++) result += indentStr;
+            result += `  Substates[${this.substates.length}]:\n`;
+            for (let sub of this.substates) {
+                result += sub.debugString(indent+2);
+            }
+        }
         
         return result;
     }
@@ -0,0 +1,239 @@
+import { Err } from "./Err.js";
+import { Check } from "./Check.js";
+import { FSM } from "./FSM.js";
+import { Modifiers, PointerInfo, PointerType, pointerTypeStrings, mousePointer, 
+         InputDetails } from "./FSMEvent.js";
+
+//===================================================================
+// Classes and types for recording the "raw" input delivered to an FSMInteractor (see
+// FSMInteractor.dispatchRawEvent()) along with the FSM configurations that resulted
+// from it.  A recorded trace can be saved as json, and later replayed against the
+// same FSM (see FSMInteractor.replayTrace()) in order to check that the FSM still
+// passes through the same sequence of states.  This provides a simple means of
+// regression testing FSM descriptions.
+//
+// Each recorded event holds the raw event type, its position (in the local
+// coordinates of the interactor), its time (in milliseconds since the recording
+// started, as measured by the FSM's clock), the key for key events, the modifier keys
+// held down (if any), the pointer it came from (if not the mouse), its input details
+// (button, click count, and wheel distances; if any), and the configuration of the 
+// FSM (the paths of all its active states) after the event was dispatched.  The 
+// trace also holds the configuration before the first event, and optionally the 
+// location the FSM was loaded from.
+//===================================================================
+
+// Types of "raw" events delivered to interactors
+export type RawEventType = 'press' | 'move' | 'release' | 'key_down' | 'key_up' | 'wheel';
+const rawEventTypeStrings = ['press', 'move', 'release', 'key_down', 'key_up', 'wheel'];
+
+// Type for one event in a trace (in both its json and object forms)
+export type TraceEvent_json = {
+    what       : RawEventType,
+    x          : number,
+    y          : number,
+    t          : number,
+    key?       : string,
+    modifiers? : Modifiers,
+    pointer?   : PointerInfo,
+    details?   : InputDetails,
+    states     : string[]
+};
+
+// Type for an entire trace as represented in json
+export type Trace_json = {
+    fsm?    : string,
+    initial : string[],
+    events  : TraceEvent_json[]
+};
+
+//. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+export class Trace {
+
+    public constructor(
+        initial   : string[] = [],
+        events    : TraceEvent_json[] = [],
+        fsmLoc    : string = "")
+    {
+        this._initial = initial;
+        this._events = events;
+        this._fsmLoc = fsmLoc;
+    }
+
+    // Construct a Trace from the json form, checking it as we go
+    public static fromJson(trace : Trace_json) : Trace {
+        const fsmLoc = Check.stringVal(trace.fsm ?? "", "Trace.fromJson{fsm:}");
+        const initial = Check.arrayofSimpleType<string>(
+                            trace.initial, 'string', [], "Trace.fromJson{initial:}");
+        let events : TraceEvent_json[] = [];
+        if (Array.isArray(trace.events)) {
+            trace.events.forEach((evt, i) => {
+                const loc = `Trace.fromJson{events[${i}]}`;
+                const what = Check.limitedString<RawEventType | undefined>(
+                                        evt.what, rawEventTypeStrings, undefined, loc);
+                if (what === undefined) return;
+                const key = (evt.key === undefined) ? undefined : Check.stringVal(evt.key, loc);
+                const mods = evt.modifiers;
+                const modifiers = (mods === undefined) ? undefined : {
+                    shift: Check.simpleType<boolean>(mods.shift ?? false, 'boolean', false, loc),
+                    ctrl:  Check.simpleType<boolean>(mods.ctrl ?? false, 'boolean', false, loc),
+                    alt:   Check.simpleType<boolean>(mods.alt ?? false, 'boolean', false, loc),
+                    meta:  Check.simpleType<boolean>(mods.meta ?? false, 'boolean', false, loc)
+                };
+                const ptr = evt.pointer;
+                const pointer = (ptr === undefined) ? undefined : {
+                    id:   Check.numberVal(ptr.id, loc),
+                    type: Check.limitedString<PointerType>(
+                                            ptr.type, pointerTypeStrings, 'mouse', loc)
+                };
+                const det = evt.details;
+                const details = (det === undefined) ? undefined : {
+                    button: Check.numberVal(det.button ?? 0, loc),
+                    clicks: Check.numberVal(det.clicks ?? 1, loc),
+                    deltaX: Check.numberVal(det.deltaX ?? 0, loc),
+                    deltaY: Check.numberVal(det.deltaY ?? 0, loc)
+                };
+                events.push({
+                    what,
+                    x: Check.numberVal(evt.x, loc),
+                    y: Check.numberVal(evt.y, loc),
+                    t: Check.numberVal(evt.t ?? 0, loc),
+                    key,
+                    modifiers,
+                    pointer,
+                    details,
+                    states: Check.arrayofSimpleType<string>(evt.states, 'string', [], loc)
+                });
+            });
+        } else {
+            Err.emit("Event list is not an array in Trace.fromJson{events:}");
+        }
+        return new Trace(initial, events, fsmLoc);
+    }
+
+    //-------------------------------------------------------------------
+    // Properties
+    //-------------------------------------------------------------------
+
+    // Configuration of the FSM when the trace started
+    protected _initial : string[];
+    public get initial() : readonly string[] {return this._initial;}
+
+    // Events recorded, in order
+    protected _events : TraceEvent_json[];
+    public get events() : readonly TraceEvent_json[] {return this._events;}
+
+    // Location that the FSM the trace was recorded from was loaded from ("" if unknown)
+    protected _fsmLoc : string;
+    public get fsmLoc() {return this._fsmLoc;}
+
+    //-------------------------------------------------------------------
+    // Methods
+    //-------------------------------------------------------------------
+
+    // Produce the configuration of the given FSM in the form recorded in traces: the
+    // paths of its active states
+    public static configurationOf(fsm : FSM) : string[] {
+        return fsm.activeStates.map((st) => st.path);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Add an event to the end of the trace, recording the configuration of the given
+    // FSM as the one resulting from it
+    public record(
+        what       : RawEventType,
+        x          : number,
+        y          : number,
+        t          : number,
+        key        : string | undefined,
+        fsm        : FSM,
+        modifiers? : Readonly<Modifiers>,
+        pointer?   : Readonly<PointerInfo>,
+        details?   : Readonly<InputDetails>) : void
+    {
+        const evt : TraceEvent_json = {what, x, y, t, states: Trace.configurationOf(fsm)};
+        if (key !== undefined) evt.key = key;
+        const mods = modifiers;
+        if (mods && (mods.shift || mods.ctrl || mods.alt || mods.meta)) evt.modifiers = {...mods};
+        if (pointer && (pointer.type !== 'mouse' || pointer.id !== mousePointer.id)) {
+            evt.pointer = {...pointer};
+        }
+        if (details) {
+            // only record the details which differ from their defaults
+            const det : InputDetails = {};
+            if (details.button) det.button = details.button;
+            if (details.clicks !== undefined && details.clicks !== 1) {
+                det.clicks = details.clicks;
+            }
+            if (details.deltaX) det.deltaX = details.deltaX;
+            if (details.deltaY) det.deltaY = details.deltaY;
+            if (Object.keys(det).length > 0) evt.details = det;
+        }
+        this._events.push(evt);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Produce the json form of this trace (suitable for JSON.stringify())
+    public toJson() : Trace_json {
+        const result : Trace_json = {initial: [...this._initial], events: [...this._events]};
+        if (this._fsmLoc) result.fsm = this._fsmLoc;
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Compare an expected configuration against the actual configuration of the
+    // given FSM, returning a message describing the difference (or "" if they match)
+    public static compareConfiguration(expected : readonly string[], fsm : FSM) : string {
+        const actual = Trace.configurationOf(fsm);
+        if (actual.length === expected.length &&
+            actual.every((path, i) => path === expected[i])) {
+            return "";
+        }
+        return `expected [${expected.join(', ')}] but found [${actual.join(', ')}]`;
+    }
+
+    //-------------------------------------------------------------------
+    // Debugging Support
+    //-------------------------------------------------------------------
+
+    // Create a short human readable string representing this object for debugging
+    public debugTag() : string {
+        return `Trace(${this._events.length} events)`;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Create a human readable string displaying this object for debugging purposes
+    public debugString(indent : number = 0) : string {
+        let result = "";
+        const indentStr = '  ';  // two spaces per indent level
+
+        // produce the indent
+        let indentAll = "";
+        for (let i = 0; i < indent; i++) indentAll += indentStr;
+
+        result += `${indentAll}Trace${this._fsmLoc ? ` of ${this._fsmLoc}` : ""}\n`;
+        result += `${indentAll}${indentStr}initial: [${this._initial.join(', ')}]\n`;
+        for (let evt of this._events) {
+            result += `${indentAll}${indentStr}@${evt.t} ${evt.what}(${evt.x},${evt.y})`;
+            if (evt.key !== undefined) result += ` key:${evt.key}`;
+            result += ` -> [${evt.states.join(', ')}]\n`;
+        }
+
+        return result;
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+    // Log a human readable string for this object to the console
+    public dump() {
+        console.log(this.debugString());
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+} // end class Trace
+
+//===================================================================
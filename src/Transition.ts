@@ -2,8 +2,10 @@ import { EventSpec_json, EventSpec, EventType } from "./EventSpec.js";
 import { ActionType, Action_json, Action } from "./Action.js";
 import { Region } from "./Region.js";
 import { State } from "./State.js";
+import { FSMEvent } from "./FSMEvent.js";
 import { Err } from "./Err.js";
 import { Check } from "./Check.js"; 
+import { Expression, VarValue } from "./Expression.js";
 
 //===================================================================
 // Class to represent a single transition within a finite state machine (FSM).
@@ -11,7 +13,10 @@ import { Check } from "./Check.js";
 // be considered to match this transition, a list of actions to be performed when 
 // the transition is "taken" (or "fired"), and a state to move the FSM to as 
 // a result of taking the transition.  See EventSpec for more details on how 
-// events are matches, and Action for what actions are available.  
+// events are matches, and Action for what actions are available.  A transition may
+// also have an optional guard expression over the variables of the FSM (see the
+// Expression class).  A transition with a guard is only taken when its event matches 
+// and the guard evaluates to true.
 //
 // This class supports construction from (part of) a .json file using the fromJson() 
 // static method.  This method expects (but dynamically type checks) a Transition_json 
@@ -19,18 +24,28 @@ import { Check } from "./Check.js";
 //===================================================================
 
 // Simple type we are expecting from a json encoding for an object of this class
-export type Transition_json = {target: string, onEvent: EventSpec_json, actions: Action_json[] };
+export type Transition_json = {
+    target  : string, 
+    onEvent : EventSpec_json, 
+    actions : Action_json[],
+    guard?  : string};
 
 //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
 export class Transition {
-    public constructor(targetName : string, onEvt : EventSpec, actions : Action[])
+    public constructor(
+        targetName : string, 
+        onEvt      : EventSpec, 
+        actions    : Action[], 
+        guard?     : Expression | string)
     {
         // handle variant parameters
+        if (typeof guard === 'string') guard = new Expression(guard);
         
         this._targetName = targetName;   
         this._onEvent    = onEvt;
         this._actions    = actions;
+        this._guard      = guard;
         this._target     = undefined;  // gets bound later with bindTarget()
     }
  
@@ -43,17 +58,16 @@ export class Transition {
         const onevt = EventSpec.fromJson(trans.onEvent);
 
         // missing actions are treated as an empty array of actions
-        if (trans.actions === undefined) trans.actions = <Action_json[]>[];
-
-        let actions : Action[] = [];
-        if (!Array.isArray(trans.actions)) {
-            Err.emit("Action list not an array in Transition.fromJson()");
-        } else {
-            for (let act of trans.actions) {
-                actions.push(Action.fromJson(act));
-            }
+        const actions = Action.listFromJson(trans.actions, "Transition.fromJson()");
+
+        // guards are optional, but must be strings if present
+        let guard : Expression | undefined = undefined;
+        if (trans.guard !== undefined) {
+            guard = new Expression(
+                Check.stringVal(trans.guard, "Transition.fromJson{guard:}"));
         }
-        return new Transition(targName, onevt, actions);
+
+        return new Transition(targName, onevt, actions, guard);
     }  
     
     //-------------------------------------------------------------------
@@ -79,26 +93,32 @@ export class Transition {
     // taken/fired.
     protected _actions     : Action[];
     public get actions() : readonly Action[] {return this._actions;}
+
+    // Optional guard expression which must evaluate true for this transition to be
+    // taken (undefined for transitions with no guard).
+    protected _guard : Expression | undefined;
+    public get guard() {return this._guard;}
     
     //-------------------------------------------------------------------
     // Methods 
     //-------------------------------------------------------------------
   
-    // Determine if this transition should be matched by the given event (represented
-    // by an event type and optional region; see EventSpec for details on available
-    // event types and their meaning).
-    public match(evtType : EventType, regn? : Region) : boolean {
+    // Determine if this transition should be matched by the given event (see EventSpec
+    // for details on available event types and their meaning).
+    public match(evt : FSMEvent) : boolean {
            
         // **** YOUR CODE HERE ****
         // check if the event matches the event spec for this transition
-        if (regn) { 
-            return this.onEvent.match(evtType, regn);
-        } else {
-            return this.onEvent.match(evtType);
-        }
+        return this.onEvent.match(evt);
+    }
+
+    //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
 
-        // **** Remove this, it's just here to get this file to compile
-        return false;
+    // Evaluate the guard for this transition against the given FSM variable values.
+    // Transitions without a guard always pass.  Guards which fail to parse never do.
+    public guardPasses(vars : ReadonlyMap<string, VarValue>) : boolean {
+        if (!this._guard) return true;
+        return !!this._guard.evaluate(vars);
     }
     
     //. . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . 
@@ -141,7 +161,9 @@ export class Transition {
         // produce the indent
         for (let i = 0; i < indent; i++) result += indentStr;
 
-        result += `onEvt:${this.onEvent.debugString()} -> ${this.target?.name}\n`;
+        result += `onEvt:${this.onEvent.debugString()}`;
+        if (this.guard) result += ` guard:${this.guard.debugString()}`;
+        result += ` -> ${this.target?.name}\n`;
         for (let i = 0; i < indent; i++) result += indentStr;
         result += `  Actions[${this.actions.length}]:\n`;
         for (let act of this.actions) {
@@ -0,0 +1,49 @@
+//===================================================================
+// Tests for animated changes to regions, run by Root once per frame
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, regionNamed, fire, region, on, act } from "./helpers.mjs";
+import { Animation } from "../out/Animation.js";
+import { Err } from "../out/Err.js";
+
+test("animate_region tweens a region and then reports animation_done", () => {
+    const {fsm, clock, frames} = setup({
+        regions: [region("box")],
+        states: [
+            {name: "still", transitions: [
+                on('press', "box", "moving", 
+                   [act('animate_region', "box", "x=100, y+=20", {duration: 100})])]},
+            {name: "moving", transitions: [on('animation_done', "box", "still")]}]});
+    const box = regionNamed(fsm, "box");
+    fire(fsm, 'press', "box");
+    clock.advance(50);
+    frames.step();
+    assert.deepEqual([box.x, box.y], [50, 10]);
+    assert.equal(fsm.currentState.name, "moving");
+
+    clock.advance(50);
+    frames.step();
+    assert.deepEqual([box.x, box.y], [100, 20]);
+    assert.equal(fsm.currentState.name, "still");
+});
+
+test("a failing completion callback does not stop later redraws", () => {
+    const {fsm, root, clock, frames, recorder} = setup({
+        regions: [region("box")],
+        states: [{name: "start", transitions: []}]});
+    const box = regionNamed(fsm, "box");
+    const anim = new Animation(box, Animation.parseTargets("x=10", "test"), 10, 
+                               'linear', false, clock);
+    anim.onDone = () => {throw new Error("callback failed");};
+    root.addAnimation(anim);
+    Err.handleMethod = 'silent';
+    clock.advance(10);
+    frames.step();
+
+    recorder.clear();
+    box.position = {x: 50, y: 50};
+    frames.step();
+    assert.ok(recorder.ops.length > 0);
+});
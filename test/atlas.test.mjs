@@ -0,0 +1,69 @@
+//===================================================================
+// Tests for regions showing frames of an image atlas, and playing them in sequence
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, region, on, act } from "./helpers.mjs";
+import { Err } from "../out/Err.js";
+
+// Set up a sheet holding two 16x20 frames side by side, and an interactor running the
+// given FSM (if any) which can show them
+function setupSheet(fsmJson) {
+    const env = setup();
+    env.loader.setSize("hero.png", 32, 20);
+    env.loader.setFrameMap("hero.png", {frames: {
+        walk_1: {x: 0, y: 0, w: 16, h: 20},
+        walk_2: {x: 16, y: 0, w: 16, h: 20}}});
+    if (fsmJson) env.inter.loadFromJson(fsmJson);
+    return env;
+}
+
+test("a region showing a frame takes its size and draws only that frame", async () => {
+    const {inter, loader, root, recorder} = setupSheet({
+        regions: [region("hero", {w: -1, h: -1, imageLoc: "hero.png#walk_2"})],
+        states: [{name: "start", transitions: []}]});
+    await loader.settled();
+    const hero = inter.fsm.findRegion("hero");
+    assert.ok(hero.loaded && !hero.loadError);
+    assert.deepEqual([hero.w, hero.h], [16, 20]);
+
+    root.flush();
+    const draws = recorder.opsNamed('drawImage');
+    assert.equal(draws.length, 1);
+    assert.deepEqual(draws[0].args.slice(1, 5), [16, 0, 16, 20]);
+});
+
+test("a frame missing from the frame map is a load error", async () => {
+    const {inter, loader} = setupSheet();
+    Err.handleMethod = 'silent';
+    inter.loadFromJson({
+        regions: [region("hero", {imageLoc: "hero.png#run_1"})],
+        states: [{name: "start", transitions: []}]});
+    await loader.settled();
+    assert.ok(inter.fsm.findRegion("hero").loadError);
+});
+
+test("play_frames steps through frames and then reports animation_done", async () => {
+    const {inter, loader, clock, frames} = setupSheet({
+        regions: [region("hero", {imageLoc: "hero.png#walk_1"})],
+        states: [
+            {name: "still", transitions: [
+                on('press', "hero", "walking", 
+                   [act('play_frames', "hero", "hero.png#walk_1..2", {duration: 200})])]},
+            {name: "walking", transitions: [on('animation_done', "hero", "still")]}]});
+    await loader.settled();
+    const hero = inter.fsm.findRegion("hero");
+    inter.fireEvent('press', "hero");
+    assert.equal(inter.fsm.currentState.name, "walking");
+
+    clock.advance(150);
+    frames.step();
+    await loader.settled();
+    assert.equal(hero.imageLoc, "hero.png#walk_2");
+    assert.equal(inter.fsm.currentState.name, "walking");
+
+    clock.advance(50);
+    frames.step();
+    assert.equal(inter.fsm.currentState.name, "still");
+});
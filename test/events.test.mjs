@@ -0,0 +1,250 @@
+//===================================================================
+// Tests for the events delivered to FSMs, and matching them against the event 
+// specifications of transitions
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, leaves, fire, region, on, act } from "./helpers.mjs";
+import { FSMInteractor } from "../out/FSMInteractor.js";
+
+// A field which is edited until Enter is pressed (over it or with no region)
+const field = {
+    regions: [region("field")],
+    states: [
+        {name: "editing", transitions: [
+            on('key_down', "field", "done", [], {onEvent: {key: "Enter"}}),
+            on('key_up', "", "done", [], {onEvent: {key: "Enter"}}),
+            on('key_down', "field", "editing")]},
+        {name: "done", transitions: []}]};
+
+test("a key event specification only matches its own key", () => {
+    const {fsm} = setup(field);
+    fire(fsm, 'key_down', "field", "a");
+    fire(fsm, 'key_up', "", "a");
+    assert.equal(fsm.currentState.name, "editing");
+    fire(fsm, 'key_down', "field", "Enter");
+    assert.equal(fsm.currentState.name, "done");
+});
+
+test("a key event specification with no region matches key events with none", () => {
+    const {fsm} = setup(field);
+    fire(fsm, 'key_down', "", "Enter");
+    assert.equal(fsm.currentState.name, "editing");
+    fire(fsm, 'key_up', "", "Enter");
+    assert.equal(fsm.currentState.name, "done");
+});
+
+// Keep a list of the events the given FSM acts on
+function watchEvents(fsm) {
+    const seen = [];
+    const actOnEvent = fsm.actOnEvent.bind(fsm);
+    fsm.actOnEvent = (evt, ...rest) => {
+        seen.push(evt);
+        actOnEvent(evt, ...rest);
+    };
+    return seen;
+}
+
+test("events generated from raw input carry its position and time", () => {
+    const {inter, fsm, clock} = setup({
+        regions: [region("button", {x: 10, y: 20})],
+        states: [{name: "start", transitions: []}]});
+    const seen = watchEvents(fsm);
+    clock.advance(500);
+    inter.dispatchRawEvent('press', 15, 22);
+    assert.deepEqual(seen.map((evt) => [evt.type, evt.region.name]), 
+                     [['press', "button"]]);
+    const evt = seen[0];
+    assert.deepEqual([evt.localX, evt.localY, evt.regionX, evt.regionY], [15, 22, 5, 2]);
+    assert.equal(evt.timestamp, 500);
+});
+
+test("key events carry the position of the most recent pointer input", () => {
+    const {inter, fsm} = setup({
+        regions: [region("field")],
+        states: [{name: "start", transitions: []}]});
+    const seen = watchEvents(fsm);
+    inter.dispatchRawEvent('press', 4, 6);
+    inter.dispatchRawEvent('key_down', 0, 0, "a");
+    const evt = seen[seen.length - 1];
+    assert.deepEqual([evt.type, evt.region.name, evt.detail], ['key_down', "field", "a"]);
+    assert.deepEqual([evt.localX, evt.localY], [4, 6]);
+});
+
+test("a pointer type filter only matches events from that kind of pointer", () => {
+    const {inter, fsm} = setup({
+        regions: [region("pad")],
+        states: [
+            {name: "idle", transitions: [
+                on('press', "pad", "drawing", [], {onEvent: {pointerType: "pen"}})]},
+            {name: "drawing", transitions: []}]});
+    inter.dispatchRawEvent('press', 5, 5, undefined, undefined, {id: 2, type: 'touch'});
+    inter.dispatchRawEvent('release', 5, 5, undefined, undefined, {id: 2, type: 'touch'});
+    inter.dispatchRawEvent('press', 5, 5);
+    assert.equal(fsm.currentState.name, "idle");
+    inter.dispatchRawEvent('press', 5, 5, undefined, undefined, {id: 3, type: 'pen'});
+    assert.equal(fsm.currentState.name, "drawing");
+});
+
+test("each pointer gets its own enter and exit events", () => {
+    const {inter, fsm} = setup({
+        regions: [region("a"), region("b", {x: 20})],
+        states: [{name: "start", transitions: []}]});
+    const seen = watchEvents(fsm);
+    const finger = (id) => ({id, type: 'touch'});
+    inter.dispatchRawEvent('move', 5, 5, undefined, undefined, finger(1));
+    inter.dispatchRawEvent('move', 25, 5, undefined, undefined, finger(2));
+    inter.dispatchRawEvent('move', 6, 5, undefined, undefined, finger(1));
+    assert.deepEqual(seen.map((evt) => `${evt.type} ${evt.region.name} ${evt.pointerId}`),
+                     ["enter a 1", "enter b 2", "move_inside a 1"]);
+});
+
+// Counts the kinds of input it gets over its region
+const clicker = {
+    regions: [region("pad")],
+    variables: {presses: 0, doubles: 0, menus: 0, scrolled: 0, shifted: 0},
+    states: [
+        {name: "start", transitions: [
+            on('press', "pad", "start", [act('inc_var', "", "", {var: "shifted"})], 
+               {onEvent: {modifiers: "shift"}}),
+            on('press', "pad", "start", [act('inc_var', "", "", {var: "presses"})],
+               {onEvent: {button: -1}}),
+            on('double_click', "pad", "start", 
+               [act('inc_var', "", "", {var: "doubles"})]),
+            on('context_press', "pad", "start", [act('inc_var', "", "", {var: "menus"})]),
+            on('wheel', "pad", "start", [act('inc_var', "", "", {var: "scrolled"})])]}]};
+
+test("double clicks, context presses, and the wheel produce their own events", () => {
+    const {inter, fsm} = setup(clicker);
+    const press = (details, modifiers) => 
+        inter.dispatchRawEvent('press', 5, 5, undefined, modifiers, undefined, details);
+    press({button: 0, clicks: 1});
+    press({button: 0, clicks: 2});
+    press({button: 2});
+    inter.dispatchRawEvent('wheel', 5, 5, undefined, undefined, undefined, {deltaY: 3});
+    press({}, {shift: true, ctrl: false, alt: false, meta: false});
+    const counts = ["presses", "doubles", "menus", "scrolled", "shifted"].map(
+                                                    (name) => fsm.variables.get(name));
+    assert.deepEqual(counts, [3, 1, 1, 1, 1]);
+});
+
+test("press specifications match only the primary button unless told otherwise", () => {
+    const {inter, fsm} = setup({
+        regions: [region("pad")],
+        states: [
+            {name: "start", transitions: [on('press', "pad", "pressed")]},
+            {name: "pressed", transitions: []}]});
+    inter.dispatchRawEvent('press', 5, 5, undefined, undefined, undefined, {button: 1});
+    assert.equal(fsm.currentState.name, "start");
+    inter.dispatchRawEvent('press', 5, 5, undefined, undefined, undefined, {button: 0});
+    assert.equal(fsm.currentState.name, "pressed");
+});
+
+test("send_event delivers a custom event and its payload to the named interactor", () => {
+    const {root, inter, fsm} = setup({
+        regions: [region("button")],
+        variables: {n: 0},
+        states: [
+            {name: "start", transitions: [
+                on('press', "button", "start", 
+                   [act('inc_var', "", "", {var: "n"}),
+                    act('send_event', "", "add", {target: "receiver", payload: "n - 2"})])]
+            }]});
+    inter.name = "sender";
+    const receiver = new FSMInteractor();
+    receiver.name = "receiver";
+    receiver.loadFromJson({
+        regions: [],
+        variables: {total: 0},
+        states: [
+            {name: "waiting", transitions: [
+                on('custom', "", "waiting", 
+                   [act('set_var', "", "total + payload", {var: "total"})],
+                   {guard: "payload > 0", onEvent: {name: "add"}})]}]});
+    root.addChild(receiver);
+    for (let i = 0; i < 4; i++) fire(fsm, 'press', "button");
+    assert.equal(receiver.fsm.variables.get("total"), 3);
+    assert.equal(fsm.variables.get("n"), 4);
+});
+
+test("showing an image already in the cache produces no image_loaded event", async () => {
+    const {inter, loader} = setup({
+        regions: [region("pic", {imageLoc: "a.png"}), region("button")],
+        variables: {loads: 0},
+        states: [
+            {name: "start", transitions: [
+                on('image_loaded', "pic", "start", 
+                   [act('inc_var', "", "", {var: "loads"})]),
+                on('press', "button", "start", [act('set_image', "pic", "b.png")]),
+                on('release', "button", "start", [act('set_image', "pic", "a.png")])]}]});
+    await loader.settled();
+    inter.fireEvent('press', "button");
+    await loader.settled();
+    assert.equal(inter.fsm.variables.get("loads"), 2);
+
+    // both images are now cached
+    inter.fireEvent('release', "button");
+    inter.fireEvent('press', "button");
+    await loader.settled();
+    assert.equal(inter.fsm.variables.get("loads"), 2);
+});
+
+// Waits for any input over any region
+const anyInput = {
+    regions: [region("pic", {imageLoc: "pic.png"})],
+    states: [
+        {name: "waiting", transitions: [on('any', "*", "fired")]},
+        {name: "fired", transitions: []}]};
+
+test("an any transition fires on input over a region", () => {
+    const {inter} = setup(anyInput);
+    inter.fireEvent('move_inside', "pic");
+    assert.deepEqual(leaves(inter.fsm), ["fired"]);
+});
+
+test("an any transition does not fire on events the system generates", async () => {
+    const {inter, loader} = setup(anyInput);
+    await loader.settled();
+    for (let evtType of ['timeout', 'custom', 'animation_done', 'image_loaded', 
+                         'image_error']) 
+    {
+        inter.fireEvent(evtType, evtType.startsWith('image') ? "pic" : "", "pic.png");
+        assert.deepEqual(leaves(inter.fsm), ["waiting"], `${evtType} matched any`);
+    }
+});
+
+test("an any transition for a region lets timer and custom events through", () => {
+    const {inter, clock} = setup({
+        regions: [region("a"), region("button")],
+        states: [
+            {name: "waiting", transitions: [
+                on('any', "a", "input"),
+                on('press', "button", "waiting", 
+                   [act('start_timer', "", "50", {timer: "t"})]),
+                on('timeout', "", "timed_out", [], {onEvent: {timer: "t"}}),
+                on('custom', "", "told")]},
+            {name: "input", transitions: []},
+            {name: "timed_out", transitions: [on('custom', "", "told")]},
+            {name: "told", transitions: [on('any', "a", "input")]}]});
+    inter.fireEvent('press', "button");
+    clock.advance(50);
+    assert.deepEqual(leaves(inter.fsm), ["timed_out"]);
+    inter.fireEvent('custom', "", "hello");
+    assert.deepEqual(leaves(inter.fsm), ["told"]);
+    inter.fireEvent('enter', "a");
+    assert.deepEqual(leaves(inter.fsm), ["input"]);
+});
+
+test("an any transition only fires over its own region", () => {
+    const {inter} = setup({
+        regions: [region("a"), region("b")],
+        states: [
+            {name: "waiting", transitions: [on('any', "a", "fired")]},
+            {name: "fired", transitions: []}]});
+    inter.fireEvent('press', "b");
+    inter.fireEvent('release_none');
+    assert.deepEqual(leaves(inter.fsm), ["waiting"]);
+    inter.fireEvent('press', "a");
+    assert.deepEqual(leaves(inter.fsm), ["fired"]);
+});
@@ -0,0 +1,117 @@
+//===================================================================
+// Tests for the actions which move, resize, show, hide, and raise regions
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, regionNamed, fire, region, on, act } from "./helpers.mjs";
+
+const touch = (id) => ({id, type: 'touch'});
+
+test("regions are moved and resized to, or by, the given amounts", () => {
+    const {fsm} = setup({
+        regions: [region("box")],
+        states: [
+            {name: "start", transitions: [
+                on('press', "box", "start", [act('move_region', "box", "20,30"),
+                                             act('resize_region', "box", "by 5,-2")]),
+                on('release', "box", "start", 
+                   [act('move_region', "box", "by -5,5"), 
+                    act('resize_region', "box", "40,50")])]}]});
+    const box = regionNamed(fsm, "box");
+    fire(fsm, 'press', "box");
+    assert.deepEqual([box.x, box.y, box.w, box.h], [20, 30, 15, 8]);
+    fire(fsm, 'release', "box");
+    assert.deepEqual([box.x, box.y, box.w, box.h], [15, 35, 40, 50]);
+});
+
+test("hidden regions are not picked", () => {
+    const {inter, fsm} = setup({
+        regions: [region("box")],
+        states: [
+            {name: "start", transitions: [
+                on('press', "box", "start", [act('hide_region', "box")])]}]});
+    assert.equal(inter.pick(5, 5).length, 1);
+    fire(fsm, 'press', "box");
+    assert.equal(inter.pick(5, 5).length, 0);
+});
+
+test("raising a region puts it on top for picking", () => {
+    const {inter, fsm} = setup({
+        regions: [region("low"), region("high")],
+        states: [
+            {name: "start", transitions: [
+                on('press', "low", "start", [act('raise_region', "low")])]}]});
+    assert.deepEqual(inter.pick(5, 5).map((reg) => reg.name), ["high", "low"]);
+    fire(fsm, 'press', "low");
+    assert.deepEqual(inter.pick(5, 5).map((reg) => reg.name), ["low", "high"]);
+});
+
+test("regions are only picked within their shape", () => {
+    const {inter} = setup({
+        regions: [region("round", {w: 20, h: 20, shape: "ellipse"}),
+                  region("wedge", {x: 30, w: 20, h: 20, shape: {
+                      kind: "polygon", points: [[0,0], [20,0], [0,20]]}})],
+        states: [{name: "start", transitions: []}]});
+    const names = (x, y) => inter.pick(x, y).map((reg) => reg.name);
+    assert.deepEqual(names(10, 10), ["round"]);
+    assert.deepEqual(names(1, 1), []);
+    assert.deepEqual(names(35, 5), ["wedge"]);
+    assert.deepEqual(names(45, 15), []);
+});
+
+test("image_alpha shapes are only picked where their image is opaque", async () => {
+    const {inter, loader} = setup();
+    loader.setSize("half.png", 20, 10);
+    loader.setAlpha("half.png", (x, y) => (x < 10) ? 1 : 0);
+    inter.loadFromJson({
+        regions: [region("half", {w: -1, h: -1, imageLoc: "half.png", 
+                                  shape: "image_alpha"})],
+        states: [{name: "start", transitions: []}]});
+    await loader.settled();
+    assert.equal(inter.pick(5, 5).length, 1);
+    assert.equal(inter.pick(15, 5).length, 0);
+});
+
+test("rotating a region rotates the area which is picked", () => {
+    const {inter, fsm} = setup({
+        regions: [region("bar", {w: 40, h: 10})],
+        states: [
+            {name: "start", transitions: [
+                on('press', "bar", "start", [act('set_rotation', "bar", "by 90")])]}]});
+    assert.equal(inter.pick(35, 5).length, 1);
+    fire(fsm, 'press', "bar");
+    assert.equal(regionNamed(fsm, "bar").rotation, 90);
+    assert.equal(inter.pick(35, 5).length, 0);
+    assert.equal(inter.pick(20, 20).length, 1);
+});
+
+// Drags its region by the motion of whichever pointer is moving inside it
+const draggable = {
+    regions: [region("box", {w: 100, h: 100})],
+    states: [
+        {name: "start", transitions: [
+            on('move_inside', "box", "start", [act('move_region', "box", "pointer")])]}]};
+
+test("a region following the pointer moves by that pointer's own motion", () => {
+    const {inter, fsm} = setup(draggable);
+    const box = regionNamed(fsm, "box");
+    inter.dispatchRawEvent('press', 10, 10, undefined, undefined, touch(5));
+    inter.dispatchRawEvent('press', 50, 50, undefined, undefined, touch(6));
+    inter.dispatchRawEvent('move', 13, 14, undefined, undefined, touch(5));
+    assert.deepEqual([box.x, box.y], [3, 4]);
+
+    // the second pointer's motion is measured from its own last position
+    inter.dispatchRawEvent('move', 52, 50, undefined, undefined, touch(6));
+    assert.deepEqual([box.x, box.y], [5, 4]);
+});
+
+test("events not derived from pointer input carry no pointer motion", () => {
+    const {inter, fsm} = setup(draggable);
+    const box = regionNamed(fsm, "box");
+    inter.dispatchRawEvent('move', 10, 10);
+    inter.dispatchRawEvent('move', 20, 20);
+    assert.deepEqual([box.x, box.y], [10, 10]);
+    fire(fsm, 'move_inside', "box");
+    assert.deepEqual([box.x, box.y], [10, 10]);
+});
@@ -0,0 +1,55 @@
+//===================================================================
+// Tests for FSM variables and the guards on transitions
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, fire, region, on, act } from "./helpers.mjs";
+
+// A counter which only lets its button be pressed twice
+const counter = {
+    regions: [region("button")],
+    variables: {count: 0},
+    states: [
+        {name: "start", transitions: [
+            on('press', "button", "start", [act('inc_var', "", "", {var: "count"})],
+               {guard: "count < 2"}),
+            on('press', "button", "full")]},
+        {name: "full", transitions: []}]};
+
+test("a guard lets a transition be taken only while it holds", () => {
+    const {fsm} = setup(counter);
+    fire(fsm, 'press', "button");
+    fire(fsm, 'press', "button");
+    assert.equal(fsm.currentState.name, "start");
+    assert.equal(fsm.variables.get("count"), 2);
+
+    // the guard now fails, so the next (unguarded) transition is taken instead
+    fire(fsm, 'press', "button");
+    assert.equal(fsm.currentState.name, "full");
+    assert.equal(fsm.variables.get("count"), 2);
+});
+
+test("resetting an FSM restores its initial variable values", () => {
+    const {fsm} = setup(counter);
+    fire(fsm, 'press', "button");
+    fire(fsm, 'press', "button");
+    fire(fsm, 'press', "button");
+    fsm.reset();
+    assert.equal(fsm.currentState.name, "start");
+    assert.equal(fsm.variables.get("count"), 0);
+});
+
+test("set_var evaluates its parameter as an expression over the variables", () => {
+    const {fsm} = setup({
+        regions: [region("button")],
+        variables: {count: 3, label: "n"},
+        states: [
+            {name: "start", transitions: [
+                on('press', "button", "start", 
+                   [act('set_var', "", "count * 2 + 1", {var: "count"}),
+                    act('inc_var', "", "count", {var: "count"})])]}]});
+    fire(fsm, 'press', "button");
+    assert.equal(fsm.variables.get("count"), 14);
+    assert.equal(fsm.variables.get("label"), "n");
+});
@@ -0,0 +1,38 @@
+//===================================================================
+// Tests for running interactors without a browser (see src/Headless.ts)
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, region, on } from "./helpers.mjs";
+
+test("images are loaded by the stub loader and drawn to the recorder", async () => {
+    const {inter, loader, root, recorder} = setup();
+    loader.setSize("pic.png", 30, 20);
+    inter.loadFromJson({
+        regions: [region("pic", {w: -1, h: -1, imageLoc: "pic.png"})],
+        states: [{name: "start", transitions: []}]});
+    await loader.settled();
+    const pic = inter.fsm.regions[0];
+    assert.deepEqual(loader.requested, ["pic.png"]);
+    assert.deepEqual([pic.w, pic.h], [30, 20]);
+
+    recorder.clear();
+    root.flush();
+    const draws = recorder.opsNamed('drawImage');
+    assert.equal(draws.length, 1);
+    assert.equal(draws[0].args[0].src, "pic.png");
+});
+
+test("raw events dispatched to an interactor drive its FSM", () => {
+    const {inter, fsm} = setup({
+        regions: [region("button", {x: 10, y: 10})],
+        states: [
+            {name: "idle", transitions: [on('press', "button", "pressed")]},
+            {name: "pressed", transitions: [on('release', "button", "idle")]}]});
+    inter.dispatchRawEvent('press', 5, 5);
+    assert.equal(fsm.currentState.name, "idle");
+    inter.dispatchRawEvent('release', 5, 5);
+    inter.dispatchRawEvent('press', 15, 15);
+    assert.equal(fsm.currentState.name, "pressed");
+});
@@ -0,0 +1,61 @@
+//===================================================================
+// Shared setup for the headless tests.  These run under node's built in test runner
+// (node --test) against the compiled code in ../out, so the project must be built
+// first (npm test does both).  Each test gets a fresh Root with a stub image loader
+// (see src/Headless.ts), a manually advanced clock, and an empty image cache, and
+// errors reported via Err are thrown (so they fail the test) unless captured.
+//===================================================================
+
+import { setupHeadless } from "../out/Headless.js";
+import { FSM } from "../out/FSM.js";
+import { FSMInteractor } from "../out/FSMInteractor.js";
+import { Region } from "../out/Region.js";
+import { ManualClock, noRetries } from "../out/Clock.js";
+import { Err } from "../out/Err.js";
+
+// Set up a headless Root with an interactor under it, running the given FSM (if any)
+export function setup(fsmJson) {
+    const env = setupHeadless();
+    const clock = new ManualClock();
+    FSM.defaultClock = clock;
+    Err.handleMethod = 'throw';
+    Region.invalidateImage();
+    Region.retryPolicy = {...noRetries};
+
+    const inter = new FSMInteractor(undefined, 0, 0, env.root);
+    env.root.addChild(inter);
+    if (fsmJson) inter.loadFromJson(fsmJson);
+    return {...env, clock, inter, fsm: inter.fsm};
+}
+
+// The paths of the active innermost states of the given FSM
+export function leaves(fsm) {
+    return fsm.activeLeafStates.map((st) => st.path);
+}
+
+// The region of the given FSM with the given name (if any)
+export function regionNamed(fsm, name) {
+    return fsm.regions.find((reg) => reg.name === name);
+}
+
+// Have the given FSM act on an event of the given type for the named region (if any),
+// and for the given key (for key events)
+export function fire(fsm, evtType, regionName, key) {
+    fsm.actOnEvent(evtType, regionNamed(fsm, regionName), key);
+}
+
+// Make a region description with the given name (and any other properties)
+export function region(name, props = {}) {
+    return {name, x: 0, y: 0, w: 10, h: 10, imageLoc: "", ...props};
+}
+
+// Make a transition description
+export function on(evtType, regionName, target, actions = [], more = {}) {
+    return {onEvent: {evtType, region: regionName, ...more.onEvent}, target, actions,
+            ...(more.guard !== undefined ? {guard: more.guard} : {})};
+}
+
+// Make an action description
+export function act(name, regionName = "", param = "", more = {}) {
+    return {act: name, region: regionName, param, ...more};
+}
@@ -0,0 +1,84 @@
+//===================================================================
+// Tests for composite (nested) and parallel states, and their entry and exit actions
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, leaves, fire, region, on, act } from "./helpers.mjs";
+
+// A player which is either stopped or on (playing or paused), and is turned off by 
+// the "power" region whichever of those it is in
+const player = {
+    regions: [region("power"), region("play")],
+    states: [
+        {name: "stopped", transitions: [on('press', "power", "on")]},
+        {name: "on", initial: "playing", 
+         transitions: [on('press', "power", "stopped")],
+         substates: [
+            {name: "playing", transitions: [on('press', "play", "paused")]},
+            {name: "paused", transitions: [on('press', "play", "playing")]}]}]};
+
+test("entering a composite state enters its initial substate", () => {
+    const {fsm} = setup(player);
+    fire(fsm, 'press', "power");
+    assert.deepEqual(leaves(fsm), ["on/playing"]);
+    fire(fsm, 'press', "play");
+    assert.deepEqual(leaves(fsm), ["on/paused"]);
+});
+
+test("substates inherit the transitions of their parent", () => {
+    const {fsm} = setup(player);
+    fire(fsm, 'press', "power");
+    fire(fsm, 'press', "play");
+    fire(fsm, 'press', "power");
+    assert.deepEqual(leaves(fsm), ["stopped"]);
+});
+
+test("the substates of a parallel state are all active at once", () => {
+    const {fsm} = setup({
+        regions: [region("bold"), region("italic")],
+        states: [
+            {name: "style", parallel: true, transitions: [], substates: [
+                {name: "weight", initial: "plain", transitions: [], substates: [
+                    {name: "plain", transitions: [on('press', "bold", "bold")]},
+                    {name: "bold", transitions: [on('press', "bold", "plain")]}]},
+                {name: "slant", initial: "upright", transitions: [], substates: [
+                    {name: "upright", transitions: [on('press', "italic", "italic")]},
+                    {name: "italic", transitions: [on('press', "italic", "upright")]}]}]
+        }]});
+    assert.deepEqual(leaves(fsm), ["style/weight/plain", "style/slant/upright"]);
+    fire(fsm, 'press', "italic");
+    assert.deepEqual(leaves(fsm), ["style/weight/plain", "style/slant/italic"]);
+    fire(fsm, 'press', "bold");
+    assert.deepEqual(leaves(fsm), ["style/weight/bold", "style/slant/italic"]);
+
+    // the full configuration includes the enclosing states
+    const config = "style, style/weight, style/weight/bold, style/slant, style/slant/italic";
+    assert.ok(fsm.debugString().includes(`configuration: [${config}]`));
+});
+
+// An action which appends the given digit to the "log" variable
+const logs = (digit) => act('set_var', "", `log * 10 + ${digit}`, {var: "log"});
+
+test("exit actions run innermost first, then transition actions, then entry ones", () => {
+    const {fsm} = setup({
+        regions: [region("go")],
+        variables: {log: 0},
+        states: [
+            {name: "a", initial: "inner", onExit: [logs(2)], 
+             transitions: [on('press', "go", "b", [logs(3)])],
+             substates: [{name: "inner", onExit: [logs(1)], transitions: []}]},
+            {name: "b", onEntry: [logs(4)], transitions: []}]});
+    fire(fsm, 'press', "go");
+    assert.equal(fsm.variables.get("log"), 1234);
+});
+
+test("entry actions run for the initial configuration", () => {
+    const {fsm} = setup({
+        regions: [],
+        variables: {log: 0},
+        states: [
+            {name: "a", initial: "inner", onEntry: [logs(1)], transitions: [],
+             substates: [{name: "inner", onEntry: [logs(2)], transitions: []}]}]});
+    assert.equal(fsm.variables.get("log"), 12);
+});
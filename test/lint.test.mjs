@@ -0,0 +1,60 @@
+//===================================================================
+// Tests for the static checks of FSM descriptions
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { region, on } from "./helpers.mjs";
+import { Lint } from "../out/Lint.js";
+
+// The locations of the warnings and errors found in the given FSM description
+function issuesIn(fsmJson, severity) {
+    return Lint.check(fsmJson).filter((issue) => issue.severity === severity)
+                              .map((issue) => issue.path);
+}
+
+test("an unknown target state is an error", () => {
+    const issues = issuesIn({
+        regions: [region("a")],
+        states: [{name: "start", transitions: [on('press', "a", "nowhere")]}]}, 'error');
+    assert.deepEqual(issues, ["$.states[0].transitions[0].target"]);
+});
+
+test("unreachable and shadowed transitions are warned about", () => {
+    const issues = issuesIn({
+        regions: [region("a")],
+        states: [
+            {name: "start", transitions: [on('press', "a", "start"), 
+                                          on('press', "a", "start")]},
+            {name: "lost", transitions: [on('press', "a", "start")]}]}, 'warning');
+    assert.deepEqual(issues.sort(), ["$.states[0].transitions[1]", "$.states[1]"]);
+});
+
+test("an any transition only shadows input events over the same region", () => {
+    const issues = issuesIn({
+        regions: [region("a"), region("b")],
+        states: [
+            {name: "start", transitions: [
+                on('any', "a", "start"),
+                on('any', "b", "start"),
+                on('press', "b", "start"),
+                on('timeout', "", "start", [], {onEvent: {timer: "t"}}),
+                on('custom', "", "start"),
+                on('image_loaded', "a", "start"),
+                on('press', "a", "start")]}]}, 'warning');
+    assert.deepEqual(issues, ["$.states[0].transitions[2]", 
+                              "$.states[0].transitions[6]"]);
+});
+
+test("an any transition for all regions shadows every later input event", () => {
+    const issues = issuesIn({
+        regions: [region("a")],
+        states: [
+            {name: "start", transitions: [
+                on('any', "*", "start"),
+                on('key_down', "", "start"),
+                on('move_inside', "a", "start"),
+                on('animation_done', "a", "start")]}]}, 'warning');
+    assert.deepEqual(issues, ["$.states[0].transitions[1]", 
+                              "$.states[0].transitions[2]"]);
+});
@@ -0,0 +1,58 @@
+//===================================================================
+// Tests for the listeners host code can register on an interactor
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, fire, region, on, act } from "./helpers.mjs";
+
+const toggle = {
+    regions: [region("button")],
+    variables: {presses: 0},
+    states: [
+        {name: "off", transitions: [
+            on('press', "button", "on", [act('inc_var', "", "", {var: "presses"})])]},
+        {name: "on", transitions: [
+            on('press', "button", "off", 
+               [act('emit', "", "switched", {payload: "presses * 10"})])]}]};
+
+test("listeners hear about state changes, transitions, and actions", () => {
+    const {inter, fsm} = setup(toggle);
+    const heard = [];
+    inter.onStateChange((info) => heard.push(`state ${info.from}->${info.to}`));
+    inter.onTransition(({source, transition}) => 
+        heard.push(`transition from ${source.name} to ${transition.target.name}`));
+    inter.onAction((info) => heard.push(`action ${info.action.actType}`));
+    fire(fsm, 'press', "button");
+    assert.deepEqual(heard, ["action inc_var", "transition from off to on", 
+                             "state off->on"]);
+});
+
+test("emit actions call the callback registered under their name", () => {
+    const {inter, fsm} = setup(toggle);
+    const values = [];
+    inter.onEmit("switched", (info) => values.push(info.value));
+    inter.onEmit("other", () => values.push("wrong callback"));
+    fire(fsm, 'press', "button");
+    fire(fsm, 'press', "button");
+    assert.deepEqual(values, [10]);
+});
+
+test("removing a listener stops it hearing about later changes", () => {
+    const {inter, fsm} = setup(toggle);
+    let count = 0;
+    const remove = inter.onStateChange(() => count++);
+    fire(fsm, 'press', "button");
+    remove();
+    fire(fsm, 'press', "button");
+    assert.equal(count, 1);
+});
+
+test("interactor listeners carry over to a newly loaded FSM", () => {
+    const {inter} = setup(toggle);
+    let count = 0;
+    inter.onStateChange(() => count++);
+    inter.loadFromJson(toggle);
+    fire(inter.fsm, 'press', "button");
+    assert.equal(count, 1);
+});
@@ -0,0 +1,42 @@
+//===================================================================
+// Tests for FSMs installed only once the images they may show have been loaded
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, leaves, region, on, act } from "./helpers.mjs";
+import { Err } from "../out/Err.js";
+
+// Emits on entry to its start state, and then follows how the image of its region loads
+const gallery = {
+    regions: [region("pic", {imageLoc: "pic.png"})],
+    states: [
+        {name: "showing", onEntry: [act('emit', "", "entered")], transitions: [
+            on('image_loaded', "pic", "loaded"),
+            on('image_error', "pic", "broken")]},
+        {name: "loaded", transitions: []},
+        {name: "broken", transitions: []}]};
+
+test("a preloaded FSM does nothing until it is installed", async () => {
+    const {inter, loader} = setup();
+    const entered = [];
+    inter.onEmit("entered", (info) => entered.push(info.fsm === inter.fsm));
+    const done = inter.preloadFromJson(gallery);
+    assert.ok(inter.preloading);
+    assert.equal(inter.fsm, undefined);
+    assert.deepEqual(entered, []);
+
+    await loader.settled();
+    await done;
+    assert.deepEqual(entered, [true]);
+    assert.deepEqual(leaves(inter.fsm), ["loaded"]);
+});
+
+test("image errors during a preload are delivered once installed", async () => {
+    const {inter, loader} = setup();
+    loader.setFailing("pic.png");
+    Err.handleMethod = 'silent';
+    await inter.preloadFromJson(gallery);
+    await loader.settled();
+    assert.deepEqual(leaves(inter.fsm), ["broken"]);
+});
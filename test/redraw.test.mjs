@@ -0,0 +1,73 @@
+//===================================================================
+// Tests for what regions draw, and for redrawing only the areas of the canvas which 
+// have been damaged, once per animation frame
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, fire, region, on, act } from "./helpers.mjs";
+
+test("moving a region repaints only where it was and where it now is", () => {
+    const {fsm, recorder, frames} = setup({
+        regions: [region("box", {x: 10, y: 10})],
+        states: [
+            {name: "start", transitions: [
+                on('press', "box", "start", [act('move_region', "box", "100,50")])]}]});
+    recorder.clear();
+    fire(fsm, 'press', "box");
+    frames.step();
+
+    // (each area has a pixel of margin around the region)
+    const cleared = recorder.opsNamed('clearRect').map((op) => op.args);
+    assert.deepEqual(cleared, [[9, 9, 12, 12], [99, 49, 12, 12]]);
+});
+
+test("damage declared between frames is repainted in one redraw", () => {
+    const {root, fsm, recorder, frames} = setup({
+        regions: [region("a"), region("b", {x: 50})],
+        states: [
+            {name: "start", transitions: [
+                on('press', "a", "start", [act('resize_region', "a", "by 5,5"),
+                                           act('hide_region', "b")])]}]});
+    frames.step();
+    recorder.clear();
+    fire(fsm, 'press', "a");
+    root.damage({x: 200, y: 200, w: 10, h: 10});
+    assert.equal(recorder.opsNamed('clearRect').length, 0);
+    assert.equal(frames.pendingCount, 1);
+
+    frames.step();
+    assert.equal(recorder.opsNamed('clip').length, 1);
+    assert.equal(root.lastRepaint.length, 3);
+    assert.equal(frames.pendingCount, 0);
+});
+
+test("set_text and set_fill actions change what a region draws", () => {
+    const {fsm, recorder, frames} = setup({
+        regions: [region("label", {w: 80, h: 30, text: "Start", fill: "white"})],
+        states: [
+            {name: "start", transitions: [
+                on('press', "label", "start", [act('set_text', "label", "Stop"),
+                                               act('set_fill', "label", "red")])]}]});
+    frames.step();
+    assert.deepEqual(recorder.opsNamed('fillText').map((op) => op.args[0]), ["Start"]);
+
+    recorder.clear();
+    fire(fsm, 'press', "label");
+    frames.step();
+    assert.deepEqual(recorder.opsNamed('fillText').map((op) => op.args[0]), ["Stop"]);
+    assert.equal(fsm.regions[0].fill, "red");
+});
+
+test("images are placed in their region as its fit says", async () => {
+    const {inter, loader, recorder, frames} = setup();
+    loader.setSize("wide.png", 40, 20);
+    inter.loadFromJson({
+        regions: [region("pic", {w: 20, h: 20, imageLoc: "wide.png", fit: "contain"})],
+        states: [{name: "start", transitions: []}]});
+    await loader.settled();
+    recorder.clear();
+    frames.step();
+    const [draw] = recorder.opsNamed('drawImage');
+    assert.deepEqual(draw.args.slice(1), [0, 5, 20, 10]);
+});
@@ -0,0 +1,71 @@
+//===================================================================
+// Tests for driving an interactor directly, for snapshots of FSM state, and for 
+// saving them with Persistence
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, leaves, region, on, act } from "./helpers.mjs";
+import { MemoryStorage, Persistence } from "../out/Persistence.js";
+
+const mover = {
+    regions: [region("box")],
+    variables: {moves: 0},
+    states: [
+        {name: "home", transitions: [
+            on('press', "box", "away", [act('move_region', "box", "by 5,7"),
+                                        act('inc_var', "", "", {var: "moves"})])]},
+        {name: "away", transitions: [
+            on('press', "box", "home", [act('move_region', "box", "0,0")])]}]};
+
+test("fireEvent delivers an event for the named region", () => {
+    const {inter} = setup(mover);
+    inter.fireEvent('press', "box");
+    assert.deepEqual(leaves(inter.fsm), ["away"]);
+    assert.deepEqual(inter.availableTransitions.map((trans) => trans.target.name), 
+                     ["home"]);
+});
+
+test("gotoState jumps to a state, leaving variables alone", () => {
+    const {inter} = setup(mover);
+    inter.fireEvent('press', "box");
+    inter.gotoState("home");
+    assert.deepEqual(leaves(inter.fsm), ["home"]);
+    assert.equal(inter.fsm.variables.get("moves"), 1);
+});
+
+test("restoring a snapshot puts back states, variables, and regions", () => {
+    const {inter} = setup(mover);
+    inter.fireEvent('press', "box");
+    const snap = JSON.parse(JSON.stringify(inter.snapshot()));
+    assert.deepEqual(snap.states, ["away"]);
+    assert.deepEqual(snap.variables, {moves: 1});
+
+    inter.fireEvent('press', "box");
+    inter.fireEvent('press', "box");
+    inter.restore(snap);
+    assert.deepEqual(leaves(inter.fsm), ["away"]);
+    assert.equal(inter.fsm.variables.get("moves"), 1);
+    const box = inter.fsm.findRegion("box");
+    assert.deepEqual([box.x, box.y], [5, 7]);
+});
+
+test("saved state is loaded back into an interactor running the same FSM", () => {
+    const storage = new MemoryStorage();
+    {
+        const {inter} = setup(mover);
+        inter.fireEvent('press', "box");
+        assert.ok(Persistence.save(inter, "game", storage));
+    }
+    const {inter} = setup(mover);
+    assert.deepEqual(leaves(inter.fsm), ["home"]);
+    assert.ok(Persistence.load(inter, "game", storage));
+    assert.deepEqual(leaves(inter.fsm), ["away"]);
+    assert.equal(inter.fsm.variables.get("moves"), 1);
+});
+
+test("loading with nothing saved leaves the interactor alone", () => {
+    const {inter} = setup(mover);
+    assert.equal(Persistence.load(inter, "missing", new MemoryStorage()), false);
+    assert.deepEqual(leaves(inter.fsm), ["home"]);
+});
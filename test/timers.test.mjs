@@ -0,0 +1,100 @@
+//===================================================================
+// Tests for state timeouts and named timers, driven by a ManualClock
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, leaves, fire, region, on, act } from "./helpers.mjs";
+
+// A state which times out after 100ms unless its region is pressed first
+const timed = {
+    regions: [region("button")],
+    states: [
+        {name: "waiting", transitions: [
+            on('timeout', "", "timed_out", [], {onEvent: {duration: 100}}),
+            on('press', "button", "pressed")]},
+        {name: "timed_out", transitions: []},
+        {name: "pressed", transitions: [on('release', "button", "waiting")]}]};
+
+test("a state timeout fires once its duration has passed", () => {
+    const {fsm, clock} = setup(timed);
+    clock.advance(99);
+    assert.equal(fsm.currentState.name, "waiting");
+    clock.advance(1);
+    assert.equal(fsm.currentState.name, "timed_out");
+});
+
+test("a state timeout is cancelled when its state is exited", () => {
+    const {fsm, clock} = setup(timed);
+    clock.advance(50);
+    fire(fsm, 'press', "button");
+    clock.advance(100);
+    assert.equal(fsm.currentState.name, "pressed");
+
+    // and is armed afresh when the state is entered again
+    fire(fsm, 'release', "button");
+    clock.advance(99);
+    assert.equal(fsm.currentState.name, "waiting");
+    clock.advance(1);
+    assert.equal(fsm.currentState.name, "timed_out");
+});
+
+test("a state timeout notifies state change listeners", () => {
+    const {inter, clock} = setup(timed);
+    const changes = [];
+    inter.onStateChange((info) => changes.push([info.from, info.to, info.event.type]));
+    clock.advance(100);
+    assert.deepEqual(changes, [[["waiting"], ["timed_out"], 'timeout']]);
+});
+
+test("a named timer started by an action fires the matching timeout", () => {
+    const {fsm, clock} = setup({
+        regions: [region("button")],
+        states: [
+            {name: "idle", transitions: [
+                on('press', "button", "running", 
+                   [act('start_timer', "", "250", {timer: "t"})])]},
+            {name: "running", transitions: [
+                on('timeout', "", "done", [], {onEvent: {timer: "t"}}),
+                on('press', "button", "idle", 
+                   [act('cancel_timer', "", "", {timer: "t"})])]},
+            {name: "done", transitions: []}]});
+    fire(fsm, 'press', "button");
+    fire(fsm, 'press', "button");
+    fire(fsm, 'press', "button");
+    clock.advance(249);
+    assert.equal(fsm.currentState.name, "running");
+    clock.advance(1);
+    assert.equal(fsm.currentState.name, "done");
+});
+
+// An action which appends the given digit to the "log" variable
+const logs = (digit) => act('set_var', "", `log * 10 + ${digit}`, {var: "log"});
+
+test("a timeout firing while an event is handled waits for that to complete", () => {
+    const {fsm, clock} = setup({
+        regions: [region("button")],
+        variables: {log: 0},
+        states: [
+            {name: "both", parallel: true, transitions: [], substates: [
+                {name: "timer", initial: "a", transitions: [], substates: [
+                    {name: "a", transitions: [
+                        on('timeout', "", "c", [logs(2)], {onEvent: {duration: 10}})]},
+                    {name: "c", transitions: []}]},
+                {name: "input", initial: "idle", transitions: [], substates: [
+                    {name: "idle", transitions: [
+                        on('press', "button", "busy", [logs(1), logs(3)])]},
+                    {name: "busy", transitions: []}]}]}]});
+
+    // have the clock run past the timeout while the press is being handled
+    const setVariable = fsm.setVariable.bind(fsm);
+    fsm.setVariable = (name, val) => {
+        setVariable(name, val);
+        clock.advance(10);
+    };
+    fire(fsm, 'press', "button");
+
+    // the timeout was only handled once the press had been
+    assert.equal(fsm.variables.get("log"), 132);
+    assert.deepEqual(leaves(fsm), ["both/timer/c", "both/input/busy"]);
+});
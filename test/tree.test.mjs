@@ -0,0 +1,45 @@
+//===================================================================
+// Tests for interactors hosting child interactors in a tree under Root
+//===================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setup, region } from "./helpers.mjs";
+import { FSMInteractor } from "../out/FSMInteractor.js";
+
+// Set up a top-level interactor with a child at 100,100, each with one region
+function setupTree() {
+    const env = setup({regions: [region("outer", {w: 200, h: 200})], 
+                       states: [{name: "start", transitions: []}]});
+    const child = new FSMInteractor(undefined, 100, 100);
+    child.loadFromJson({regions: [region("inner")], 
+                        states: [{name: "start", transitions: []}]});
+    env.inter.addChild(child);
+    return {...env, child};
+}
+
+test("picking over the tree finds the regions of children first", () => {
+    const {inter} = setupTree();
+    const names = inter.pickTree(105, 105).map((reg) => reg.name);
+    assert.deepEqual(names, ["inner", "outer"]);
+    assert.deepEqual(inter.pickTree(5, 5).map((reg) => reg.name), ["outer"]);
+});
+
+test("the focus cycles through the whole tree in drawing order", () => {
+    const {root, inter, child} = setupTree();
+    assert.equal(child.root, root);
+    root.focusNext();
+    assert.equal(root.focus, inter);
+    root.focusNext();
+    assert.equal(root.focus, child);
+    root.focusNext();
+    assert.equal(root.focus, inter);
+});
+
+test("removing an interactor takes the focus from it", () => {
+    const {root, inter, child} = setupTree();
+    root.setFocus(child);
+    inter.removeChild(child);
+    assert.equal(root.focus, undefined);
+    assert.equal(child.root, undefined);
+});